@@ -503,6 +503,7 @@ const loadingElement = document.getElementById('loading');
 const characterModal = document.getElementById('character-modal');
 const characterInput = document.getElementById('character-input');
 const characterSubmit = document.getElementById('character-submit');
+const seedInput = document.getElementById('seed-input');
 
 // Store the user's character choice, model type, and player mode
 let userCharacter = 'sci-fi robot warrior'; // Default fallback
@@ -513,6 +514,32 @@ let userPlayerMode = 1; // Default to single player
 let currentSessionId = null;
 let currentSession = null;
 
+// World seed of the current session; all layout randomness derives from it
+let worldSeed = null;
+const worldRandomStreams = new Map();
+const MAX_WORLD_SEED = 4294967295;
+
+// Saved transforms of the current session's placed objects, and the objects
+// placed since it loaded, both by layout key
+let savedLayout = new Map();
+const placedObjects = new Map();
+
+// Game progress (player, bag, riddle) saved in the session's game_state.
+// A loaded state waits in pendingGameState until the world is placed, and
+// nothing is saved until it has been restored.
+const GAME_STATE_VERSION = 1;
+const AUTOSAVE_INTERVAL_MS = 30000;
+let pendingGameState = null;
+let gameStateReady = false;
+let lastSavedGameState = null;
+let riddleSolved = false;
+
+// How often to poll background generation jobs
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// Live generation progress stream for the current session
+let generationEvents = null;
+
 // Ground plane and character model
 let groundMesh;
 let groundBody;
@@ -556,6 +583,213 @@ let nemotronBody;
 let riddleText = null;
 let puzzleObjects = []; // Store {mesh, body, type: 'solution'|'distractor', description, objectIndex}
 
+// Hash a string to an unsigned 32-bit integer (FNV-1a)
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seeded PRNG (mulberry32); returns a function yielding numbers in [0, 1)
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Lay out the next world from this seed and show it in the UI
+function setWorldSeed(seed) {
+    worldSeed = seed ?? null;
+    worldRandomStreams.clear();
+    document.getElementById('world-seed').textContent = worldSeed ?? '-';
+}
+
+// Random numbers for one part of the layout ('clouds', 'puzzle', ...). Each
+// part has its own stream, so it comes out the same whatever was placed
+// before it. Without a world seed this is plain Math.random.
+function worldRandom(stream) {
+    if (worldSeed === null) return Math.random;
+    if (!worldRandomStreams.has(stream)) {
+        worldRandomStreams.set(stream, createRng(hashString(`${worldSeed}:${stream}`)));
+    }
+    return worldRandomStreams.get(stream);
+}
+
+// File name of a model or image URL; layout keys use it because it is the
+// same in every session
+function layoutFileName(url) {
+    return url.split('?')[0].split('/').pop();
+}
+
+// Fetch a session's saved layout before placing its objects
+async function loadLayout(sessionId) {
+    savedLayout = new Map();
+    placedObjects.clear();
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/layout`);
+        const data = await response.json();
+        if (data.success) {
+            savedLayout = new Map(data.objects.map(object => [object.key, object]));
+            console.log(`[LAYOUT] Loaded ${savedLayout.size} saved object transforms`);
+        }
+    } catch (error) {
+        console.error('[LAYOUT] Error loading layout:', error);
+    }
+}
+
+// Track a placed object for saving and move it to its saved transform, if
+// the layout has one. Returns the saved entry (with its data) or null.
+function placeLayoutObject(key, kind, object3d, data = null) {
+    const saved = savedLayout.get(key) || null;
+    placedObjects.set(key, { kind, object3d, data: saved?.data ?? data });
+
+    if (saved) {
+        object3d.position.fromArray(saved.position);
+        object3d.rotation.set(saved.rotation[0], saved.rotation[1], saved.rotation[2]);
+        object3d.scale.fromArray(saved.scale);
+    }
+    return saved;
+}
+
+// Save the final transforms of everything placed in the world
+async function saveLayout(sessionId) {
+    const objects = [...placedObjects].map(([key, { kind, object3d, data }]) => ({
+        key,
+        kind,
+        position: object3d.position.toArray(),
+        rotation: [object3d.rotation.x, object3d.rotation.y, object3d.rotation.z],
+        scale: object3d.scale.toArray(),
+        data
+    }));
+    if (objects.length === 0) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/layout`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ objects })
+        });
+        const data = await response.json();
+        if (data.success) {
+            console.log(`[LAYOUT] Saved ${objects.length} object transforms`);
+        }
+    } catch (error) {
+        console.error('[LAYOUT] Error saving layout:', error);
+    }
+}
+
+// Forget the previous session's progress; a loaded session passes its saved
+// game_state, a new one nothing
+function resetGameState(savedState = null) {
+    pendingGameState = null;
+    gameStateReady = false;
+    lastSavedGameState = null;
+    riddleSolved = false;
+
+    if (!savedState) return;
+    try {
+        const state = typeof savedState === 'string' ? JSON.parse(savedState) : savedState;
+        if (state?.version === GAME_STATE_VERSION) {
+            pendingGameState = state;
+        } else {
+            console.warn('[SAVE] Ignoring saved game state with unknown version:', state?.version);
+        }
+    } catch (error) {
+        console.error('[SAVE] Error parsing saved game state:', error);
+    }
+}
+
+// Snapshot of the player's progress
+function collectGameState() {
+    return {
+        version: GAME_STATE_VERSION,
+        gameplay: gameplayMode,
+        player: {
+            position: [characterBody.position.x, characterBody.position.y, characterBody.position.z],
+            rotationY: characterModel.rotation.y
+        },
+        bag: playerBag.map(item => item.objectIndex),
+        riddleSolved
+    };
+}
+
+// Save the player's progress to the session. Only a manual save is sent
+// when nothing changed since the last one.
+async function saveGameState(reason) {
+    if (!currentSessionId || !gameStateReady || !characterModel || !characterBody) return false;
+
+    const state = collectGameState();
+    const snapshot = JSON.stringify(state);
+    if (reason !== 'manual' && snapshot === lastSavedGameState) return false;
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSessionId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ gameState: { ...state, savedAt: new Date().toISOString() } }),
+            // Lets the save on page unload finish
+            keepalive: reason === 'unload'
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        lastSavedGameState = snapshot;
+        const saveStatus = document.getElementById('save-status');
+        saveStatus.textContent = `💾 Progress saved (${reason}) at ${new Date().toLocaleTimeString()}`;
+        saveStatus.style.display = 'block';
+        console.log(`[SAVE] Saved game state (${reason})`);
+        return true;
+    } catch (error) {
+        console.error('[SAVE] Error saving game state:', error);
+        return false;
+    }
+}
+
+// Put the player back where the saved game left off. Called once the world
+// is placed; collected objects go back in the bag and out of the world.
+function restoreGameState() {
+    const state = pendingGameState;
+    pendingGameState = null;
+
+    if (state) {
+        if (state.player && characterModel && characterBody) {
+            const [x, y, z] = state.player.position;
+            characterBody.position.set(x, y, z);
+            characterBody.velocity.set(0, 0, 0);
+            characterBody.quaternion.setFromEuler(0, state.player.rotationY, 0);
+            characterModel.rotation.y = state.player.rotationY;
+            characterModel.position.set(x, y + (characterModel.userData.halfHeight || 0), z);
+        }
+
+        for (const objectIndex of state.bag || []) {
+            const object = puzzleObjects.find(candidate => candidate.objectIndex === objectIndex);
+            if (object) {
+                addToBag(object);
+            } else {
+                console.warn(`[SAVE] Saved bag item ${objectIndex} is not in this world`);
+            }
+        }
+
+        riddleSolved = !!state.riddleSolved;
+        if (state.gameplay && characterModel) {
+            enterGameplayMode();
+        }
+        console.log(`[SAVE] Restored game state from ${state.savedAt} (${playerBag.length} items in bag)`);
+    }
+
+    gameStateReady = true;
+    lastSavedGameState = state && characterModel && characterBody ? JSON.stringify(collectGameState()) : null;
+}
+
 // Function to update loading UI
 function updateLoadingUI(message, submessage = '', showSpinner = true) {
     // Update only the text content, not the structure
@@ -612,6 +846,88 @@ function addImageToGallery(imageUrl, label) {
     galleryScroll.scrollLeft = galleryScroll.scrollWidth;
 }
 
+// Human readable label for a generation step reported by the server
+function describeGenerationStep(step) {
+    const pose = step.pose || 'idle';
+    const poseLabel = pose.charAt(0).toUpperCase() + pose.slice(1);
+    const objectIndex = parseInt(pose.split('_').pop()) + 1;
+
+    switch (step.type) {
+        case 'texture':
+            return 'Ground Texture';
+        case 'character':
+            if (pose.startsWith('puzzle_object_')) return `Puzzle Object ${objectIndex}`;
+            if (pose.startsWith('character_themed_')) return `Character Object ${objectIndex}`;
+            if (pose === 'tree') return 'Trees - Base Image';
+            if (pose === 'object') return 'Environmental Object - Base Image';
+            return `Character - ${poseLabel} Front`;
+        case 'pose':
+            return `Character - ${poseLabel} Front`;
+        case 'view':
+            return `${poseLabel} - ${step.viewName.replace('_', ' ').replace('-', ' ')}`;
+        case '3d-model':
+            return `${poseLabel} 3D model`;
+        case 'meme':
+            return `Poster ${step.filename}`;
+        case 'riddle':
+            return 'Riddle puzzle';
+        default:
+            return step.type;
+    }
+}
+
+// Subscribe to the server's generation progress stream for a session
+function connectGenerationEvents(sessionId) {
+    if (generationEvents) {
+        generationEvents.close();
+    }
+
+    generationEvents = new EventSource(`/api/sessions/${sessionId}/events`);
+    const isLoadingVisible = () => !loadingElement.classList.contains('hidden');
+
+    generationEvents.addEventListener('queue', (event) => {
+        const data = JSON.parse(event.data);
+        if (!isLoadingVisible()) return;
+
+        const label = describeGenerationStep(data.step);
+        const detail = data.status === 'IN_QUEUE' && data.position != null
+            ? `Queue position: ${data.position + 1}`
+            : data.logs[data.logs.length - 1] || 'In progress';
+        updateLoadingUI(`⏳ Generating ${label}...`, detail);
+    });
+
+    generationEvents.addEventListener('asset', (event) => {
+        const data = JSON.parse(event.data);
+        const label = describeGenerationStep(data.step);
+        console.log(`[EVENTS] ${label} ${data.cached ? 'reused' : 'ready'}`);
+
+        // Posters are generated in-game, not during loading
+        if (data.step.type === 'meme' || !isLoadingVisible()) return;
+
+        updateLoadingUI(`✅ ${label} ready`, data.cached ? 'Reused existing asset' : '');
+        if (data.imageUrl && !generatedImages.some(image => image.url === data.imageUrl)) {
+            addImageToGallery(data.imageUrl, label);
+        }
+    });
+
+    generationEvents.addEventListener('build-phase', (event) => {
+        const data = JSON.parse(event.data);
+        if (isLoadingVisible()) {
+            updateLoadingUI(data.message, data.detail);
+        }
+    });
+
+    generationEvents.addEventListener('step-failed', (event) => {
+        const data = JSON.parse(event.data);
+        const label = describeGenerationStep(data.step);
+        console.warn(`[EVENTS] ${label} failed (${data.code}):`, data.error);
+
+        if (isLoadingVisible()) {
+            updateLoadingUI(`⚠️ ${label} failed`, `${data.error} (${data.code})`);
+        }
+    });
+}
+
 // Function to show full-size image
 function showFullSizeImage(imageUrl, label) {
     const modal = document.getElementById('image-viewer-modal');
@@ -1079,10 +1395,10 @@ document.addEventListener('DOMContentLoaded', () => {
             loadingModal.classList.add('hidden');
             loadingModal.style.display = 'none'; // Force hide with inline style
 
-            // Also stop any pending operations if needed
+            // Also stop the server-side build so queued requests stop billing
             if (window.generationInProgress) {
                 window.generationInProgress = false;
-                console.log('[UI] Stopped generation process');
+                cancelGeneration(currentSessionId);
             }
         });
     }
@@ -1114,6 +1430,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (success) {
                     hideObjectViewer();
                     console.log('[BAG] Item added, closing viewer');
+                    saveGameState('pickup');
                 }
             } else {
                 console.warn('[BAG] Cannot add - not a puzzle object or no object selected');
@@ -1471,6 +1788,7 @@ async function loadAndGenerateClouds() {
 
         const cloudTemplate = gltf.scene;
         console.log('[CLOUDS] Cloud model loaded successfully');
+        const random = worldRandom('clouds');
 
         // Generate 20 cloud instances with random positions and velocities
         const NUM_CLOUDS = 20;
@@ -1483,20 +1801,31 @@ async function loadAndGenerateClouds() {
             const cloudMesh = cloudTemplate.clone();
 
             // Random scale (0.5x to 2.0x)
-            const scale = 0.5 + Math.random() * 1.5;
+            const scale = 0.5 + random() * 1.5;
             cloudMesh.scale.set(scale, scale, scale);
 
             // Random position in sky
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * SKY_RADIUS;
+            const angle = random() * Math.PI * 2;
+            const radius = random() * SKY_RADIUS;
             const x = Math.cos(angle) * radius;
             const z = Math.sin(angle) * radius;
-            const y = SKY_HEIGHT_MIN + Math.random() * (SKY_HEIGHT_MAX - SKY_HEIGHT_MIN);
+            const y = SKY_HEIGHT_MIN + random() * (SKY_HEIGHT_MAX - SKY_HEIGHT_MIN);
 
             cloudMesh.position.set(x, y, z);
 
             // Random rotation
-            cloudMesh.rotation.y = Math.random() * Math.PI * 2;
+            cloudMesh.rotation.y = random() * Math.PI * 2;
+
+            // Random velocity for animation; a saved layout restores both
+            const velocity = new THREE.Vector3(
+                (random() - 0.5) * 0.02, // Slow horizontal drift
+                (random() - 0.5) * 0.01, // Very slow vertical drift
+                (random() - 0.5) * 0.02  // Slow horizontal drift
+            );
+            const saved = placeLayoutObject(`cloud:${i}`, 'cloud', cloudMesh, { velocity: velocity.toArray() });
+            if (saved?.data?.velocity) {
+                velocity.fromArray(saved.data.velocity);
+            }
 
             // Enable proper materials (no shadows for clouds - they're in the sky)
             cloudMesh.traverse((child) => {
@@ -1515,19 +1844,16 @@ async function loadAndGenerateClouds() {
 
             scene.add(cloudMesh);
 
-            // Store cloud with random velocity for animation
+            // Store cloud with its velocity for animation
             clouds.push({
                 mesh: cloudMesh,
-                velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.02, // Slow horizontal drift
-                    (Math.random() - 0.5) * 0.01, // Very slow vertical drift
-                    (Math.random() - 0.5) * 0.02  // Slow horizontal drift
-                ),
-                initialPosition: new THREE.Vector3(x, y, z), // Store initial position for boundary wrapping
+                velocity,
+                initialPosition: cloudMesh.position.clone(), // Store initial position for boundary wrapping
                 boundaryRadius: SKY_RADIUS
             });
 
-            console.log(`[CLOUDS] Placed cloud ${i + 1}/${NUM_CLOUDS} at (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`);
+            const { x: cloudX, y: cloudY, z: cloudZ } = cloudMesh.position;
+            console.log(`[CLOUDS] Placed cloud ${i + 1}/${NUM_CLOUDS} at (${cloudX.toFixed(1)}, ${cloudY.toFixed(1)}, ${cloudZ.toFixed(1)})`);
         }
 
         console.log('[OK] All clouds loaded and placed in sky!');
@@ -1537,126 +1863,6 @@ async function loadAndGenerateClouds() {
     }
 }
 
-// Generate riddle puzzle with Claude
-async function generateRiddlePuzzle(sessionId) {
-    console.log('[RIDDLE] Generating riddle puzzle...');
-
-    try {
-        const response = await fetch('/api/generate-riddle-puzzle', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId: sessionId })
-        });
-
-        const data = await response.json();
-
-        if (!data.success) {
-            throw new Error('Riddle generation failed: ' + data.error);
-        }
-
-        console.log(`[RIDDLE] Generated riddle ${data.cached ? '(cached)' : '(new)'}:`, data.riddle);
-
-        // Store riddle text globally
-        riddleText = data.riddle;
-
-        // Return object descriptions in order: [solution1, solution2, distractor1, distractor2, distractor3]
-        return {
-            success: true,
-            riddle: data.riddle,
-            objectDescriptions: [
-                { description: data.object1_description, type: 'solution', index: 0 },
-                { description: data.object2_description, type: 'solution', index: 1 },
-                { description: data.random_object1_description, type: 'distractor', index: 2 },
-                { description: data.random_object2_description, type: 'distractor', index: 3 },
-                { description: data.random_object3_description, type: 'distractor', index: 4 }
-            ],
-            cached: data.cached
-        };
-
-    } catch (error) {
-        console.error('[RIDDLE] Error generating riddle:', error);
-        return { success: false, error: error.message };
-    }
-}
-
-// Generate a single puzzle object (following createEnv pattern exactly)
-async function generatePuzzleObject(objectDesc, objectType, objectIndex, sessionId) {
-    console.log(`[PUZZLE] Generating puzzle object ${objectIndex} (${objectType})...`);
-
-    try {
-        // Step 0: Generate lore-friendly description via Claude
-        const llmPrompt = `Given this object description: "${objectDesc.description}", create a lore-friendly atmospheric description (2-3 sentences) that explains what this object is and why a player might encounter it in their adventure. Make it mysterious and engaging.`;
-
-        const llmResponse = await fetch('/api/llm/query', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: llmPrompt })
-        });
-        const llmData = await llmResponse.json();
-
-        const loreDescription = llmData.success ? llmData.answer : objectDesc.description;
-        console.log(`[PUZZLE] Generated lore for object ${objectIndex}`);
-
-        // Step 1: Generate image with white background
-        const imagePrompt = `Ultra high quality 3D object, ${objectDesc.description}, neutral white background, studio lighting setup, front view, highly detailed, perfect for 3D reconstruction, clean silhouette, 8K resolution, photorealistic, no shadows on ground, object centered in frame`;
-
-        const imageResponse = await fetch('/api/generate-character', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                pose: `puzzle_object_${objectIndex}`, // Unique pose identifier
-                character: imagePrompt,
-                sessionId: sessionId
-            })
-        });
-        const imageData = await imageResponse.json();
-
-        if (!imageData.success) {
-            throw new Error('Image generation failed: ' + imageData.error);
-        }
-
-        console.log(`[PUZZLE] Object ${objectIndex} image generated:`, imageData.imageUrl);
-        addImageToGallery(imageData.remoteUrl || imageData.imageUrl, `Puzzle Object ${objectIndex + 1}`);
-
-        // CRITICAL: Ensure we have remote URL for Trellis
-        if (!imageData.remoteUrl) {
-            throw new Error('No remote URL returned from image generation - Trellis requires remote URLs');
-        }
-
-        // Step 2: Generate 3D model with Trellis (single image) - use REMOTE URL only
-        const modelResponse = await fetch('/api/generate-3d-model', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                imageUrls: [imageData.remoteUrl], // Always use remote URL for Trellis
-                pose: `puzzle_object_${objectIndex}`,
-                modelType: userModelType, // Use same model type as character
-                sessionId: sessionId
-            })
-        });
-        const modelData = await modelResponse.json();
-
-        if (!modelData.success) {
-            throw new Error('3D model generation failed: ' + modelData.error);
-        }
-
-        console.log(`[PUZZLE] Object ${objectIndex} 3D model generated:`, modelData.modelUrl);
-
-        return {
-            success: true,
-            modelUrl: modelData.modelUrl,
-            description: objectDesc.description,
-            loreDescription: loreDescription, // Add lore description for interaction
-            type: objectType,
-            objectIndex: objectIndex
-        };
-
-    } catch (error) {
-        console.error(`[PUZZLE] Error generating puzzle object ${objectIndex}:`, error);
-        return { success: false, error: error.message };
-    }
-}
-
 // Place puzzle objects in scene with smart collision detection
 async function placePuzzleObjects(objectModels, existingObjects) {
     console.log(`[PUZZLE] Placing ${objectModels.length} puzzle objects...`);
@@ -1664,6 +1870,7 @@ async function placePuzzleObjects(objectModels, existingObjects) {
     const placementRadius = 15; // Closer than trees (18) but not too far
     const MIN_DISTANCE = 3; // Same as environmental objects
     const SOUTH_WALL_EXCLUSION_Z = -8; // Keep clear of south wall
+    const random = worldRandom('puzzle');
 
     for (let i = 0; i < objectModels.length; i++) {
         const objData = objectModels[i];
@@ -1686,7 +1893,7 @@ async function placePuzzleObjects(objectModels, existingObjects) {
             const maxDim = Math.max(size.x, size.y, size.z);
 
             // Scale to small size (0.5-1 unit) - collectible item size
-            const targetSize = 0.5 + Math.random() * 0.5; // Random between 0.5-1
+            const targetSize = 0.5 + random() * 0.5; // Random between 0.5-1
             const scale = targetSize / maxDim;
             mesh.scale.set(scale, scale, scale);
 
@@ -1700,8 +1907,8 @@ async function placePuzzleObjects(objectModels, existingObjects) {
 
             do {
                 // Generate random polar coordinates for circular distribution
-                const angle = Math.random() * Math.PI * 2;
-                const radius = Math.sqrt(Math.random()) * placementRadius;
+                const angle = random() * Math.PI * 2;
+                const radius = Math.sqrt(random()) * placementRadius;
 
                 x = Math.cos(angle) * radius;
                 z = Math.sin(angle) * radius;
@@ -1762,7 +1969,12 @@ async function placePuzzleObjects(objectModels, existingObjects) {
             mesh.position.set(x, y, z);
 
             // Random rotation around Y axis for variety
-            mesh.rotation.y = Math.random() * Math.PI * 2;
+            mesh.rotation.y = random() * Math.PI * 2;
+
+            // A saved layout puts the object back exactly where it was
+            if (placeLayoutObject(`puzzle:${layoutFileName(objData.modelUrl)}`, 'puzzle', mesh)) {
+                scaledSize.copy(size).multiply(mesh.scale);
+            }
 
             // Enable shadows
             mesh.traverse((child) => {
@@ -1795,7 +2007,7 @@ async function placePuzzleObjects(objectModels, existingObjects) {
                 material: groundMaterial
             });
 
-            objectBody.position.set(x, y, z);
+            objectBody.position.copy(mesh.position);
             objectBody.quaternion.copy(mesh.quaternion);
 
             world.addBody(objectBody);
@@ -1820,7 +2032,7 @@ async function placePuzzleObjects(objectModels, existingObjects) {
             interactableObjects.push(puzzleObject);
             console.log(`[INTERACTION] Registered puzzle_${objData.type} object for interaction (total: ${interactableObjects.length})`);
 
-            console.log(`[PUZZLE] Placed ${objData.type} object ${i + 1}/${objectModels.length} at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+            console.log(`[PUZZLE] Placed ${objData.type} object ${i + 1}/${objectModels.length} at (${mesh.position.x.toFixed(1)}, ${mesh.position.z.toFixed(1)})`);
 
         } catch (error) {
             console.error(`[PUZZLE] Error placing puzzle object ${i}:`, error);
@@ -1836,7 +2048,7 @@ async function createSinglePoster(prompt, position, rotation, sessionId, filenam
 
     try {
         // Generate meme image via API
-        const response = await fetch('/api/generate-meme', {
+        const data = await fetchGenerationJob('/api/generate-meme', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
@@ -1846,11 +2058,14 @@ async function createSinglePoster(prompt, position, rotation, sessionId, filenam
             })
         });
 
-        const data = await response.json();
         if (!data.success) {
             console.error(`[POSTER] Failed to generate ${filename}:`, data.error);
             return;
         }
+        if (data.coalesced) {
+            // Another tab or pipeline phase was already generating this poster
+            console.log(`[POSTER] Shared in-flight generation of ${filename}`);
+        }
 
         // Load texture
         const posterTexture = await new Promise((resolve, reject) => {
@@ -1882,6 +2097,7 @@ async function createSinglePoster(prompt, position, rotation, sessionId, filenam
         const posterMesh = new THREE.Mesh(posterGeometry, posterMaterial);
         posterMesh.position.set(position.x, position.y, position.z);
         posterMesh.rotation.y = rotation;
+        placeLayoutObject(`poster:${filename}`, 'poster', posterMesh);
 
         scene.add(posterMesh);
 
@@ -1971,6 +2187,7 @@ async function loadAndPlaceMemes(sessionId) {
         const wallWidth = 18; // Usable width for posters (with margins)
         const wallHeight = 4; // Wall height
         const posterSpacing = wallWidth / memeAssets.length; // Evenly space posters
+        const random = worldRandom('posters');
 
         for (let i = 0; i < memeAssets.length; i++) {
             const asset = memeAssets[i];
@@ -1982,11 +2199,11 @@ async function loadAndPlaceMemes(sessionId) {
             // Generate random position on South Wall
             // X position: spread across wall with some randomness
             const baseX = (i * posterSpacing) - (wallWidth / 2) + (posterSpacing / 2);
-            const randomOffsetX = (Math.random() - 0.5) * (posterSpacing * 0.5); // Random offset within spacing
+            const randomOffsetX = (random() - 0.5) * (posterSpacing * 0.5); // Random offset within spacing
             const x = baseX + randomOffsetX;
 
             // Y position: random height between 1.5 and 3.0
-            const y = 1.5 + Math.random() * 1.5;
+            const y = 1.5 + random() * 1.5;
 
             // Z position: South Wall (fixed)
             const z = -9.74;
@@ -2021,10 +2238,12 @@ async function loadAndPlaceMemes(sessionId) {
             const posterMesh = new THREE.Mesh(posterGeometry, posterMaterial);
             posterMesh.position.set(x, y, z);
             posterMesh.rotation.y = 0; // Face forward
+            placeLayoutObject(`poster:${filename}`, 'poster', posterMesh);
 
             scene.add(posterMesh);
 
-            console.log(`[MEMES] Loaded poster ${i + 1}/${memeAssets.length} at (${x.toFixed(1)}, ${y.toFixed(1)}, ${z})`);
+            const { x: posterX, y: posterY, z: posterZ } = posterMesh.position;
+            console.log(`[MEMES] Loaded poster ${i + 1}/${memeAssets.length} at (${posterX.toFixed(1)}, ${posterY.toFixed(1)}, ${posterZ})`);
         }
 
         console.log('[OK] All meme posters reloaded with random positions!');
@@ -2034,200 +2253,11 @@ async function loadAndPlaceMemes(sessionId) {
     }
 }
 
-// Create environmental objects (LLM → Image → Trellis pipeline)
-async function createEnv(character, sessionId, objectType = 'object') {
-    const typeLabel = objectType === 'tree' ? 'Trees' : 'Environmental Object';
-    console.log(`[ENV] Generating ${typeLabel} for character: ${character}...`);
-
-    try {
-        // Step 1: Ask LLM for BOTH visual AND lore descriptions
-        const llmPrompt = objectType === 'tree'
-            ? `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a TREE that fits thematically in this character's world:
-
-1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the tree's appearance - specific about type, size, materials, and visual features. This will be used to generate a 3D model.
-
-2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this tree is, why it exists in this character's world, and what makes it special or significant to the setting.
-
-Be specific and creative.`
-            : `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a recurring environmental object or prop that fits thematically in this character's world:
-
-1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the object's appearance - specific about materials, size, shape, and visual features. This will be used to generate a 3D model.
-
-2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this object is, why it exists in this character's world, and what makes it special or significant to the setting.
-
-Be specific and creative.`;
-
-        const llmResponse = await fetch('/api/llm/query', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: llmPrompt })
-        });
-        const llmData = await llmResponse.json();
-
-        if (!llmData.success) {
-            throw new Error('LLM query failed: ' + llmData.error);
-        }
-
-        const objectDescription = llmData.answer;
-        console.log(`[ENV] LLM generated ${typeLabel} description:`, objectDescription);
-
-        // Parse the response to extract visual and lore descriptions
-        // The LLM should return both descriptions in the answer
-        // For now, we'll use the full answer as visual description and extract lore
-        const loreDescription = objectDescription; // Full description includes lore context
-
-        // Step 2: Generate image with white background
-        const imagePrompt = `Ultra high quality 3D ${objectType === 'tree' ? 'tree' : 'object'}, ${objectDescription}, neutral white background, studio lighting setup, front view, highly detailed, perfect for 3D reconstruction, clean silhouette, 8K resolution, photorealistic, no shadows on ground, object centered in frame`;
-
-        const imageResponse = await fetch('/api/generate-character', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                pose: objectType, // Use 'tree' or 'object' as pose identifier
-                character: imagePrompt,
-                sessionId: sessionId
-            })
-        });
-        const imageData = await imageResponse.json();
-
-        if (!imageData.success) {
-            throw new Error('Image generation failed: ' + imageData.error);
-        }
-
-        console.log(`[ENV] ${typeLabel} image generated:`, imageData.imageUrl);
-        addImageToGallery(imageData.remoteUrl || imageData.imageUrl, `${typeLabel} - Base Image`);
-
-        // Ensure we have remote URL for Trellis
-        if (!imageData.remoteUrl) {
-            throw new Error('No remote URL returned from image generation - Trellis requires remote URLs');
-        }
-
-        // Step 3: Generate 3D model with Trellis (single image) - use REMOTE URL only
-        const modelResponse = await fetch('/api/generate-3d-model', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                imageUrls: [imageData.remoteUrl], // Always use remote URL for Trellis
-                pose: objectType,
-                modelType: userModelType, // Use same model type as character
-                sessionId: sessionId
-            })
-        });
-        const modelData = await modelResponse.json();
-
-        if (!modelData.success) {
-            throw new Error('3D model generation failed: ' + modelData.error);
-        }
-
-        console.log(`[ENV] ${typeLabel} 3D model generated:`, modelData.modelUrl);
-
-        return {
-            success: true,
-            modelUrl: modelData.modelUrl,
-            description: objectDescription,
-            loreDescription: loreDescription, // Add lore description to return value
-            objectType: objectType
-        };
-
-    } catch (error) {
-        console.error(`[ENV] Error generating ${typeLabel}:`, error);
-        return { success: false, error: error.message };
-    }
-}
-
-// Create character-themed objects (same pipeline as createEnv but character-specific)
-async function createCharacterThemedObject(character, sessionId, objectIndex) {
-    console.log(`[CHARACTER-THEMED] Generating character-themed object ${objectIndex} for: ${character}...`);
-
-    try {
-        // Step 1: Ask LLM for BOTH visual AND lore descriptions
-        const llmPrompt = `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a character-themed prop or object ${objectIndex + 1} that is directly related to this character's identity, profession, or background:
-
-1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the object's appearance - specific about materials, size, shape, and visual features. This object should be DIRECTLY associated with this character type (e.g., weapon, tool, equipment, personal item). This will be used to generate a 3D model.
-
-2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this object is, how it relates to the character, and why a player would recognize it as belonging to this character type.
-
-Make the object unique and thematically appropriate to the character.`;
-
-        const llmResponse = await fetch('/api/llm/query', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: llmPrompt })
-        });
-        const llmData = await llmResponse.json();
-
-        if (!llmData.success) {
-            throw new Error('LLM query failed: ' + llmData.error);
-        }
-
-        const objectDescription = llmData.answer;
-        const loreDescription = objectDescription; // Full description includes lore context
-        console.log(`[CHARACTER-THEMED] LLM generated object ${objectIndex} description:`, objectDescription);
-
-        // Step 2: Generate image with white background
-        const imagePrompt = `Ultra high quality 3D object, ${objectDescription}, neutral white background, studio lighting setup, front view, highly detailed, perfect for 3D reconstruction, clean silhouette, 8K resolution, photorealistic, no shadows on ground, object centered in frame`;
-
-        const imageResponse = await fetch('/api/generate-character', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                pose: `character_themed_${objectIndex}`,
-                character: imagePrompt,
-                sessionId: sessionId
-            })
-        });
-        const imageData = await imageResponse.json();
-
-        if (!imageData.success) {
-            throw new Error('Image generation failed: ' + imageData.error);
-        }
-
-        console.log(`[CHARACTER-THEMED] Object ${objectIndex} image generated:`, imageData.imageUrl);
-        addImageToGallery(imageData.remoteUrl || imageData.imageUrl, `Character Object ${objectIndex + 1}`);
-
-        // Ensure we have remote URL for Trellis
-        if (!imageData.remoteUrl) {
-            throw new Error('No remote URL returned from image generation - Trellis requires remote URLs');
-        }
-
-        // Step 3: Generate 3D model with Trellis - use REMOTE URL only
-        const modelResponse = await fetch('/api/generate-3d-model', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                imageUrls: [imageData.remoteUrl],
-                pose: `character_themed_${objectIndex}`,
-                modelType: userModelType,
-                sessionId: sessionId
-            })
-        });
-        const modelData = await modelResponse.json();
-
-        if (!modelData.success) {
-            throw new Error('3D model generation failed: ' + modelData.error);
-        }
-
-        console.log(`[CHARACTER-THEMED] Object ${objectIndex} 3D model generated:`, modelData.modelUrl);
-
-        return {
-            success: true,
-            modelUrl: modelData.modelUrl,
-            description: objectDescription,
-            loreDescription: loreDescription,
-            objectType: 'character_themed',
-            objectIndex: objectIndex
-        };
-
-    } catch (error) {
-        console.error(`[CHARACTER-THEMED] Error generating object ${objectIndex}:`, error);
-        return { success: false, error: error.message };
-    }
-}
-
 // Place environmental objects randomly on ground with physics
 async function placeEnvironmentalObjects(modelUrl, count, objectType, description, loreDescription = null) {
     const typeLabel = objectType === 'tree' ? 'Tree' : 'Object';
     console.log(`[ENV] Placing ${count} copies of ${typeLabel}...`);
+    const random = worldRandom(`env:${objectType}`);
 
     for (let i = 0; i < count; i++) {
         try {
@@ -2250,9 +2280,9 @@ async function placeEnvironmentalObjects(modelUrl, count, objectType, descriptio
             // Scale based on object type
             let targetSize;
             if (objectType === 'tree') {
-                targetSize = 4 + Math.random() * 2; // Trees: 4-6 units tall
+                targetSize = 4 + random() * 2; // Trees: 4-6 units tall
             } else {
-                targetSize = 1.5 + Math.random() * 1.5; // Objects: 1.5-3 units (variable)
+                targetSize = 1.5 + random() * 1.5; // Objects: 1.5-3 units (variable)
             }
 
             const scale = targetSize / maxDim;
@@ -2273,8 +2303,8 @@ async function placeEnvironmentalObjects(modelUrl, count, objectType, descriptio
             // Try to find a valid position (not too close to other objects, not in front of wall)
             do {
                 // Generate random polar coordinates for circular distribution
-                const angle = Math.random() * Math.PI * 2;
-                const radius = Math.sqrt(Math.random()) * placementRadius; // sqrt for uniform distribution
+                const angle = random() * Math.PI * 2;
+                const radius = Math.sqrt(random()) * placementRadius; // sqrt for uniform distribution
 
                 x = Math.cos(angle) * radius;
                 z = Math.sin(angle) * radius;
@@ -2306,7 +2336,12 @@ async function placeEnvironmentalObjects(modelUrl, count, objectType, descriptio
             mesh.position.set(x, y, z);
 
             // Random rotation around Y axis for variety
-            mesh.rotation.y = Math.random() * Math.PI * 2;
+            mesh.rotation.y = random() * Math.PI * 2;
+
+            // A saved layout puts the object back exactly where it was
+            if (placeLayoutObject(`env:${layoutFileName(modelUrl)}#${i}`, 'environmental', mesh)) {
+                scaledSize.copy(size).multiply(mesh.scale);
+            }
 
             // Enable shadows
             mesh.traverse((child) => {
@@ -2340,7 +2375,7 @@ async function placeEnvironmentalObjects(modelUrl, count, objectType, descriptio
             });
 
             // Position body at base of object
-            objectBody.position.set(x, y, z);
+            objectBody.position.copy(mesh.position);
             objectBody.quaternion.copy(mesh.quaternion);
 
             world.addBody(objectBody);
@@ -2360,7 +2395,7 @@ async function placeEnvironmentalObjects(modelUrl, count, objectType, descriptio
             // Register for universal interaction system
             registerInteractableObject(mesh, loreDescription || `A ${objectType} from this world.`, modelUrl, objectType);
 
-            console.log(`[ENV] Placed ${typeLabel} ${i + 1}/${count} at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+            console.log(`[ENV] Placed ${typeLabel} ${i + 1}/${count} at (${mesh.position.x.toFixed(1)}, ${mesh.position.z.toFixed(1)})`);
 
         } catch (error) {
             console.error(`[ENV] Error placing ${typeLabel} copy ${i + 1}:`, error);
@@ -2676,149 +2711,95 @@ function createFallbackGround() {
     // scene.add(gridHelper);
 }
 
-// Helper function for parallel API calls
-async function parallelFetch(requests) {
-    return Promise.all(
-        requests.map(async (req) => {
-            try {
-                const response = await fetch(req.url, req.options);
-                const data = await response.json();
-                return { ...data, _requestType: req.type, _requestMeta: req.meta };
-            } catch (error) {
-                console.error(`Error in ${req.type}:`, error);
-                return { success: false, error: error.message, _requestType: req.type, _requestMeta: req.meta };
-            }
-        })
-    );
-}
+// Poll a background job until it finishes and return its result payload
+async function waitForJob(jobId) {
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
 
-// Main generation pipeline - PARALLELIZED VERSION
-async function generateAllAssets(character = 'sci-fi robot warrior') {
-    const startTime = Date.now();
+        const jobResponse = await fetch(`/api/jobs/${jobId}`);
+        const jobData = await jobResponse.json();
 
-    try {
-        // ==================== PHASE 1: Ground + Idle Base (Parallel) ====================
-        updateLoadingUI('🚀 Phase 1: Starting parallel generation...', 'Ground texture + Idle character base');
-        console.log('🚀 PHASE 1: Generating ground and idle base in parallel...');
-        console.log(`Character: ${character}`);
-
-        const phase1Results = await parallelFetch([
-            {
-                type: 'ground',
-                url: '/api/generate-texture',
-                options: {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ sessionId: currentSessionId })
-                }
-            },
-            {
-                type: 'idle-base',
-                url: '/api/generate-character',
-                options: {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ pose: 'idle', character: character, sessionId: currentSessionId })
-                }
-            }
-        ]);
+        if (!jobData.success) {
+            throw new Error(jobData.error || 'Failed to get job status');
+        }
+
+        const { job } = jobData;
+        if (job.status === 'succeeded' || job.status === 'failed' || job.status === 'cancelled') {
+            return job.result || { success: false, error: job.error };
+        }
+    }
+}
 
-        // Process Phase 1 results
-        const groundData = phase1Results.find(r => r._requestType === 'ground');
-        const idleBaseData = phase1Results.find(r => r._requestType === 'idle-base');
+// Submit a generation request as a background job and poll until it finishes.
+// Resolves with the same payload the endpoint returns when run synchronously.
+async function fetchGenerationJob(url, options) {
+    const body = JSON.parse(options.body || '{}');
+    const response = await fetch(url, {
+        ...options,
+        body: JSON.stringify({ ...body, async: true })
+    });
+    const data = await response.json();
 
-        if (!groundData.success) throw new Error(groundData.error || 'Failed to generate ground');
-        if (!idleBaseData.success) throw new Error(idleBaseData.error || 'Failed to generate idle character');
+    // Errors raised before the job was queued (e.g. validation) come back directly
+    if (!data.jobId) {
+        return data;
+    }
+
+    return waitForJob(data.jobId);
+}
 
-        console.log(`✅ Phase 1 complete: Ground ${groundData.cached ? 'cached' : 'generated'}, Idle ${idleBaseData.cached ? 'cached' : 'generated'}`);
+// Main generation pipeline. The server builds the world (and keeps going if
+// this tab closes); the client only watches progress and renders the result.
+async function generateAllAssets(character = 'sci-fi robot warrior') {
+    const startTime = Date.now();
 
-        // Add ground texture to gallery
-        if (groundData.imageUrl) {
-            addImageToGallery(groundData.imageUrl, 'Ground Texture');
+    try {
+        updateLoadingUI('🚀 Starting world build...', 'Generation runs on the server');
+        console.log(`🚀 Requesting server-side build for character: ${character}`);
+
+        const response = await fetch(`/api/sessions/${currentSessionId}/build`, { method: 'POST' });
+        const buildJob = await response.json();
+        if (!buildJob.success) throw new Error(buildJob.error || 'Failed to start world build');
+        if (buildJob.coalesced) {
+            console.log('[BUILD] Joined the build already running for this session');
+        }
+        console.log(`[BUILD] ${buildJob.missing.length} steps to generate:`, buildJob.missing);
+        updateLoadingUI('♻️ Filling in missing assets...', `${buildJob.missing.length} steps to generate`);
+
+        // Phase labels and gallery images arrive over the session event stream
+        window.generationInProgress = true;
+        const build = await waitForJob(buildJob.jobId);
+        window.generationInProgress = false;
+
+        if (build.cancelled) {
+            // The session keeps everything generated so far and can be resumed later
+            console.log('🛑 World build cancelled');
+            await showSessionModal();
+            return;
+        }
+        if (!build.success) {
+            const error = new Error(build.error || 'World build failed');
+            error.code = build.code;
+            error.retryable = build.retryable;
+            throw error;
         }
 
-        // Add idle front image to gallery
-        if (idleBaseData.imageUrl || idleBaseData.remoteUrl) {
-            const url = idleBaseData.imageUrl || idleBaseData.remoteUrl;
-            addImageToGallery(url, 'Character - Idle Front');
+        console.log(`✅ Server build finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        if (build.skipped.length > 0) {
+            // Optional assets the server gave up on; the world is playable without them
+            build.skipped.forEach(failure => console.warn(`⚠️ Skipped ${failure.stepKey} (${failure.code}):`, failure.error));
         }
 
-        // Load and create ground while Phase 2 is running
-        const groundTexturePromise = new Promise((resolve, reject) => {
+        // ==================== GROUND, WALLS & POSTERS ====================
+        updateLoadingUI('🗺️ Building the world...', 'Ground, walls and posters');
+        const groundTexture = await new Promise((resolve, reject) => {
             textureLoader.load(
-                groundData.imageUrl + '?t=' + Date.now(),
+                build.groundUrl + '?t=' + Date.now(),
                 resolve,
                 undefined,
                 reject
             );
         });
-
-        const idleImageUrl = idleBaseData.remoteUrl || idleBaseData.imageUrl;
-
-        // ==================== RIDDLE PUZZLE: Start generation in background ====================
-        updateLoadingUI('🧩 Starting riddle puzzle generation...', 'Claude is creating a puzzle');
-        console.log('🧩 RIDDLE: Starting riddle puzzle generation...');
-
-        // Generate riddle and get object descriptions (parallel with everything else)
-        const riddleGenerationPromise = generateRiddlePuzzle(currentSessionId);
-
-        // ==================== ENV OBJECTS: Start generation in background ====================
-        updateLoadingUI('🌲 Starting environmental generation...', 'Creating thematic props, trees, and character objects');
-        console.log('🌲 ENV: Starting environmental objects, trees, and character-themed objects generation...');
-
-        const envPromises = [
-            createEnv(character, currentSessionId, 'object'),
-            createEnv(character, currentSessionId, 'tree'),
-            // Generate 5 character-themed objects in parallel
-            ...Array.from({ length: 5 }, (_, i) => createCharacterThemedObject(character, currentSessionId, i))
-        ];
-
-        // Don't await yet - let them run in background while we do Phase 2
-        const envGenerationPromise = Promise.all(envPromises);
-
-        // ==================== PHASE 2: Idle Views (5 Parallel) ====================
-        updateLoadingUI('⚡ Phase 2: Generating all idle views...', 'Creating 5 views in parallel');
-        console.log('⚡ PHASE 2: Generating 5 idle views in parallel...');
-
-        const views = ['back', 'left', 'right', 'angle_30', 'angle_-30'];
-        const phase2Requests = views.map(viewName => ({
-            type: 'idle-view',
-            meta: { viewName },
-            url: '/api/generate-view',
-            options: {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    pose: 'idle',
-                    viewName: viewName,
-                    imageUrl: idleImageUrl,
-                    sessionId: currentSessionId
-                })
-            }
-        }));
-
-        const phase2Results = await parallelFetch(phase2Requests);
-
-        // Collect idle view URLs in correct order for Trellis
-        const idleViewUrls = [idleImageUrl]; // Start with front
-        const viewOrder = ['back', 'left', 'right', 'angle_30', 'angle_-30'];
-
-        for (const viewName of viewOrder) {
-            const viewResult = phase2Results.find(r => r._requestMeta?.viewName === viewName);
-            if (viewResult?.success) {
-                const viewUrl = viewResult.remoteUrl || viewResult.imageUrl;
-                idleViewUrls.push(viewUrl);
-                console.log(`✅ Idle ${viewName} view ${viewResult.cached ? 'cached' : 'generated'}`);
-                // Add to gallery
-                const friendlyName = viewName.replace('_', ' ').replace('-', ' ');
-                addImageToGallery(viewUrl, `Idle - ${friendlyName}`);
-            } else {
-                console.warn(`⚠️ Failed to generate idle ${viewName} view`);
-            }
-        }
-
-        // Apply ground texture (from Phase 1)
-        const groundTexture = await groundTexturePromise;
         createGround(groundTexture);
 
         // Create boundary walls
@@ -2827,73 +2808,9 @@ async function generateAllAssets(character = 'sci-fi robot warrior') {
         // Create all meme posters on walls
         await createMemePosters(currentSessionId);
 
-        // ==================== PHASE 3: Idle 3D + Pose Bases (2 Parallel) ====================
-        updateLoadingUI('🎯 Phase 3: Building 3D models...', 'Idle 3D + Walking base pose');
-        console.log('🎯 PHASE 3: Generating idle 3D model and walking pose base in parallel...');
-
-        const phase3Results = await parallelFetch([
-            {
-                type: 'idle-3d',
-                url: '/api/generate-3d-model',
-                options: {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        imageUrls: userModelType === 'trellis' ? idleViewUrls.slice(0, 6) : idleViewUrls.slice(0, 5),  // Trellis supports 6, Rodin supports 5
-                        pose: 'idle',
-                        modelType: userModelType,  // Pass selected model type
-                        sessionId: currentSessionId  // Pass session ID for proper asset storage
-                    })
-                }
-            },
-            {
-                type: 'walking-base',
-                url: '/api/generate-pose',
-                options: {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ targetPose: 'walking', sessionId: currentSessionId })
-                }
-            }
-            // SHOOTING POSE GENERATION DISABLED
-            // {
-            //     type: 'shooting-base',
-            //     url: '/api/generate-pose',
-            //     options: {
-            //         method: 'POST',
-            //         headers: { 'Content-Type': 'application/json' },
-            //         body: JSON.stringify({ targetPose: 'shooting' })
-            //     }
-            // }
-        ]);
-
-        // Process Phase 3 results
-        const idleModelData = phase3Results.find(r => r._requestType === 'idle-3d');
-        const walkingBaseData = phase3Results.find(r => r._requestType === 'walking-base');
-        // const shootingBaseData = phase3Results.find(r => r._requestType === 'shooting-base');
-
-        if (!idleModelData.success) throw new Error(idleModelData.error || 'Failed to generate idle 3D model');
-        console.log(`✅ Idle 3D model ${idleModelData.cached ? 'cached' : 'generated'}`);
-
-        const walkingImageUrl = walkingBaseData?.success ? (walkingBaseData.remoteUrl || walkingBaseData.imageUrl) : null;
-        // const shootingImageUrl = shootingBaseData?.success ? (shootingBaseData.remoteUrl || shootingBaseData.imageUrl) : null;
-        const shootingImageUrl = null; // Shooting pose disabled
-
-        if (walkingImageUrl) {
-            console.log(`✅ Walking base ${walkingBaseData.cached ? 'cached' : 'generated'}`);
-            // Add walking base to gallery
-            addImageToGallery(walkingImageUrl, 'Character - Walking Front');
-        }
-        // if (shootingImageUrl) console.log(`✅ Shooting base ${shootingBaseData.cached ? 'cached' : 'generated'}`);
-
-        // ==================== ENV OBJECTS: Wait for generation and place in scene ====================
+        // ==================== ENV OBJECTS: Place in scene ====================
         updateLoadingUI('🌲 Placing environmental objects...', 'Adding props and trees to scene');
-        console.log('🌲 ENV: Waiting for environmental object generation to complete...');
-
-        const envResults = await envGenerationPromise;
-        const objectResult = envResults[0];
-        const treeResult = envResults[1];
-        const characterThemedResults = envResults.slice(2); // Remaining 5 are character-themed objects
+        const { object: objectResult, tree: treeResult, characterThemed: characterThemedResults } = build.environment;
 
         if (objectResult.success) {
             console.log('✅ Environmental object model ready:', objectResult.description);
@@ -2935,23 +2852,14 @@ async function generateAllAssets(character = 'sci-fi robot warrior') {
         await loadAndGenerateClouds();
         console.log('✅ Clouds ready!');
 
-        // ==================== RIDDLE PUZZLE OBJECTS: Wait for riddle and generate 5 objects in parallel ====================
-        updateLoadingUI('🧩 Generating puzzle objects...', 'Creating 5 3D puzzle items in parallel');
-        console.log('🧩 RIDDLE: Waiting for riddle generation and creating puzzle objects...');
-
-        const riddleData = await riddleGenerationPromise;
-        if (riddleData.success) {
-            console.log('✅ Riddle ready:', riddleData.riddle);
+        // ==================== RIDDLE PUZZLE OBJECTS ====================
+        updateLoadingUI('🧩 Placing puzzle objects...', 'Hiding the riddle items');
 
-            // Generate all 5 puzzle objects in parallel for maximum speed
-            const puzzleObjectPromises = riddleData.objectDescriptions.map(objDesc =>
-                generatePuzzleObject(objDesc, objDesc.type, objDesc.index, currentSessionId)
-            );
+        if (build.riddle.success) {
+            riddleText = build.riddle.riddle;
+            console.log('✅ Riddle ready:', riddleText);
 
-            const puzzleObjectResults = await Promise.all(puzzleObjectPromises);
-
-            // Filter successful results
-            const successfulPuzzleObjects = puzzleObjectResults.filter(result => result.success);
+            const successfulPuzzleObjects = build.puzzleObjects.filter(result => result.success);
 
             if (successfulPuzzleObjects.length > 0) {
                 console.log(`✅ Generated ${successfulPuzzleObjects.length}/5 puzzle objects`);
@@ -2963,160 +2871,27 @@ async function generateAllAssets(character = 'sci-fi robot warrior') {
                 console.warn('⚠️ No puzzle objects were successfully generated');
             }
         } else {
-            console.warn('⚠️ Riddle generation failed:', riddleData.error);
-        }
-
-        // ==================== PHASE 4: All Views + 3D Models (12 Parallel) ====================
-        updateLoadingUI('💥 Phase 4: Final parallel generation...', 'All remaining views and 3D models');
-        console.log('💥 PHASE 4: Generating all remaining views and 3D models in parallel...');
-
-        const phase4Requests = [];
-
-        // Add walking view requests if walking base succeeded
-        if (walkingImageUrl) {
-            views.forEach(viewName => {
-                phase4Requests.push({
-                    type: 'walking-view',
-                    meta: { viewName },
-                    url: '/api/generate-view',
-                    options: {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            pose: 'walking',
-                            viewName: viewName,
-                            imageUrl: walkingImageUrl,
-                            sessionId: currentSessionId
-                        })
-                    }
-                });
-            });
-        }
-
-        // SHOOTING VIEWS GENERATION DISABLED
-        // // Add shooting view requests if shooting base succeeded
-        // if (shootingImageUrl) {
-        //     views.forEach(viewName => {
-        //         phase4Requests.push({
-        //             type: 'shooting-view',
-        //             meta: { viewName },
-        //             url: '/api/generate-view',
-        //             options: {
-        //                 method: 'POST',
-        //                 headers: { 'Content-Type': 'application/json' },
-        //                 body: JSON.stringify({
-        //                     pose: 'shooting',
-        //                     viewName: viewName,
-        //                     imageUrl: shootingImageUrl
-        //                 })
-        //             }
-        //         });
-        //     });
-        // }
-
-        // Execute all Phase 4 view generations in parallel
-        let walkingViewUrls = [];
-        let shootingViewUrls = [];
-
-        if (phase4Requests.length > 0) {
-            const phase4Results = await parallelFetch(phase4Requests);
-
-            // Collect walking view URLs
-            if (walkingImageUrl) {
-                walkingViewUrls = [walkingImageUrl]; // Start with front
-                for (const viewName of viewOrder) {
-                    const viewResult = phase4Results.find(r =>
-                        r._requestType === 'walking-view' && r._requestMeta?.viewName === viewName
-                    );
-                    if (viewResult?.success) {
-                        const viewUrl = viewResult.remoteUrl || viewResult.imageUrl;
-                        walkingViewUrls.push(viewUrl);
-                        console.log(`✅ Walking ${viewName} view ${viewResult.cached ? 'cached' : 'generated'}`);
-                        // Add to gallery
-                        const friendlyName = viewName.replace('_', ' ').replace('-', ' ');
-                        addImageToGallery(viewUrl, `Walking - ${friendlyName}`);
-                    }
-                }
-            }
-
-            // SHOOTING VIEW COLLECTION DISABLED
-            // // Collect shooting view URLs
-            // if (shootingImageUrl) {
-            //     shootingViewUrls = [shootingImageUrl]; // Start with front
-            //     for (const viewName of viewOrder) {
-            //         const viewResult = phase4Results.find(r =>
-            //             r._requestType === 'shooting-view' && r._requestMeta?.viewName === viewName
-            //         );
-            //         if (viewResult?.success) {
-            //             shootingViewUrls.push(viewResult.remoteUrl || viewResult.imageUrl);
-            //             console.log(`✅ Shooting ${viewName} view ${viewResult.cached ? 'cached' : 'generated'}`);
-            //         }
-            //     }
-            // }
-        }
-
-        // Generate 3D models for walking and shooting in parallel
-        const phase4ModelRequests = [];
-
-        if (walkingViewUrls.length >= 3) {
-            phase4ModelRequests.push({
-                type: 'walking-3d',
-                url: '/api/generate-3d-model',
-                options: {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        imageUrls: userModelType === 'trellis' ? walkingViewUrls.slice(0, 6) : walkingViewUrls.slice(0, 5),  // Trellis supports 6, Rodin supports 5
-                        pose: 'walking',
-                        modelType: userModelType,  // Pass selected model type
-                        sessionId: currentSessionId  // Pass session ID for proper asset storage
-                    })
-                }
-            });
-        }
-
-        // SHOOTING 3D MODEL GENERATION DISABLED
-        // if (shootingViewUrls.length >= 3) {
-        //     phase4ModelRequests.push({
-        //         type: 'shooting-3d',
-        //         url: '/api/generate-3d-model',
-        //         options: {
-        //             method: 'POST',
-        //             headers: { 'Content-Type': 'application/json' },
-        //             body: JSON.stringify({
-        //                 imageUrls: shootingViewUrls.slice(0, 6),
-        //                 pose: 'shooting'
-        //             })
-        //         }
-        //     });
-        // }
-
-        if (phase4ModelRequests.length > 0) {
-            updateLoadingUI('🎲 Finalizing 3D models...', 'Converting walking pose to 3D');
-            const phase4ModelResults = await parallelFetch(phase4ModelRequests);
-
-            phase4ModelResults.forEach(result => {
-                if (result.success) {
-                    const poseType = result._requestType.replace('-3d', '');
-                    console.log(`✅ ${poseType} 3D model ${result.cached ? 'cached' : 'generated'}`);
-                }
-            });
+            console.warn('⚠️ Riddle generation failed:', build.riddle.error);
         }
 
         // ==================== FINAL: Load Character ====================
         updateLoadingUI('📦 Loading 3D character...', 'Preparing scene');
 
         // Load the character model - ensure modelUrl exists
-        if (idleModelData.modelUrl) {
-            await loadCharacterModel(idleModelData.modelUrl + '?t=' + Date.now());
+        if (build.character.idle.modelUrl) {
+            await loadCharacterModel(build.character.idle.modelUrl + '?t=' + Date.now());
         } else {
-            console.error('No model URL found in idle model data');
+            console.error('No model URL found in build result');
             throw new Error('Failed to get 3D model URL');
         }
 
+        // Remember where everything landed so reloads look the same
+        await saveLayout(currentSessionId);
+        restoreGameState();
+
         // Calculate and log total time
         const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-        console.log(`🎉 All assets loaded in ${totalTime}s! (Parallel pipeline)`);
+        console.log(`🎉 All assets loaded in ${totalTime}s! (Server-side pipeline)`);
 
         // All done! - Hide loading modal
         console.log('[UI] Hiding loading modal...');
@@ -3124,10 +2899,26 @@ async function generateAllAssets(character = 'sci-fi robot warrior') {
         loadingElement.style.display = 'none'; // Force hide with inline style as well
 
     } catch (error) {
+        window.generationInProgress = false;
         console.error('❌ Error in generation pipeline:', error);
+
+        if (error.retryable) {
+            // Provider trouble that outlasted the server's retries. Everything
+            // generated so far is kept, so the build can be resumed later.
+            updateLoadingUI(
+                '<span style="color: #ffaa00;">Generation service unavailable</span>',
+                `${error.message} (${error.code}) - resume this world from the session list`
+            );
+            setTimeout(() => {
+                loadingElement.classList.add('hidden');
+                showSessionModal();
+            }, 4000);
+            return;
+        }
+
         updateLoadingUI(
             '<span style="color: #ff4444;">Error generating assets!</span>',
-            error.message
+            error.code ? `${error.message} (${error.code})` : error.message
         );
 
         // Wait a moment to show the error, then create fallback
@@ -3514,6 +3305,39 @@ window.addEventListener('keyup', (event) => {
     if (key === ' ') keys.space = false;
 });
 
+// Lock the character's orientation and switch to gameplay (the S key in
+// setup mode, or a restored game that was already past setup)
+function enterGameplayMode() {
+    savedOrientation = characterModel.rotation.y;
+    gameplayMode = true;
+    console.log('[SETUP] Orientation saved! Gameplay mode activated');
+    console.log('[SETUP] Saved orientation:', savedOrientation);
+
+    // Set camera behind character for third-person view
+    // Note: In Three.js, positive Z is towards the camera, so "behind" means positive Z
+    const cameraOffset = new THREE.Vector3(0, 3, -8); // Behind and above (negative Z is forward)
+    const rotatedOffset = cameraOffset.clone();
+    rotatedOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), characterModel.rotation.y);
+
+    // Position camera behind character
+    camera.position.copy(characterModel.position).add(rotatedOffset);
+
+    // Make camera look at character
+    controls.target.copy(characterModel.position);
+    controls.target.y += 1;
+    controls.update();
+
+    // Update UI to show gameplay mode
+    document.getElementById('game-mode').textContent = 'GAMEPLAY';
+    document.getElementById('game-mode').style.color = '#00ff00';
+
+    // Hide setup message
+    const setupMsg = document.getElementById('setup-message');
+    if (setupMsg) {
+        setupMsg.style.display = 'none';
+    }
+}
+
 // Keyboard controls for debug/rotation
 let helpersVisible = false;  // Start with helpers hidden
 let debugInfoVisible = false;  // Start with debug info hidden
@@ -3546,34 +3370,8 @@ window.addEventListener('keydown', (event) => {
 
         // S - Save orientation and enter gameplay mode
         if (key === 's' && characterModel) {
-            savedOrientation = characterModel.rotation.y;
-            gameplayMode = true;
-            console.log('[SETUP] Orientation saved! Gameplay mode activated');
-            console.log('[SETUP] Saved orientation:', savedOrientation);
-
-            // Set camera behind character for third-person view
-            // Note: In Three.js, positive Z is towards the camera, so "behind" means positive Z
-            const cameraOffset = new THREE.Vector3(0, 3, -8); // Behind and above (negative Z is forward)
-            const rotatedOffset = cameraOffset.clone();
-            rotatedOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), characterModel.rotation.y);
-
-            // Position camera behind character
-            camera.position.copy(characterModel.position).add(rotatedOffset);
-
-            // Make camera look at character
-            controls.target.copy(characterModel.position);
-            controls.target.y += 1;
-            controls.update();
-
-            // Update UI to show gameplay mode
-            document.getElementById('game-mode').textContent = 'GAMEPLAY';
-            document.getElementById('game-mode').style.color = '#00ff00';
-
-            // Hide setup message
-            const setupMsg = document.getElementById('setup-message');
-            if (setupMsg) {
-                setupMsg.style.display = 'none';
-            }
+            enterGameplayMode();
+            saveGameState('start');
         }
     }
 
@@ -3662,6 +3460,18 @@ window.addEventListener('keydown', (event) => {
         }
     }
 
+    // P - Save progress now (only in gameplay mode)
+    if (key === 'p' && gameplayMode) {
+        saveGameState('manual');
+    }
+
+    // K - Save progress to a named slot (only in gameplay mode)
+    if (key === 'k' && gameplayMode) {
+        // Release held keys; the name prompt swallows their keyup
+        Object.keys(keys).forEach(name => { keys[name] = false; });
+        saveGameToSlot();
+    }
+
     // F - Universal object interaction (when in proximity and in gameplay mode)
     if (key === 'f' && gameplayMode && nearestInteractableObject) {
         console.log('[INTERACTION] F key pressed - interacting with nearest object');
@@ -3673,7 +3483,9 @@ window.addEventListener('keydown', (event) => {
             // Check if player has all solution objects (victory condition)
             if (hasAllSolutionObjects()) {
                 console.log('[VICTORY] Player has all solution objects! Showing congratulations modal');
+                riddleSolved = true;
                 showCongratulationsModal();
+                saveGameState('victory');
             } else {
                 console.log('[INTERACTION] Showing Nemotron dialogue (riddle)');
                 showNemotronDialogue();
@@ -3686,26 +3498,70 @@ window.addEventListener('keydown', (event) => {
     }
 });
 
+// Autosave progress while playing, and once more when the page closes
+setInterval(() => saveGameState('autosave'), AUTOSAVE_INTERVAL_MS);
+window.addEventListener('beforeunload', () => {
+    saveGameState('unload');
+});
+
 // Session management functions
-async function loadSessions() {
+
+// Sessions shown in the session list, and the cursor of the page after them
+let listedSessions = [];
+let sessionListCursor = null;
+
+// Query string for the session list from the search, filter and sort controls
+function sessionListQuery() {
+    const params = new URLSearchParams();
+    const search = document.getElementById('session-search').value.trim();
+    const filters = {
+        modelType: document.getElementById('session-filter-model').value,
+        playerMode: document.getElementById('session-filter-players').value,
+        buildStatus: document.getElementById('session-filter-build').value,
+        riddleSolved: document.getElementById('session-filter-riddle').value
+    };
+    if (search) params.set('search', search);
+    for (const [name, value] of Object.entries(filters)) {
+        if (value) params.set(name, value);
+    }
+    const [sort, order] = document.getElementById('session-sort').value.split(':');
+    params.set('sort', sort);
+    if (order) params.set('order', order);
+    return params;
+}
+
+// Load a page of sessions matching the session list controls (the first
+// page, or the one after `cursor`)
+async function loadSessions(cursor = null) {
     try {
-        const response = await fetch('/api/sessions');
+        const params = sessionListQuery();
+        if (cursor) params.set('cursor', cursor);
+        const response = await fetch(`/api/sessions?${params}`);
         const data = await response.json();
         if (data.success) {
+            sessionListCursor = data.nextCursor;
             return data.sessions;
         }
     } catch (error) {
         console.error('Error loading sessions:', error);
     }
+    sessionListCursor = null;
     return [];
 }
 
-async function createSession(character, modelType, playerMode) {
+// Append the next page to the session list
+async function loadMoreSessions() {
+    if (!sessionListCursor) return;
+    const sessions = await loadSessions(sessionListCursor);
+    displaySessionList(listedSessions.concat(sessions));
+}
+
+async function createSession(character, modelType, playerMode, worldSeed = null) {
     try {
         const response = await fetch('/api/sessions/create', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ character, modelType, playerMode })
+            body: JSON.stringify({ character, modelType, playerMode, worldSeed })
         });
         const data = await response.json();
         if (data.success) {
@@ -3743,6 +3599,336 @@ async function deleteSession(sessionId) {
     return false;
 }
 
+// Change a session's name, tags, favorite or protected flag
+async function updateSessionLabels(sessionId, labels) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(labels)
+        });
+        const data = await response.json();
+        if (data.success) {
+            return true;
+        }
+        alert(`Could not update session: ${data.error}`);
+    } catch (error) {
+        console.error('Error updating session:', error);
+    }
+    return false;
+}
+
+// Ask for a new name and tags for a session from the session list
+async function editSessionLabels(session) {
+    const name = prompt('Session name (empty to show the character):', session.name || '');
+    if (name === null) return false;
+    const tags = prompt('Tags, separated by commas:', session.tags.join(', '));
+    if (tags === null) return false;
+
+    return updateSessionLabels(session.id, {
+        name,
+        tags: tags.split(',').filter(tag => tag.trim())
+    });
+}
+
+// Start a new world with the character of an existing session. The world
+// is generated when the fork is played, like a new session's.
+async function forkSession(sessionId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/fork`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ build: false })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.session;
+        }
+        alert(`Fork failed: ${data.error}`);
+    } catch (error) {
+        console.error('Error forking session:', error);
+    }
+    return null;
+}
+
+async function loadTrash() {
+    try {
+        const response = await fetch('/api/trash');
+        const data = await response.json();
+        if (data.success) {
+            return data.sessions;
+        }
+    } catch (error) {
+        console.error('Error loading trash:', error);
+    }
+    return [];
+}
+
+// Take a session out of the trash, or delete it for good with `purge`
+async function updateTrashedSession(sessionId, purge) {
+    try {
+        const response = await fetch(purge ? `/api/trash/${sessionId}` : `/api/trash/${sessionId}/restore`, {
+            method: purge ? 'DELETE' : 'POST'
+        });
+        const data = await response.json();
+        return data.success;
+    } catch (error) {
+        console.error('Error updating trashed session:', error);
+    }
+    return false;
+}
+
+// List the trashed sessions with buttons to restore or purge each one
+async function renderTrashList(container) {
+    const sessions = await loadTrash();
+    if (sessions.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: #888;">The trash is empty.</p>';
+        return;
+    }
+
+    container.innerHTML = sessions.map(session => `
+        <div class="trash-item">
+            <div>
+                <div>${escapeHtml(session.name || session.character_description)}</div>
+                <div class="trash-purge-date">Deleted forever on ${new Date(session.purge_at).toLocaleDateString()}</div>
+            </div>
+            <div class="session-actions">
+                <button class="restore-session-btn" data-session-id="${session.id}">Restore</button>
+                <button class="delete-session-btn" data-session-id="${session.id}">Delete forever</button>
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.restore-session-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (await updateTrashedSession(btn.dataset.sessionId, false)) {
+                await renderTrashList(container);
+                displaySessionList(await loadSessions());
+            }
+        });
+    });
+    container.querySelectorAll('.delete-session-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (confirm('Permanently delete this session and all its assets? This cannot be undone.') &&
+                await updateTrashedSession(btn.dataset.sessionId, true)) {
+                await renderTrashList(container);
+            }
+        });
+    });
+}
+
+// Restore a session from an exported bundle file
+async function importSession(file) {
+    try {
+        const response = await fetch('/api/sessions/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/gzip' },
+            body: file
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        alert(`Import failed: ${data.error}`);
+    } catch (error) {
+        console.error('Error importing session:', error);
+    }
+    return null;
+}
+
+async function loadSaveSlots(sessionId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/slots`);
+        const data = await response.json();
+        if (data.success) {
+            return data.slots;
+        }
+    } catch (error) {
+        console.error('Error loading save slots:', error);
+    }
+    return [];
+}
+
+// Save to a named slot; without a gameState the server copies the session's
+// last saved progress
+async function createSaveSlot(sessionId, name, gameState) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/slots`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, gameState })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.slot;
+        }
+        console.error('Error saving slot:', data.error);
+    } catch (error) {
+        console.error('Error saving slot:', error);
+    }
+    return null;
+}
+
+async function deleteSaveSlot(sessionId, slotId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/slots/${slotId}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        return data.success;
+    } catch (error) {
+        console.error('Error deleting save slot:', error);
+    }
+    return false;
+}
+
+// Make a slot the session's current progress and start playing from it
+async function playSaveSlot(sessionId, slotId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/slots/${slotId}/load`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        console.log(`[SAVE] Loaded slot "${data.slot.name}"`);
+        await startSessionGame(sessionId);
+    } catch (error) {
+        console.error('Error loading save slot:', error);
+    }
+}
+
+// Save the current progress to a slot named by the player (K in gameplay)
+async function saveGameToSlot() {
+    if (!currentSessionId || !gameStateReady || !characterModel || !characterBody) return;
+
+    const name = prompt('Save slot name:');
+    if (!name || !name.trim()) return;
+
+    const slot = await createSaveSlot(currentSessionId, name.trim(), {
+        ...collectGameState(),
+        savedAt: new Date().toISOString()
+    });
+    if (slot) {
+        const saveStatus = document.getElementById('save-status');
+        saveStatus.textContent = `💾 Saved to slot "${slot.name}"`;
+        saveStatus.style.display = 'block';
+        console.log(`[SAVE] Saved to slot "${slot.name}"`);
+    }
+}
+
+// Escape text typed by players, or read from an imported bundle, before
+// putting it in HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Show a session's save slots under its entry in the session list
+async function renderSlotPicker(sessionId, container) {
+    const slots = await loadSaveSlots(sessionId);
+
+    container.innerHTML = `
+        ${slots.length === 0 ? '<div class="slot-empty">No save slots yet</div>' : ''}
+        ${slots.map(slot => `
+            <div class="slot-item">
+                <span class="slot-name">${escapeHtml(slot.name)}</span>
+                <span class="slot-details">${slot.gameState ? `${(slot.gameState.bag || []).length} items${slot.gameState.riddleSolved ? ', solved' : ''}` : 'Fresh start'}
+                    · ${new Date(slot.updatedAt).toLocaleString()}</span>
+                <button class="slot-load-btn" data-slot-id="${slot.slotId}">Load</button>
+                <button class="slot-delete-btn" data-slot-id="${slot.slotId}">Delete</button>
+            </div>
+        `).join('')}
+        <div class="slot-create">
+            <input type="text" class="slot-name-input" placeholder="Save current progress as..." maxlength="60">
+            <button class="slot-create-btn">Save</button>
+        </div>
+    `;
+
+    container.querySelectorAll('.slot-load-btn').forEach(btn => {
+        btn.addEventListener('click', () => playSaveSlot(sessionId, btn.dataset.slotId));
+    });
+    container.querySelectorAll('.slot-delete-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (confirm('Delete this save slot?') && await deleteSaveSlot(sessionId, btn.dataset.slotId)) {
+                await renderSlotPicker(sessionId, container);
+            }
+        });
+    });
+
+    const nameInput = container.querySelector('.slot-name-input');
+    container.querySelector('.slot-create-btn').addEventListener('click', async () => {
+        const name = nameInput.value.trim();
+        if (name && await createSaveSlot(sessionId, name)) {
+            await renderSlotPicker(sessionId, container);
+        }
+    });
+}
+
+// Ask the server to stop a session's in-flight generation
+async function cancelGeneration(sessionId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/cancel`, { method: 'POST' });
+        const data = await response.json();
+        if (data.success) {
+            console.log(`[UI] Stopped generation process (${data.cancelled} job(s) cancelled)`);
+            return true;
+        }
+    } catch (error) {
+        console.error('Error cancelling generation:', error);
+    }
+    return false;
+}
+
+// Return to the session list, e.g. after a build was cancelled
+async function showSessionModal() {
+    const sessions = await loadSessions();
+    displaySessionList(sessions);
+
+    const sessionModal = document.getElementById('session-modal');
+    sessionModal.classList.remove('hidden');
+    sessionModal.style.display = '';
+}
+
+// Ask the server which pipeline steps a session is still missing
+async function loadResumePlan(sessionId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/build/plan`);
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+    } catch (error) {
+        console.error('Error loading resume plan:', error);
+    }
+    return null;
+}
+
+// Fill in a playable session's missing assets on the server while the player plays
+async function resumeBuildInBackground(sessionId, missing) {
+    const resumeStatus = document.getElementById('resume-status');
+    resumeStatus.textContent = `♻️ Filling in ${missing.length} missing assets...`;
+    resumeStatus.style.display = 'block';
+    console.log('[RESUME] Filling in missing steps in the background:', missing);
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/build`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        const build = await waitForJob(data.jobId);
+        if (!build.success) throw new Error(build.error);
+
+        // New assets are picked up the next time the session is loaded
+        resumeStatus.textContent = '✅ Session assets complete';
+        console.log('[RESUME] Background build finished');
+    } catch (error) {
+        resumeStatus.textContent = '⚠️ Some assets could not be generated';
+        console.error('[RESUME] Background build failed:', error);
+    }
+}
+
 // Check if session assets exist and load them directly
 async function checkAndLoadSessionAssets(sessionId) {
     try {
@@ -3760,20 +3946,8 @@ async function checkAndLoadSessionAssets(sessionId) {
         console.log(`[SESSION] Found ${data.assets.length} assets in database`);
         console.log('[SESSION] Asset types:', [...new Set(data.assets.map(a => a.asset_type))]);
 
-        // Check for minimum required assets to load the game
-        const hasGround = data.assets.some(a => a.asset_type === 'ground');
-        // Check if idle model exists in the file system (not database, since models aren't recorded yet)
+        // The resume plan has already confirmed the ground and idle model exist
         const modelPath = `/assets/${sessionId}/models/character_idle.glb`;
-        const modelCheckResponse = await fetch(`${modelPath}`, { method: 'HEAD' });
-        const hasIdleModel = modelCheckResponse.ok;
-
-        console.log(`[SESSION] Has ground texture: ${hasGround}`);
-        console.log(`[SESSION] Has idle model at ${modelPath}: ${hasIdleModel}`);
-
-        if (!hasGround || !hasIdleModel) {
-            console.log('[SESSION] Missing required assets - will regenerate');
-            return false;
-        }
 
         console.log(`[SESSION] Found ${data.assets.length} assets, loading directly...`);
 
@@ -3828,6 +4002,15 @@ async function checkAndLoadSessionAssets(sessionId) {
             console.log('[SESSION] No environmental object model found in session');
         }
 
+        // Character-themed objects, one copy each, in generation order
+        const characterThemedModels = data.assets
+            .filter(a => a.asset_type === 'models' && a.pose?.startsWith('character_themed_'))
+            .sort((a, b) => a.pose.localeCompare(b.pose, undefined, { numeric: true }));
+        for (const themedModel of characterThemedModels) {
+            const themedModelUrl = `/assets/${sessionId}/models/character_${themedModel.pose}.glb`;
+            await placeEnvironmentalObjects(themedModelUrl, 1, 'character_themed', null);
+        }
+
         // Create altar and load Nemotron model
         createAltar();
         await loadNemotronModel();
@@ -3845,20 +4028,32 @@ async function checkAndLoadSessionAssets(sessionId) {
                     riddleText = metadata.riddle.riddle;
                     console.log('[SESSION] Loaded riddle from session:', riddleText);
 
+                    // Riddle objects in model order: two solutions, then three distractors
+                    const objectDescriptions = [
+                        metadata.riddle.object1_description,
+                        metadata.riddle.object2_description,
+                        metadata.riddle.random_object1_description,
+                        metadata.riddle.random_object2_description,
+                        metadata.riddle.random_object3_description
+                    ];
+
                     // Check for puzzle object GLB files
                     const puzzleObjectPaths = [];
+                    const puzzleObjectIndexes = [];
                     for (let i = 0; i < 5; i++) {
                         const modelPath = `/assets/${sessionId}/models/character_puzzle_object_${i}.glb`;
                         const checkResponse = await fetch(`${modelPath}`, { method: 'HEAD' });
                         if (checkResponse.ok) {
                             puzzleObjectPaths.push(modelPath);
+                            puzzleObjectIndexes.push(i);
                         }
                     }
 
                     if (puzzleObjectPaths.length > 0) {
                         console.log(`[SESSION] Found ${puzzleObjectPaths.length} puzzle objects, loading...`);
 
-                        // Load and place puzzle objects
+                        // Load and place puzzle objects (same seeded stream as fresh generation)
+                        const random = worldRandom('puzzle');
                         for (let i = 0; i < puzzleObjectPaths.length; i++) {
                             try {
                                 const gltf = await new Promise((resolve, reject) => {
@@ -3878,7 +4073,7 @@ async function checkAndLoadSessionAssets(sessionId) {
                                 const maxDim = Math.max(size.x, size.y, size.z);
 
                                 // Scale to small size (0.5-1 unit)
-                                const targetSize = 0.5 + Math.random() * 0.5;
+                                const targetSize = 0.5 + random() * 0.5;
                                 const scale = targetSize / maxDim;
                                 mesh.scale.set(scale, scale, scale);
 
@@ -3895,8 +4090,8 @@ async function checkAndLoadSessionAssets(sessionId) {
                                 const maxAttempts = 100;
 
                                 do {
-                                    const angle = Math.random() * Math.PI * 2;
-                                    const radius = Math.sqrt(Math.random()) * placementRadius;
+                                    const angle = random() * Math.PI * 2;
+                                    const radius = Math.sqrt(random()) * placementRadius;
                                     x = Math.cos(angle) * radius;
                                     z = Math.sin(angle) * radius;
 
@@ -3949,7 +4144,12 @@ async function checkAndLoadSessionAssets(sessionId) {
 
                                 const y = scaledSize.y / 2;
                                 mesh.position.set(x, y, z);
-                                mesh.rotation.y = Math.random() * Math.PI * 2;
+                                mesh.rotation.y = random() * Math.PI * 2;
+
+                                // A saved layout puts the object back exactly where it was
+                                if (placeLayoutObject(`puzzle:${layoutFileName(puzzleObjectPaths[i])}`, 'puzzle', mesh)) {
+                                    scaledSize.copy(size).multiply(mesh.scale);
+                                }
 
                                 // Enable shadows
                                 mesh.traverse((child) => {
@@ -3978,21 +4178,30 @@ async function checkAndLoadSessionAssets(sessionId) {
                                     shape: new CANNON.Box(halfExtents),
                                     material: groundMaterial
                                 });
-                                objectBody.position.set(x, y, z);
+                                objectBody.position.copy(mesh.position);
                                 objectBody.quaternion.copy(mesh.quaternion);
                                 world.addBody(objectBody);
 
-                                // Store with metadata
-                                const objIndex = i;
+                                // Store with metadata (the index of its model, as in a fresh build)
+                                const objIndex = puzzleObjectIndexes[i];
                                 const objType = objIndex < 2 ? 'solution' : 'distractor';
-                                puzzleObjects.push({
+                                const description = objectDescriptions[objIndex] || `Puzzle object ${objIndex + 1}`;
+                                const puzzleObject = {
                                     mesh: mesh,
                                     body: objectBody,
                                     isPuzzleObject: true,
                                     puzzleType: objType,
                                     objectIndex: objIndex,
+                                    description,
+                                    loreDescription: description,
+                                    modelUrl: puzzleObjectPaths[i],
+                                    objectType: `puzzle_${objType}`,
                                     preparingForInteraction: true
-                                });
+                                };
+                                puzzleObjects.push(puzzleObject);
+
+                                // Register for interaction, like freshly placed objects
+                                interactableObjects.push(puzzleObject);
 
                                 console.log(`[SESSION] Placed puzzle object ${i + 1}/${puzzleObjectPaths.length}`);
 
@@ -4013,6 +4222,10 @@ async function checkAndLoadSessionAssets(sessionId) {
             }
         }
 
+        // Keep the layout, including anything placed for the first time
+        await saveLayout(sessionId);
+        restoreGameState();
+
         // Hide loading modal immediately - no generation needed
         loadingElement.classList.add('hidden');
         loadingElement.style.display = 'none';
@@ -4028,28 +4241,51 @@ async function checkAndLoadSessionAssets(sessionId) {
 
 function displaySessionList(sessions) {
     const sessionList = document.getElementById('session-list');
+    listedSessions = sessions;
+    document.getElementById('load-more-sessions-btn').classList.toggle('hidden', !sessionListCursor);
 
     if (sessions.length === 0) {
-        sessionList.innerHTML = '<p style="text-align: center; color: #888;">No existing sessions. Start a new adventure!</p>';
+        const filtered = [...sessionListQuery().keys()].some(name => name !== 'sort' && name !== 'order');
+        sessionList.innerHTML = filtered
+            ? '<p style="text-align: center; color: #888;">No sessions match your search.</p>'
+            : '<p style="text-align: center; color: #888;">No existing sessions. Start a new adventure!</p>';
         return;
     }
 
     sessionList.innerHTML = sessions.map(session => {
         const date = new Date(session.last_accessed);
         const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+        const resumable = session.build_status === 'cancelled' || session.build_status === 'failed';
+
+        const tags = session.tags.map(tag => `<span class="session-tag">${escapeHtml(tag)}</span>`).join('');
 
         return `
-            <div class="session-item" data-session-id="${session.id}">
+            <div class="session-item${session.favorite ? ' favorite' : ''}" data-session-id="${session.id}">
                 <div class="session-item-header">
-                    <div class="session-character">${session.character_description}</div>
-                    <button class="delete-session-btn" data-session-id="${session.id}">Delete</button>
+                    <div class="session-character">${escapeHtml(session.name || session.character_description)}</div>
+                    <div class="session-actions">
+                        <button class="favorite-session-btn" data-session-id="${session.id}" title="${session.favorite ? 'Unfavorite' : 'Favorite (never cleaned up)'}">${session.favorite ? '★' : '☆'}</button>
+                        <button class="protect-session-btn${session.protected ? ' active' : ''}" data-session-id="${session.id}" title="${session.protected ? 'Unprotect' : 'Protect from automatic cleanup'}">🔒</button>
+                        <button class="edit-session-btn" data-session-id="${session.id}">Edit</button>
+                        <button class="slots-session-btn" data-session-id="${session.id}">💾 Slots (${session.slot_count || 0})</button>
+                        <button class="fork-session-btn" data-session-id="${session.id}" title="New world, same character">Fork</button>
+                        <a class="export-session-btn" href="/api/sessions/${session.id}/export" download>Export</a>
+                        <button class="delete-session-btn" data-session-id="${session.id}">Delete</button>
+                    </div>
                 </div>
+                ${session.name ? `<div class="session-prompt">${escapeHtml(session.character_description)}</div>` : ''}
+                ${tags ? `<div class="session-tags">${tags}</div>` : ''}
                 <div class="session-details">
-                    <span>Model: ${session.model_type}</span>
-                    <span>Players: ${session.player_mode}</span>
+                    <span>Model: ${escapeHtml(session.model_type)}</span>
+                    <span>Players: ${escapeHtml(session.player_mode)}</span>
+                    <span>Seed: ${escapeHtml(session.world_seed ?? '-')}</span>
+                    ${session.forked_from ? `<span class="session-forked">Forked from ${escapeHtml(String(session.forked_from).slice(0, 8))}</span>` : ''}
+                    ${resumable ? '<span class="session-resumable">⏸ Resumable</span>' : ''}
+                    ${session.riddle_solved ? '<span class="session-solved">🧩 Solved</span>' : ''}
                 </div>
                 <div class="session-date">Last played: ${dateStr}</div>
-                <div class="session-uuid">ID: ${session.id}</div>
+                <div class="session-uuid">ID: ${escapeHtml(session.id)}</div>
+                <div class="session-slots hidden"></div>
             </div>
         `;
     }).join('');
@@ -4057,24 +4293,84 @@ function displaySessionList(sessions) {
     // Add click handlers for session items
     document.querySelectorAll('.session-item').forEach(item => {
         item.addEventListener('click', async (e) => {
-            // Don't trigger if clicking the delete button
-            if (e.target.classList.contains('delete-session-btn')) return;
+            // Don't trigger if clicking an action button or in the slot picker
+            if (e.target.closest('.session-actions')) return;
+            if (e.target.closest('.session-slots')) return;
 
             const sessionId = item.dataset.sessionId;
             await startSessionGame(sessionId);
         });
     });
 
+    // Add click handlers for slot buttons: show or hide the session's save slots
+    document.querySelectorAll('.slots-session-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const slotPicker = btn.closest('.session-item').querySelector('.session-slots');
+            if (slotPicker.classList.toggle('hidden')) return;
+            await renderSlotPicker(btn.dataset.sessionId, slotPicker);
+        });
+    });
+
+    // Add click handlers for favorite, protect and edit buttons
+    const findSession = (btn) => sessions.find(session => session.id === btn.dataset.sessionId);
+    document.querySelectorAll('.favorite-session-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const session = findSession(btn);
+            if (await updateSessionLabels(session.id, { favorite: !session.favorite })) {
+                session.favorite = !session.favorite;
+                displaySessionList(sessions);
+            }
+        });
+    });
+    document.querySelectorAll('.protect-session-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const session = findSession(btn);
+            if (await updateSessionLabels(session.id, { protected: !session.protected })) {
+                session.protected = !session.protected;
+                displaySessionList(sessions);
+            }
+        });
+    });
+    document.querySelectorAll('.edit-session-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (await editSessionLabels(findSession(btn))) {
+                displaySessionList(await loadSessions());
+            }
+        });
+    });
+
+    // Add click handlers for fork buttons: play a new world with the same character
+    document.querySelectorAll('.fork-session-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            btn.disabled = true;
+            const fork = await forkSession(btn.dataset.sessionId);
+            if (fork) {
+                await startSessionGame(fork.sessionId);
+            } else {
+                btn.disabled = false;
+            }
+        });
+    });
+
     // Add click handlers for delete buttons
     document.querySelectorAll('.delete-session-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             e.stopPropagation();
             const sessionId = btn.dataset.sessionId;
-            if (confirm('Are you sure you want to delete this session?')) {
+            if (confirm('Move this session to the trash? You can restore it from the trash until it is purged.')) {
                 if (await deleteSession(sessionId)) {
-                    // Reload session list
+                    // Reload session list, and the trash if it is open
                     const sessions = await loadSessions();
                     displaySessionList(sessions);
+                    const trashList = document.getElementById('trash-list');
+                    if (!trashList.classList.contains('hidden')) {
+                        await renderTrashList(trashList);
+                    }
                 }
             }
         });
@@ -4092,9 +4388,13 @@ async function startSessionGame(sessionId) {
     // Set current session
     currentSessionId = sessionId;
     currentSession = session;
+    connectGenerationEvents(sessionId);
     userCharacter = session.character_description;
     userModelType = session.model_type;
     userPlayerMode = session.player_mode;
+    setWorldSeed(session.world_seed);
+    await loadLayout(sessionId);
+    resetGameState(session.game_state);
 
     // Update UI with session ID
     document.getElementById('session-uuid').textContent = sessionId;
@@ -4110,21 +4410,29 @@ async function startSessionGame(sessionId) {
 
     console.log('[SESSION] Starting session game:', sessionId);
 
-    // CRITICAL: Check if assets already exist and load them directly
-    const assetsLoaded = await checkAndLoadSessionAssets(sessionId);
+    // CRITICAL: Check which assets already exist and load them directly
+    const plan = await loadResumePlan(sessionId);
 
-    if (assetsLoaded) {
+    if (plan?.playable && await checkAndLoadSessionAssets(sessionId)) {
         console.log('✅ Session loaded from disk - no generation needed!');
         // Assets loaded successfully, game is ready to play
-        // No loading modal was shown, no generation happened
+        // No loading modal was shown; anything still missing is filled in on the server
+        if (!plan.complete) {
+            resumeBuildInBackground(sessionId, plan.missing);
+        }
         return;
     }
 
-    // Only show loading modal and generate if assets don't exist
-    console.log('📦 Session assets not found, generating new assets...');
+    // Only show loading modal and generate if required assets don't exist
     loadingElement.classList.remove('hidden');
     loadingElement.style.display = '';
 
+    if (plan && plan.present.length > 0) {
+        console.log(`♻️ Resuming session, ${plan.missing.length} steps missing:`, plan.missing);
+    } else {
+        console.log('📦 Session assets not found, generating new assets...');
+    }
+
     // Start generation with session ID
     generateAllAssets(userCharacter);
 }
@@ -4151,6 +4459,37 @@ async function initializeApp() {
         characterInput.focus();
     });
 
+    // Show or hide the trash, where deleted sessions can be restored
+    const trashList = document.getElementById('trash-list');
+    document.getElementById('trash-btn').addEventListener('click', async () => {
+        if (trashList.classList.toggle('hidden')) return;
+        await renderTrashList(trashList);
+    });
+
+    // Search, filter and sort the session list; typing waits for a pause
+    let sessionSearchTimer = null;
+    const refreshSessionList = async () => displaySessionList(await loadSessions());
+    document.getElementById('session-search').addEventListener('input', () => {
+        clearTimeout(sessionSearchTimer);
+        sessionSearchTimer = setTimeout(refreshSessionList, 300);
+    });
+    document.querySelectorAll('#session-filters select').forEach(select => {
+        select.addEventListener('change', refreshSessionList);
+    });
+    document.getElementById('load-more-sessions-btn').addEventListener('click', loadMoreSessions);
+
+    // Import a session bundle exported from another machine
+    const importSessionBtn = document.getElementById('import-session-btn');
+    const importSessionInput = document.getElementById('import-session-input');
+    importSessionBtn.addEventListener('click', () => importSessionInput.click());
+    importSessionInput.addEventListener('change', async () => {
+        const file = importSessionInput.files[0];
+        importSessionInput.value = '';
+        if (file && await importSession(file)) {
+            displaySessionList(await loadSessions());
+        }
+    });
+
     // IMPORTANT: Keep session modal hidden initially - Terminal loading screen shows first!
     // Session modal will be shown by Initialize button click
     const sessionModal = document.getElementById('session-modal');
@@ -4180,6 +4519,17 @@ characterSubmit.addEventListener('click', async () => {
         userPlayerMode = parseInt(selectedPlayerMode.value);
     }
 
+    // An optional world seed rebuilds (or shares) a world
+    const seedText = seedInput.value.trim();
+    const requestedSeed = seedText === '' ? null : Number(seedText);
+    if (requestedSeed !== null && !(Number.isInteger(requestedSeed) && requestedSeed >= 0 && requestedSeed <= MAX_WORLD_SEED)) {
+        seedInput.style.borderColor = '#ff4444';
+        setTimeout(() => {
+            seedInput.style.borderColor = '';
+        }, 500);
+        return;
+    }
+
     if (character) {
         userCharacter = character;
         console.log('User selected character:', userCharacter);
@@ -4187,7 +4537,7 @@ characterSubmit.addEventListener('click', async () => {
         console.log('User selected player mode:', userPlayerMode, 'player(s)');
 
         // Create a new session
-        const session = await createSession(userCharacter, userModelType, userPlayerMode);
+        const session = await createSession(userCharacter, userModelType, userPlayerMode, requestedSeed);
         if (!session) {
             alert('Failed to create session. Please try again.');
             return;
@@ -4196,11 +4546,15 @@ characterSubmit.addEventListener('click', async () => {
         // Set current session
         currentSessionId = session.sessionId;
         currentSession = session;
+        connectGenerationEvents(currentSessionId);
+        setWorldSeed(session.worldSeed);
+        await loadLayout(currentSessionId);
+        resetGameState();
 
         // Update UI with session ID
         document.getElementById('session-uuid').textContent = currentSessionId;
 
-        console.log('Created new session:', currentSessionId);
+        console.log('Created new session:', currentSessionId, 'with world seed', session.worldSeed);
 
         // Hide modals with explicit display none
         characterModal.classList.add('hidden');
@@ -4229,11 +4583,11 @@ characterSubmit.addEventListener('click', async () => {
 });
 
 // Allow Enter key to submit
-characterInput.addEventListener('keypress', (event) => {
+[characterInput, seedInput].forEach(input => input.addEventListener('keypress', (event) => {
     if (event.key === 'Enter') {
         characterSubmit.click();
     }
-});
+}));
 
 // Start animation immediately
 animate();
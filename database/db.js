@@ -1,6 +1,5 @@
 import sqlite3 from 'sqlite3';
 import { v4 as uuidv4 } from 'uuid';
-import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
@@ -17,33 +16,15 @@ db.runAsync = promisify(db.run.bind(db));
 db.getAsync = promisify(db.get.bind(db));
 db.allAsync = promisify(db.all.bind(db));
 
-// Initialize database schema
-const initDatabase = () => {
-    const schema = readFileSync(join(__dirname, 'schema.sql'), 'utf8');
-
-    // Split schema into individual statements and execute
-    const statements = schema.split(';').filter(stmt => stmt.trim());
-
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            statements.forEach(statement => {
-                if (statement.trim()) {
-                    db.run(statement + ';', (err) => {
-                        if (err) {
-                            console.error('Error executing schema statement:', err);
-                            reject(err);
-                        }
-                    });
-                }
-            });
-            resolve();
-        });
+// runAsync resolves nothing; this resolves the statement's { changes, lastID }
+// for writes whose outcome matters, such as conditional updates
+db.runResultAsync = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (error) {
+        if (error) return reject(error);
+        resolve({ changes: this.changes, lastID: this.lastID });
     });
-};
+});
 
-// Initialize database on module load
-initDatabase()
-    .then(() => console.log('[DB] Database initialized successfully'))
-    .catch(err => console.error('[DB] Database initialization failed:', err));
+// The schema is created and upgraded by migrationService (see migrations/)
 
-export { db, uuidv4 };
\ No newline at end of file
+export { db, uuidv4 };
@@ -1,3 +1,6 @@
+-- Sessions and their generated assets.
+-- IF NOT EXISTS: databases created before migrations already have these tables.
+
 -- Sessions table to store game sessions
 CREATE TABLE IF NOT EXISTS sessions (
     id TEXT PRIMARY KEY,  -- UUID
@@ -26,7 +29,6 @@ CREATE TABLE IF NOT EXISTS assets (
     UNIQUE(session_id, asset_type, pose, view_name)
 );
 
--- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_sessions_created_at ON sessions(created_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_last_accessed ON sessions(last_accessed);
-CREATE INDEX IF NOT EXISTS idx_assets_session_id ON assets(session_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_assets_session_id ON assets(session_id);
@@ -0,0 +1,17 @@
+-- Jobs table to track background generation requests
+CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,        -- UUID
+    session_id TEXT,            -- NULL for legacy (session-less) requests
+    job_type TEXT NOT NULL,     -- 'texture', 'character', 'pose', 'view', '3d-model', 'meme', 'riddle', 'build'
+    status TEXT NOT NULL DEFAULT 'queued',  -- 'queued', 'running', 'succeeded', 'failed', 'cancelled'
+    input JSON NOT NULL,        -- Request body used to (re)run the job
+    result JSON,                -- Response payload once finished
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_session_id ON jobs(session_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
@@ -0,0 +1,12 @@
+-- Build steps table to record world-building progress per session
+CREATE TABLE IF NOT EXISTS build_steps (
+    session_id TEXT NOT NULL,
+    step_key TEXT NOT NULL,     -- e.g. 'ground', 'idle:view:back', 'env:tree:model'
+    status TEXT NOT NULL,       -- 'running', 'succeeded', 'failed', 'cancelled'
+    result JSON,                -- Step output, reused when a build is restarted
+    error TEXT,
+    started_at DATETIME,
+    finished_at DATETIME,
+    PRIMARY KEY (session_id, step_key),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
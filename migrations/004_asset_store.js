@@ -0,0 +1,41 @@
+/**
+ * Content-addressed asset store: shared blobs, the generation cache and
+ * each asset's blob. A JavaScript migration because databases created
+ * before migrations may already have assets.blob_hash, and SQLite has no
+ * ADD COLUMN IF NOT EXISTS.
+ * @param {object} db - Database connection with promisified methods
+ */
+export async function up(db) {
+    const columns = await db.allAsync('PRAGMA table_info(assets)');
+    if (!columns.some(column => column.name === 'blob_hash')) {
+        // Shared blob in assets/store (NULL if not stored)
+        await db.runAsync('ALTER TABLE assets ADD COLUMN blob_hash TEXT');
+    }
+
+    // Content-addressed blobs shared by every session (assets/store/<hash>)
+    await db.runAsync(`
+        CREATE TABLE IF NOT EXISTS blobs (
+            hash TEXT PRIMARY KEY,      -- SHA-256 of the file contents
+            file_path TEXT NOT NULL,
+            size_bytes INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Provider requests already generated, so identical requests reuse their blob
+    await db.runAsync(`
+        CREATE TABLE IF NOT EXISTS generation_cache (
+            cache_key TEXT PRIMARY KEY, -- SHA-256 of provider, model, prompt, input image hashes and parameters
+            blob_hash TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            model TEXT,
+            remote_url TEXT,
+            request_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (blob_hash) REFERENCES blobs(hash)
+        )
+    `);
+
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_assets_remote_url ON assets(remote_url)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_generation_cache_remote_url ON generation_cache(remote_url)');
+}
@@ -0,0 +1,40 @@
+-- Asset revisions: every generation adds a version row and one version per
+-- asset is active. SQLite cannot drop the old UNIQUE(session_id, asset_type,
+-- pose, view_name) constraint in place, so the table is rebuilt.
+
+CREATE TABLE assets_versioned (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    asset_type TEXT NOT NULL,  -- 'ground', 'character', 'models', 'images'
+    pose TEXT,                  -- 'idle', 'walking', 'shooting'
+    view_name TEXT,             -- 'front', 'back', 'left', etc.
+    file_path TEXT NOT NULL,    -- This version's file (versions/<n>/...)
+    remote_url TEXT,
+    request_id TEXT,
+    blob_hash TEXT,             -- Shared blob in assets/store (NULL if not stored)
+    version INTEGER NOT NULL DEFAULT 1,
+    is_active INTEGER NOT NULL DEFAULT 1,  -- The version served at the asset's usual path
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
+-- Existing rows become version 1 of their asset. Posters were all recorded
+-- without a pose or view, so repeated rows are numbered oldest first and the
+-- newest stays active.
+INSERT INTO assets_versioned (id, session_id, asset_type, pose, view_name, file_path, remote_url, request_id, blob_hash, version, is_active, created_at)
+SELECT id, session_id, asset_type, pose, view_name, file_path, remote_url, request_id, blob_hash,
+       ROW_NUMBER() OVER slot,
+       ROW_NUMBER() OVER slot = COUNT(*) OVER (PARTITION BY session_id, asset_type, pose, view_name),
+       created_at
+FROM assets
+WINDOW slot AS (PARTITION BY session_id, asset_type, pose, view_name ORDER BY id);
+
+DROP TABLE assets;
+ALTER TABLE assets_versioned RENAME TO assets;
+
+CREATE INDEX IF NOT EXISTS idx_assets_session_id ON assets(session_id);
+CREATE INDEX IF NOT EXISTS idx_assets_remote_url ON assets(remote_url);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_version
+    ON assets(session_id, asset_type, IFNULL(pose, ''), IFNULL(view_name, ''), version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_active
+    ON assets(session_id, asset_type, IFNULL(pose, ''), IFNULL(view_name, '')) WHERE is_active = 1;
@@ -0,0 +1,19 @@
+-- How each asset was generated and what it was built from, so one asset can
+-- be regenerated and everything built from it flagged stale
+
+ALTER TABLE assets ADD COLUMN step_type TEXT;      -- Generation step that produced it ('view', '3d-model', ...)
+ALTER TABLE assets ADD COLUMN step_input JSON;     -- The step's input, to run it again
+ALTER TABLE assets ADD COLUMN stale INTEGER NOT NULL DEFAULT 0;  -- Built from a version that is no longer active
+
+-- Asset versions each asset version was generated from, e.g. a walking
+-- model from the walking front and views
+CREATE TABLE IF NOT EXISTS asset_dependencies (
+    asset_id INTEGER NOT NULL,
+    source_asset_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,  -- Order of the source in the step's input
+    PRIMARY KEY (asset_id, source_asset_id),
+    FOREIGN KEY (asset_id) REFERENCES assets(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_asset_id) REFERENCES assets(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_dependencies_source ON asset_dependencies(source_asset_id);
@@ -0,0 +1,7 @@
+-- Full generation record of each asset version (provider, model, prompt,
+-- inputs, parameters, seed, timing, cost) so bad outputs can be reproduced
+-- and debugged. Stored results keep the record of the request that made
+-- them, for assets that reuse them from another session.
+
+ALTER TABLE assets ADD COLUMN provenance JSON;
+ALTER TABLE generation_cache ADD COLUMN provenance JSON;
@@ -0,0 +1,9 @@
+-- Session-level world seed: every provider call and all client-side
+-- placement derive their randomness from it, so a world can be rebuilt or
+-- shared by seed
+
+ALTER TABLE sessions ADD COLUMN world_seed INTEGER;  -- 0 to 4294967295
+
+-- Existing worlds get a seed of their own; only layout follows it, their
+-- generated assets stay as they are
+UPDATE sessions SET world_seed = (random() & 4294967295) WHERE world_seed IS NULL;
@@ -0,0 +1,16 @@
+-- Final transforms of everything the client placed in a session's world
+-- (trees, props, puzzle objects, posters, clouds), so a reloaded session
+-- looks exactly as it did
+
+CREATE TABLE IF NOT EXISTS layout_objects (
+    session_id TEXT NOT NULL,
+    object_key TEXT NOT NULL,  -- Stable per object, e.g. 'env:character_tree.glb#2', 'poster:hackathons-meme.png', 'cloud:7'
+    kind TEXT NOT NULL,        -- 'environmental', 'puzzle', 'poster', 'cloud'
+    position JSON NOT NULL,    -- [x, y, z]
+    rotation JSON NOT NULL,    -- [x, y, z] Euler angles in radians
+    scale JSON NOT NULL,       -- [x, y, z]
+    data JSON,                 -- Kind-specific extras, e.g. a cloud's drift velocity
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, object_key),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
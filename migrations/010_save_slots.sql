@@ -0,0 +1,15 @@
+-- Named save slots: copies of a session's game state that players can keep
+-- and load later, separate from the autosaved sessions.game_state
+
+CREATE TABLE IF NOT EXISTS save_slots (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    game_state JSON,           -- Same shape as sessions.game_state; NULL is a fresh start
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, name),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_save_slots_session ON save_slots(session_id);
@@ -0,0 +1,6 @@
+-- Sessions forked from another one: a new world built around the source
+-- session's character, which is reused instead of generated again
+
+ALTER TABLE sessions ADD COLUMN forked_from TEXT;  -- Source session id (NULL if not a fork)
+
+CREATE INDEX IF NOT EXISTS idx_sessions_forked_from ON sessions(forked_from);
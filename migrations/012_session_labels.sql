@@ -0,0 +1,8 @@
+-- Labels players give their sessions: a display name, free-form tags and a
+-- favorite flag that also keeps a session out of the age-based cleanup
+
+ALTER TABLE sessions ADD COLUMN name TEXT;                           -- NULL shows the character description
+ALTER TABLE sessions ADD COLUMN tags JSON;                           -- Array of strings
+ALTER TABLE sessions ADD COLUMN favorite INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_favorite ON sessions(favorite);
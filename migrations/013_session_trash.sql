@@ -0,0 +1,6 @@
+-- Deleted sessions go to the trash first; their rows and files are only
+-- purged once they have been there for the retention period
+
+ALTER TABLE sessions ADD COLUMN deleted_at DATETIME;  -- When it was moved to the trash (NULL if not trashed)
+
+CREATE INDEX IF NOT EXISTS idx_sessions_deleted_at ON sessions(deleted_at);
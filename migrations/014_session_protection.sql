@@ -0,0 +1,4 @@
+-- Protected sessions are never removed by the retention job, neither for
+-- their age nor to bring the assets folder back under its disk quota
+
+ALTER TABLE sessions ADD COLUMN protected INTEGER NOT NULL DEFAULT 0;
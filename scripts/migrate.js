@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ *
+ *   node scripts/migrate.js status   Show the schema version and pending migrations
+ *   node scripts/migrate.js up       Apply pending migrations
+ *
+ * In Docker: docker compose exec terminal-flux npm run migrate:status
+ */
+import migrationService from '../services/migrationService.js';
+import { db } from '../database/db.js';
+
+async function status() {
+    const { currentVersion, latestVersion, applied, pending } = await migrationService.getStatus();
+
+    console.log(`[DB] Schema version: ${currentVersion} (latest: ${latestVersion})`);
+    applied.forEach(row => {
+        console.log(`  applied  ${String(row.version).padStart(3, '0')}_${row.name}  ${row.applied_at}`);
+    });
+    pending.forEach(migration => {
+        console.log(`  pending  ${migration.file}`);
+    });
+    if (pending.length === 0) {
+        console.log('[DB] Database is up to date');
+    }
+}
+
+async function up() {
+    const applied = await migrationService.migrate();
+    const { currentVersion } = await migrationService.getStatus();
+    console.log(applied.length > 0
+        ? `[DB] Applied ${applied.length} migration(s), schema version is now ${currentVersion}`
+        : `[DB] Nothing to apply, schema version is ${currentVersion}`);
+}
+
+const commands = { status, up };
+const command = process.argv[2] || 'status';
+
+if (!commands[command]) {
+    console.error(`Usage: node scripts/migrate.js <${Object.keys(commands).join('|')}>`);
+    process.exit(1);
+}
+
+try {
+    await commands[command]();
+} catch (error) {
+    console.error('[DB] Migration failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
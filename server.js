@@ -1,14 +1,25 @@
 import express from 'express';
-import { fal } from '@fal-ai/client';
 import Anthropic from '@anthropic-ai/sdk';
 import { config } from 'dotenv';
 import cors from 'cors';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
-import sessionService from './services/sessionService.js';
-import { getAssetPath, getAssetUrl, checkAssetExists } from './utils/assetPaths.js';
+import sessionService, { SESSION_SORTS, decodeSessionCursor } from './services/sessionService.js';
+import generationService, { STEP_TYPES } from './services/generationService.js';
+import jobService, { JOB_STATUS } from './services/jobService.js';
+import buildService from './services/buildService.js';
+import eventService from './services/eventService.js';
+import schedulerService from './services/schedulerService.js';
+import migrationService from './services/migrationService.js';
+import bundleService, { BundleError } from './services/bundleService.js';
+import retentionService from './services/retentionService.js';
+import { getProvider } from './services/providers/index.js';
+import { isValidAssetFile } from './utils/download.js';
+import { getSessionAssetUrls, getUrlForPath } from './utils/assetPaths.js';
+import { errorResponse, classifyError } from './utils/errors.js';
+import { parseWorldSeed, MAX_WORLD_SEED } from './utils/seed.js';
+import { isGameState, sessionLabelsError, layoutObjectError, parseSlotName, MAX_SLOT_NAME_LENGTH } from './utils/validation.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -17,10 +28,8 @@ const __dirname = dirname(__filename);
 // Load environment variables
 config();
 
-// Configure FAL AI client
-fal.config({
-  credentials: process.env.FAL_KEY
-});
+// Generation provider (FAL, or the offline stub when no FAL_KEY is set)
+const provider = getProvider();
 
 // Configure Anthropic AI client
 const anthropic = new Anthropic({
@@ -66,21 +75,6 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(express.static('.')); // Serve static files from current directory
 app.use('/assets', express.static(ASSETS_DIR)); // Serve assets
 
-// Utility function to download file
-async function downloadFile(url, filepath) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (response) => {
-      const chunks = [];
-      response.on('data', (chunk) => chunks.push(chunk));
-      response.on('end', () => {
-        writeFileSync(filepath, Buffer.concat(chunks));
-        resolve(filepath);
-      });
-      response.on('error', reject);
-    });
-  });
-}
-
 // Check if all required assets exist
 function checkAssetsExist(pose = DEFAULT_POSE) {
   const requiredFiles = {
@@ -98,7 +92,7 @@ function checkAssetsExist(pose = DEFAULT_POSE) {
   let allExist = true;
 
   for (const [key, path] of Object.entries(requiredFiles)) {
-    existing[key] = existsSync(path);
+    existing[key] = isValidAssetFile(path);
     if (!existing[key]) allExist = false;
   }
 
@@ -114,197 +108,104 @@ app.get('/api/check-assets', (req, res) => {
   });
 });
 
-// API endpoint to generate ground texture
-app.post('/api/generate-texture', async (req, res) => {
-  const { prompt, sessionId } = req.body;
-
-  console.log('[TEXTURE] Received texture generation request...');
-  if (sessionId) console.log('[TEXTURE] For session:', sessionId);
-
-  // Determine paths based on session or legacy
-  const groundPath = sessionId
-    ? getAssetPath(sessionId, 'ground', null, 'ground-texture.png')
-    : join(GROUND_DIR, 'ground-texture.png');
-
-  const groundUrl = sessionId
-    ? getAssetUrl(sessionId, 'ground', null, 'ground-texture.png')
-    : `/assets/ground/ground-texture.png`;
-
-  // Check if texture exists (session-specific or legacy)
-  if (existsSync(groundPath)) {
-    console.log('[REUSE] Reusing existing ground texture');
-    res.json({
-      success: true,
-      imageUrl: groundUrl,
-      requestId: 'cached',
-      cached: true
-    });
-    return;
-  }
-
-  // Don't use legacy assets for sessions - they lack remote URLs needed for Trellis
-  // Legacy assets have been removed to ensure proper remote URL handling
+// ==================== GENERATION API ENDPOINTS ====================
 
-  try {
-    const result = await fal.subscribe("fal-ai/alpha-image-232/text-to-image", {
-      input: {
-        prompt: prompt || "Ultra high quality seamless tileable ground texture, photorealistic floor for games, highly detailed surface with depth and normal mapping details, PBR ready texture, crisp clean edges for 3D model conversion, top-down orthographic view, 8K resolution, ultra sharp details, perfect for high-end game environments"
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
-
-    console.log('[OK] Ground generation complete!');
-    console.log('Request ID:', result.requestId);
+// Every generation step can also run as a background job
+STEP_TYPES.forEach(jobType => {
+  jobService.registerHandler(jobType, (input, options) => generationService.runStep(jobType, input, options));
+});
 
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const imageUrl = result.data.images[0].url;
+// The world-building pipeline runs as a single long-lived job
+jobService.registerHandler('build', (input, options) => buildService.buildSession(input, options));
 
-      // Ensure directory exists
-      const groundDir = dirname(groundPath);
-      if (!existsSync(groundDir)) {
-        mkdirSync(groundDir, { recursive: true });
-      }
+// Regenerating one asset (and optionally everything built from it)
+jobService.registerHandler('regenerate', (input, options) => buildService.regenerateAsset(input, options));
 
-      // Download and save locally
-      await downloadFile(imageUrl, groundPath);
-      console.log('[SAVED] Ground texture saved locally');
+// Reply to a failed generation request with the status and stable error code
+// of its classified error
+function sendGenerationError(res, error, details = {}) {
+  const failure = classifyError(error, details);
+  res.status(failure.status).json(errorResponse(failure));
+}
 
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'ground', groundPath, {
-          remoteUrl: imageUrl,
-          requestId: result.requestId
+// Build a generation route. With `async: true` in the body the step is queued
+// as a job and the job id is returned immediately; otherwise it runs inline.
+// `toInput` maps the request body to the step's input.
+function generationRoute(jobType, toInput = (body) => body) {
+  return async (req, res) => {
+    const { async: runAsync, ...input } = toInput(req.body);
+
+    try {
+      if (runAsync) {
+        const job = await jobService.createJob(jobType, input);
+        return res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status
         });
       }
 
-      res.json({
-        success: true,
-        imageUrl: groundUrl,
-        requestId: result.requestId,
-        cached: false
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'No images returned from API'
-      });
+      const result = await generationService.runStep(jobType, input);
+      res.json(result);
+    } catch (error) {
+      console.error(`❌ Error in ${jobType} generation:`, error);
+      sendGenerationError(res, error);
     }
+  };
+}
 
-  } catch (error) {
-    console.error('❌ Error generating texture:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// API endpoint to generate ground texture
+app.post('/api/generate-texture', generationRoute('texture'));
 
 // API endpoint to generate character
-app.post('/api/generate-character', async (req, res) => {
-  console.log('[CHARACTER] Received character generation request...');
-  const { pose = DEFAULT_POSE, character = 'sci-fi robot warrior', sessionId } = req.body;
-
-  console.log(`[CHARACTER] Generating: ${character}`);
-  if (sessionId) console.log('[CHARACTER] For session:', sessionId);
-
-  // Determine paths based on session or legacy
-  const frontPath = sessionId
-    ? getAssetPath(sessionId, 'character', pose, 'front.png')
-    : join(CHARACTER_DIR, pose, 'front.png');
-
-  const frontUrl = sessionId
-    ? getAssetUrl(sessionId, 'character', pose, 'front.png')
-    : `/assets/character/${pose}/front.png`;
-
-  // Check if character exists (session-specific or legacy)
-  if (existsSync(frontPath)) {
-    console.log('[REUSE] Reusing existing character');
-
-    // If session-based, try to get the stored remote URL
-    let remoteUrl = `http://localhost:8081${frontUrl}`; // Default fallback
-    if (sessionId) {
-      const assetData = await sessionService.getAssetWithRemoteUrl(sessionId, 'character', pose, 'front');
-      if (assetData && assetData.remote_url) {
-        remoteUrl = assetData.remote_url;
-        console.log('[REUSE] Using stored remote URL for character');
-      }
-    }
+app.post('/api/generate-character', generationRoute('character'));
 
-    res.json({
-      success: true,
-      imageUrl: frontUrl,
-      remoteUrl: remoteUrl,
-      requestId: 'cached',
-      cached: true
-    });
-    return;
-  }
-
-  // Don't use legacy assets for sessions - they lack remote URLs needed for Trellis
-  // Legacy assets can only be used when NOT using sessions (backward compatibility)
-
-  try {
-    // Replace <character> placeholder with the actual character description
-    const prompt = `Ultra high quality 3D character design, photorealistic ${character}, FULL BODY VIEW showing complete figure from head to toe including legs and feet, extremely detailed, perfect for 3D reconstruction, front view facing camera directly, character standing naturally, entire body visible in frame, neutral white background, studio lighting setup, ultra sharp focus, 8K resolution, highly detailed textures and materials, clean silhouette for 3D model generation, symmetrical design, no occlusions or overlapping parts, complete full-body character model`;
-
-    const result = await fal.subscribe("fal-ai/alpha-image-232/text-to-image", {
-      input: {
-        prompt: prompt
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
+// API endpoint to repose character (generate angle variations). The same
+// step as /api/generate-view, for the idle pose unless another is given.
+app.post('/api/repose-character', generationRoute('view', (body) => ({ pose: DEFAULT_POSE, ...body })));
 
-    console.log('[OK] Character generation complete!');
-    console.log('Request ID:', result.requestId);
+// API endpoint to generate pose base image only (no views)
+app.post('/api/generate-pose', generationRoute('pose'));
 
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const imageUrl = result.data.images[0].url;
+// API endpoint to generate a single view for a pose
+app.post('/api/generate-view', generationRoute('view'));
 
-      // Ensure directory exists
-      const charDir = dirname(frontPath);
-      if (!existsSync(charDir)) {
-        mkdirSync(charDir, { recursive: true });
-      }
+// API endpoint to generate 3D model using either Trellis or Hyper3D/Rodin
+app.post('/api/generate-3d-model', generationRoute('3d-model'));
 
-      await downloadFile(imageUrl, frontPath);
-      console.log('[SAVED] Character saved locally');
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    falKeyConfigured: !!process.env.FAL_KEY,
+    provider: provider.name,
+    reuseEnabled: REUSE_ASSETS,
+    // Outgoing provider jobs waiting for / holding a concurrency slot
+    scheduler: schedulerService.getStats()
+  });
+});
 
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'character', frontPath, {
-          pose: pose,
-          viewName: 'front',
-          remoteUrl: imageUrl,
-          requestId: result.requestId
-        });
-      }
+// ==================== SESSION API ENDPOINTS ====================
 
-      res.json({
-        success: true,
-        imageUrl: frontUrl,
-        remoteUrl: imageUrl,
-        requestId: result.requestId,
-        cached: false
-      });
-    } else {
-      res.status(500).json({
+// Create a new session
+app.post('/api/sessions/create', async (req, res) => {
+  try {
+    const { character, modelType, playerMode } = req.body;
+    const worldSeed = parseWorldSeed(req.body.worldSeed);
+    if (Number.isNaN(worldSeed)) {
+      return res.status(400).json({
         success: false,
-        error: 'No images returned from API'
+        error: `worldSeed must be an integer from 0 to ${MAX_WORLD_SEED}`
       });
     }
 
+    const session = await sessionService.createSession(character, modelType, playerMode, worldSeed);
+    res.json({
+      success: true,
+      session
+    });
   } catch (error) {
-    console.error('❌ Error generating character:', error);
+    console.error('[SESSION] Error creating session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -312,221 +213,47 @@ app.post('/api/generate-character', async (req, res) => {
   }
 });
 
-// API endpoint to repose character (generate angle variations)
-app.post('/api/repose-character', async (req, res) => {
-  const { imageUrl, angle, viewName, pose = DEFAULT_POSE } = req.body;
-
-  console.log(`[REPOSE] Reposing character to: ${viewName}`);
-
-  const outputPath = join(CHARACTER_DIR, pose, `${viewName}.png`);
-  if (REUSE_ASSETS && existsSync(outputPath)) {
-    console.log(`[REUSE] Reusing existing ${viewName} view`);
-    res.json({
-      success: true,
-      imageUrl: `/assets/character/${pose}/${viewName}.png`,
-      requestId: 'cached',
-      cached: true,
-      viewName
-    });
-    return;
-  }
-
-  // Define prompts for different views - ultra high quality for 3D reconstruction
-  const viewPrompts = {
-    'back': 'Ultra high quality back view of exact same character, rear view showing all details, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact proportions and design, no occlusions',
-    'left': 'Ultra high quality left side profile view of exact same character, perfect 90 degree profile from left, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions',
-    'right': 'Ultra high quality right side profile view of exact same character, perfect 90 degree profile from right, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions',
-    'angle_30': 'Ultra high quality three-quarter view, character rotated exactly 30 degrees to the right, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions',
-    'angle_-30': 'Ultra high quality three-quarter view, character rotated exactly 30 degrees to the left, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions'
-  };
-
+// Restore a session from an exported bundle (the .tar.gz as the request
+// body). It gets a new id unless ?keepId=true.
+app.post('/api/sessions/import', async (req, res) => {
   try {
-    const result = await fal.subscribe("fal-ai/alpha-image-232/edit-image", {
-      input: {
-        prompt: viewPrompts[viewName] || `${viewName} view of the character`,
-        image_urls: [imageUrl]
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
-
-    console.log(`[OK] ${viewName} view generation complete!`);
-
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const newImageUrl = result.data.images[0].url;
-
-      await downloadFile(newImageUrl, outputPath);
-      console.log(`[SAVED] ${viewName} view saved locally`);
-
-      res.json({
-        success: true,
-        imageUrl: `/assets/character/${pose}/${viewName}.png`,
-        remoteUrl: newImageUrl,
-        requestId: result.requestId,
-        cached: false,
-        viewName
-      });
-    } else {
-      res.status(500).json({
+    if (req.is('application/json')) {
+      return res.status(400).json({
         success: false,
-        error: 'No images returned from API'
+        error: 'Send the bundle file as the request body (application/gzip)'
       });
     }
 
-  } catch (error) {
-    console.error(`❌ Error reposing character (${viewName}):`, error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      viewName
-    });
-  }
-});
-
-// API endpoint to generate pose base image only (no views)
-app.post('/api/generate-pose', async (req, res) => {
-  const { targetPose, sessionId } = req.body;
-
-  console.log(`[POSE] Generating ${targetPose} pose base from idle...`);
-  if (sessionId) console.log('[POSE] For session:', sessionId);
-
-  // Determine paths based on session or legacy
-  const targetPath = sessionId
-    ? getAssetPath(sessionId, 'character', targetPose, 'front.png')
-    : join(CHARACTER_DIR, targetPose, 'front.png');
-
-  const targetUrl = sessionId
-    ? getAssetUrl(sessionId, 'character', targetPose, 'front.png')
-    : `/assets/character/${targetPose}/front.png`;
-
-  // Check if target pose assets already exist (session-specific or legacy)
-  if (existsSync(targetPath)) {
-    console.log(`[REUSE] Reusing existing ${targetPose} pose`);
-
-    // If session-based, try to get the stored remote URL
-    let remoteUrl = `http://localhost:8081${targetUrl}`; // Default fallback
-    if (sessionId) {
-      const assetData = await sessionService.getAssetWithRemoteUrl(sessionId, 'character', targetPose, 'front');
-      if (assetData && assetData.remote_url) {
-        remoteUrl = assetData.remote_url;
-        console.log('[REUSE] Using stored remote URL for pose');
-      }
-    }
-
+    const result = await bundleService.importSession(req, { keepId: req.query.keepId === 'true' });
     res.json({
       success: true,
-      pose: targetPose,
-      imageUrl: targetUrl,
-      remoteUrl: remoteUrl,
-      cached: true
+      ...result
     });
-    return;
-  }
-
-  // Don't use legacy assets for sessions - they lack remote URLs needed for Trellis
-  // Legacy assets can only be used when NOT using sessions (backward compatibility)
-
-  // Get idle pose images as source - need to consider session paths
-  const idleFrontPath = sessionId
-    ? getAssetPath(sessionId, 'character', 'idle', 'front.png')
-    : join(CHARACTER_DIR, 'idle', 'front.png');
-
-  if (!existsSync(idleFrontPath)) {
-    // Try legacy path as fallback
-    const legacyIdlePath = join(CHARACTER_DIR, 'idle', 'front.png');
-    if (!existsSync(legacyIdlePath)) {
-      res.status(400).json({
-        success: false,
-        error: 'Idle pose not found. Generate idle pose first.'
-      });
-      return;
-    }
-  }
-
-  // Define pose prompts - ultra high quality for 3D model generation
-  const posePrompts = {
-    'walking': 'Ultra high quality exact same character in dynamic walking pose, FULL BODY VIEW showing complete figure from head to toe including legs and feet, mid-stride action with one leg forward, natural arm swing, entire body visible in frame, perfect for 3D animation model, clean white background, ultra sharp 8K resolution, maintain all mechanical details and proportions, optimal for 3D reconstruction, complete full-body character model',
-    'shooting': 'Ultra high quality exact same character in shooting action pose, FULL BODY VIEW showing complete figure from head to toe including legs and feet, arms extended forward holding futuristic weapon, dynamic combat stance, entire body visible in frame, perfect for 3D game model, clean white background, ultra sharp 8K resolution, maintain all mechanical details, optimal for 3D reconstruction, complete full-body character model'
-  };
-
-  const prompt = posePrompts[targetPose];
-  if (!prompt) {
-    res.status(400).json({
+  } catch (error) {
+    console.error('[BUNDLE] Error importing session:', error);
+    res.status(error instanceof BundleError ? error.status : 500).json({
       success: false,
-      error: `Unknown pose: ${targetPose}`
+      error: error.message
     });
-    return;
   }
+});
 
+// Get session details
+app.get('/api/sessions/:id', async (req, res) => {
   try {
-    // Read idle front image and upload it to FAL storage for use
-    const idleImageBuffer = readFileSync(idleFrontPath);
-    const idleImageBase64 = `data:image/png;base64,${idleImageBuffer.toString('base64')}`;
-
-    console.log(`[POSE] Transforming idle to ${targetPose}...`);
-
-    // Generate the new pose using image-to-image
-    const result = await fal.subscribe("fal-ai/alpha-image-232/edit-image", {
-      input: {
-        prompt: prompt,
-        image_urls: [idleImageBase64],
-        enable_prompt_expansion: false
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
-
-    console.log(`[OK] ${targetPose} pose base generation complete!`);
-
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const imageUrl = result.data.images[0].url;
-
-      // Ensure directory exists
-      const poseDir = dirname(targetPath);
-      if (!existsSync(poseDir)) {
-        mkdirSync(poseDir, { recursive: true });
-      }
-
-      // Save the front view of the new pose
-      await downloadFile(imageUrl, targetPath);
-      console.log(`[SAVED] ${targetPose} base pose saved`);
-
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'character', targetPath, {
-          pose: targetPose,
-          viewName: 'front',
-          remoteUrl: imageUrl,
-          requestId: result.requestId
-        });
-      }
-
-      // Return only the base pose image (no views generated here)
-      res.json({
-        success: true,
-        pose: targetPose,
-        imageUrl: targetUrl,
-        remoteUrl: imageUrl,  // Return the FAL remote URL
-        cached: false
-      });
-
-    } else {
-      res.status(500).json({
+    const session = await sessionService.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        error: 'No images returned from API'
+        error: 'Session not found'
       });
     }
-
+    res.json({
+      success: true,
+      session
+    });
   } catch (error) {
-    console.error(`Error generating ${targetPose} pose:`, error);
+    console.error('[SESSION] Error getting session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -534,302 +261,127 @@ app.post('/api/generate-pose', async (req, res) => {
   }
 });
 
-// API endpoint to generate a single view for a pose
-app.post('/api/generate-view', async (req, res) => {
-  const { pose, viewName, imageUrl, sessionId } = req.body;
-
-  console.log(`[VIEW] Generating ${viewName} view for ${pose} pose...`);
-  if (sessionId) console.log('[VIEW] For session:', sessionId);
-
-  // Determine paths based on session or legacy
-  const viewPath = sessionId
-    ? getAssetPath(sessionId, 'character', pose, `${viewName}.png`)
-    : join(CHARACTER_DIR, pose, `${viewName}.png`);
-
-  const viewUrl = sessionId
-    ? getAssetUrl(sessionId, 'character', pose, `${viewName}.png`)
-    : `/assets/character/${pose}/${viewName}.png`;
-
-  // Check if view already exists (session-specific or legacy)
-  if (existsSync(viewPath)) {
-    console.log(`[REUSE] Reusing existing ${viewName} view for ${pose}`);
-
-    // If session-based, try to get the stored remote URL
-    let remoteUrl = `http://localhost:8081${viewUrl}`; // Default fallback
-    if (sessionId) {
-      const assetData = await sessionService.getAssetWithRemoteUrl(sessionId, 'character', pose, viewName);
-      if (assetData && assetData.remote_url) {
-        remoteUrl = assetData.remote_url;
-        console.log(`[REUSE] Using stored remote URL for ${viewName} view`);
-      }
-    }
+const MAX_SESSION_PAGE_SIZE = 50;
 
-    res.json({
-      success: true,
-      pose: pose,
-      viewName: viewName,
-      imageUrl: viewUrl,
-      remoteUrl: remoteUrl,
-      cached: true
-    });
-    return;
+// Build status filters: a job status, or 'none' for never built
+const SESSION_BUILD_STATUSES = [...Object.values(JOB_STATUS), 'none'];
+
+// listSessions options from the query string, or { error } if one is invalid
+function sessionListOptions(query) {
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSION_PAGE_SIZE) {
+    return { error: `limit must be an integer from 1 to ${MAX_SESSION_PAGE_SIZE}` };
+  }
+  if (query.cursor !== undefined && !decodeSessionCursor(query.cursor)) {
+    return { error: 'cursor is invalid' };
+  }
+  const playerMode = query.playerMode === undefined ? null : Number(query.playerMode);
+  if (playerMode !== null && !(Number.isInteger(playerMode) && playerMode > 0)) {
+    return { error: 'playerMode must be a positive integer' };
+  }
+  if (query.buildStatus !== undefined && !SESSION_BUILD_STATUSES.includes(query.buildStatus)) {
+    return { error: `buildStatus must be one of: ${SESSION_BUILD_STATUSES.join(', ')}` };
+  }
+  if (query.riddleSolved !== undefined && !['true', 'false'].includes(query.riddleSolved)) {
+    return { error: 'riddleSolved must be true or false' };
+  }
+  const sort = query.sort ?? 'last_played';
+  if (!SESSION_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SESSION_SORTS).join(', ')}` };
+  }
+  const order = query.order ?? 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
   }
 
-  // Don't use legacy assets for sessions - they lack remote URLs needed for Trellis
-  // Legacy assets can only be used when NOT using sessions (backward compatibility)
-
-  // Define prompts for different views - ultra high quality for 3D reconstruction
-  const viewPrompts = {
-    'idle': {
-      'back': 'Ultra high quality back view of exact same character, FULL BODY VIEW from head to toe, rear view showing all details including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact proportions and design, no occlusions, complete full-body visible',
-      'left': 'Ultra high quality left side profile view of exact same character, FULL BODY VIEW from head to toe, perfect 90 degree profile from left including legs and feet, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions, complete full-body visible',
-      'right': 'Ultra high quality right side profile view of exact same character, FULL BODY VIEW from head to toe, perfect 90 degree profile from right including legs and feet, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions, complete full-body visible',
-      'angle_30': 'Ultra high quality three-quarter view, FULL BODY VIEW from head to toe, character rotated exactly 30 degrees to the right including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions, complete full-body visible',
-      'angle_-30': 'Ultra high quality three-quarter view, FULL BODY VIEW from head to toe, character rotated exactly 30 degrees to the left including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions, complete full-body visible'
-    },
-    'walking': {
-      'back': 'Ultra high quality back view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect rear view for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact pose and proportions, complete full-body visible',
-      'left': 'Ultra high quality left side profile of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect 90 degree left view for 3D model generation, clean white background, ultra sharp 8K resolution, complete full-body visible',
-      'right': 'Ultra high quality right side profile of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect 90 degree right view for 3D model generation, clean white background, ultra sharp 8K resolution, complete full-body visible',
-      'angle_30': 'Ultra high quality three-quarter view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, rotated exactly 30 degrees right, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, complete full-body visible',
-      'angle_-30': 'Ultra high quality three-quarter view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, rotated exactly 30 degrees left, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, complete full-body visible'
-    },
-    'shooting': {
-      'back': 'Ultra high quality back view of character in shooting action pose, perfect rear view for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact pose and proportions',
-      'left': 'Ultra high quality left side profile of character in shooting action pose, perfect 90 degree left view for 3D model generation, clean white background, ultra sharp 8K resolution',
-      'right': 'Ultra high quality right side profile of character in shooting action pose, perfect 90 degree right view for 3D model generation, clean white background, ultra sharp 8K resolution',
-      'angle_30': 'Ultra high quality three-quarter view of character in shooting action pose, rotated exactly 30 degrees right, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution',
-      'angle_-30': 'Ultra high quality three-quarter view of character in shooting action pose, rotated exactly 30 degrees left, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution'
-    }
+  return {
+    limit,
+    cursor: query.cursor ?? null,
+    search: typeof query.search === 'string' && query.search.trim() ? query.search.trim() : null,
+    modelType: query.modelType || null,
+    playerMode,
+    buildStatus: query.buildStatus ?? null,
+    riddleSolved: query.riddleSolved === undefined ? null : query.riddleSolved === 'true',
+    sort,
+    order
   };
+}
 
-  const prompt = viewPrompts[pose]?.[viewName];
-  if (!prompt) {
-    res.status(400).json({
-      success: false,
-      error: `Unknown view: ${viewName} for pose: ${pose}`
-    });
-    return;
-  }
-
+// List sessions, most recently played first. Supports text search on the
+// character, filters, sorting and cursor pagination (pass nextCursor back
+// as ?cursor= for the next page).
+app.get('/api/sessions', async (req, res) => {
   try {
-    console.log(`[VIEW] Generating ${viewName} from provided image...`);
-
-    // Generate the view using image-to-image
-    const result = await fal.subscribe("fal-ai/alpha-image-232/edit-image", {
-      input: {
-        prompt: prompt,
-        image_urls: [imageUrl],
-        enable_prompt_expansion: false
-      },
-      logs: false  // Reduce log noise for parallel operations
-    });
-
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const newImageUrl = result.data.images[0].url;
-
-      // Ensure directory exists
-      const viewDir = dirname(viewPath);
-      if (!existsSync(viewDir)) {
-        mkdirSync(viewDir, { recursive: true });
-      }
-
-      // Save the view locally
-      await downloadFile(newImageUrl, viewPath);
-      console.log(`[SAVED] ${pose} ${viewName} view saved`);
-
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'character', viewPath, {
-          pose: pose,
-          viewName: viewName,
-          remoteUrl: newImageUrl,
-          requestId: result.requestId
-        });
-      }
-
-      res.json({
-        success: true,
-        pose: pose,
-        viewName: viewName,
-        imageUrl: viewUrl,
-        remoteUrl: newImageUrl,
-        cached: false
-      });
-    } else {
-      res.status(500).json({
+    const options = sessionListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
         success: false,
-        error: 'No images returned from API'
+        error: options.error
       });
     }
 
+    const result = await sessionService.listSessions(options);
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    console.error(`Error generating ${viewName} view for ${pose}:`, error);
+    console.error('[SESSION] Error listing sessions:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      pose: pose,
-      viewName: viewName
+      error: error.message
     });
   }
 });
 
-// API endpoint to generate 3D model using either Trellis or Hyper3D/Rodin
-app.post('/api/generate-3d-model', async (req, res) => {
-  const { imageUrls, pose = DEFAULT_POSE, modelType = 'trellis', sessionId } = req.body;
-
-  console.log(`[3D MODEL] Generating 3D model for ${pose} pose using ${modelType.toUpperCase()}...`);
-  if (sessionId) console.log('[3D MODEL] For session:', sessionId);
-
-  // Validate image count based on model type
-  const maxImages = modelType === 'trellis' ? 6 : 5; // Trellis supports 6, Rodin supports 5
-  if (imageUrls && imageUrls.length > maxImages) {
-    console.warn(`[3D MODEL] Received ${imageUrls.length} images, limiting to ${maxImages} (${modelType} constraint)`);
-    imageUrls.splice(maxImages);
-  }
-
-  // Determine paths based on session or legacy
-  const modelPath = sessionId
-    ? getAssetPath(sessionId, 'models', null, `character_${pose}.glb`)
-    : join(MODELS_DIR, `character_${pose}.glb`);
-
-  const modelUrl = sessionId
-    ? getAssetUrl(sessionId, 'models', null, `character_${pose}.glb`)
-    : `/assets/models/character_${pose}.glb`;
-
-  // Check if model already exists
-  if (existsSync(modelPath)) {
-    console.log('[REUSE] Reusing existing 3D model');
-    res.json({
-      success: true,
-      modelUrl: modelUrl,
-      requestId: 'cached',
-      cached: true
-    });
-    return;
-  }
-
+// Delete a session: it moves to the trash and can be restored until purged
+app.delete('/api/sessions/:id', async (req, res) => {
   try {
-    let result;
-
-    if (modelType === 'trellis') {
-      // Use Trellis API
-      console.log('[3D MODEL] Using Trellis API...');
-      result = await fal.subscribe("fal-ai/trellis/multi", {
-        input: {
-          image_urls: imageUrls,
-          ss_guidance_strength: 7.5,
-          ss_sampling_steps: 12,
-          slat_guidance_strength: 3,
-          slat_sampling_steps: 12,
-          mesh_simplify: 0.95,
-          texture_size: 1024,
-          multiimage_algo: "stochastic"
-        },
-        logs: true,
-        onQueueUpdate: (update) => {
-          if (update.status === "IN_PROGRESS") {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
-      });
-    } else {
-      // Use Rodin API
-      console.log('[3D MODEL] Using Rodin API...');
-      result = await fal.subscribe("fal-ai/hyper3d/rodin/v2", {
-        input: {
-          input_image_urls: imageUrls,  // Rodin uses input_image_urls
-          geometry_file_format: "glb",  // Specify GLB format for Three.js compatibility
-          material: "All",              // Include both PBR and shaded materials
-          quality_mesh_option: "500K Triangle", // Highest quality for best results
-          prompt: ""  // Let AI auto-generate prompt from images
-        },
-        logs: true,
-        onQueueUpdate: (update) => {
-          if (update.status === "IN_PROGRESS") {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
+    const sessionId = req.params.id;
+    if (!await sessionService.sessionExists(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
       });
     }
 
-    console.log(`[OK] 3D model generation complete using ${modelType}!`);
-    console.log('Request ID:', result.requestId);
-
-    if (result.data && result.data.model_mesh && result.data.model_mesh.url) {
-      const meshUrl = result.data.model_mesh.url;
-
-      // Ensure directory exists
-      const modelDir = dirname(modelPath);
-      if (!existsSync(modelDir)) {
-        mkdirSync(modelDir, { recursive: true });
-      }
-
-      await downloadFile(meshUrl, modelPath);
-      console.log('[SAVED] 3D model saved locally');
-
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'models', modelPath, {
-          pose: pose,
-          modelType: modelType,
-          remoteUrl: meshUrl,
-          requestId: result.requestId
-        });
-        console.log('[SESSION] Recorded 3D model in database');
-      }
-
-      res.json({
-        success: true,
-        modelUrl: modelUrl,
-        requestId: result.requestId,
-        cached: false,
-        modelType: modelType
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'No model returned from API'
-      });
+    // Nothing keeps generating for a session in the trash
+    const cancelled = await jobService.cancelSessionJobs(sessionId);
+    if (cancelled > 0) {
+      eventService.publish(sessionId, 'build-cancelled', { cancelled });
     }
 
+    const purgeAt = await sessionService.trashSession(sessionId);
+    res.json({
+      success: true,
+      message: 'Session moved to the trash',
+      purgeAt
+    });
   } catch (error) {
-    console.error(`❌ Error generating 3D model with ${modelType}:`, error);
-    // Log detailed error for debugging
-    if (error.body && error.body.detail) {
-      console.error('Validation error details:', JSON.stringify(error.body.detail, null, 2));
-    }
+    console.error('[SESSION] Error deleting session:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      modelType: modelType,
-      details: error.body?.detail || null
+      error: error.message
     });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    falKeyConfigured: !!process.env.FAL_KEY,
-    reuseEnabled: REUSE_ASSETS
-  });
-});
+// ==================== TRASH API ENDPOINTS ====================
 
-// ==================== SESSION API ENDPOINTS ====================
+// Deleted sessions stay in the trash for TRASH_RETENTION_DAYS before their
+// rows and files are purged
 
-// Create a new session
-app.post('/api/sessions/create', async (req, res) => {
+// List the sessions in the trash and when each will be purged
+app.get('/api/trash', async (req, res) => {
   try {
-    const { character, modelType, playerMode } = req.body;
-    const session = await sessionService.createSession(character, modelType, playerMode);
+    const sessions = await sessionService.listTrashedSessions();
     res.json({
       success: true,
-      session
+      retentionDays: sessionService.trashRetentionDays,
+      sessions
     });
   } catch (error) {
-    console.error('[SESSION] Error creating session:', error);
+    console.error('[SESSION] Error listing trash:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -837,22 +389,21 @@ app.post('/api/sessions/create', async (req, res) => {
   }
 });
 
-// Get session details
-app.get('/api/sessions/:id', async (req, res) => {
+// Take a session back out of the trash
+app.post('/api/trash/:id/restore', async (req, res) => {
   try {
-    const session = await sessionService.getSession(req.params.id);
-    if (!session) {
+    if (!await sessionService.restoreSession(req.params.id)) {
       return res.status(404).json({
         success: false,
-        error: 'Session not found'
+        error: 'Session not found in trash'
       });
     }
     res.json({
       success: true,
-      session
+      message: 'Session restored'
     });
   } catch (error) {
-    console.error('[SESSION] Error getting session:', error);
+    console.error('[SESSION] Error restoring session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -860,18 +411,23 @@ app.get('/api/sessions/:id', async (req, res) => {
   }
 });
 
-// List recent sessions
-app.get('/api/sessions', async (req, res) => {
+// Permanently delete one session from the trash, with its assets
+app.delete('/api/trash/:id', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
-    const result = await sessionService.listSessions(limit, offset);
+    const freedBytes = await sessionService.purgeSession(req.params.id);
+    if (freedBytes === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found in trash'
+      });
+    }
     res.json({
       success: true,
-      ...result
+      message: 'Session permanently deleted',
+      freedBytes
     });
   } catch (error) {
-    console.error('[SESSION] Error listing sessions:', error);
+    console.error('[SESSION] Error purging session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -879,16 +435,17 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
-// Delete a session
-app.delete('/api/sessions/:id', async (req, res) => {
+// What the next retention run would remove, without removing anything:
+// expired trash, sessions past the age limit and quota evictions
+app.get('/api/retention/report', async (req, res) => {
   try {
-    await sessionService.deleteSession(req.params.id);
+    const report = await retentionService.run({ dryRun: true });
     res.json({
       success: true,
-      message: 'Session deleted successfully'
+      ...report
     });
   } catch (error) {
-    console.error('[SESSION] Error deleting session:', error);
+    console.error('[RETENTION] Error building retention report:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -896,14 +453,56 @@ app.delete('/api/sessions/:id', async (req, res) => {
   }
 });
 
-// Update session metadata
-app.patch('/api/sessions/:id', async (req, res) => {
+// Empty the trash: permanently delete every session in it
+app.delete('/api/trash', async (req, res) => {
   try {
-    const { gameState, metadata } = req.body;
-    await sessionService.updateSession(req.params.id, { gameState, metadata });
+    const { sessions, freedBytes } = await sessionService.purgeTrash({ all: true });
     res.json({
       success: true,
-      message: 'Session updated successfully'
+      purged: sessions.length,
+      freedBytes
+    });
+  } catch (error) {
+    console.error('[SESSION] Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update session metadata, saved game state, the name, tags and favorite
+// flag shown in the session list, or the protected flag that keeps the
+// retention job away from the session
+app.patch('/api/sessions/:id', async (req, res) => {
+  try {
+    const { gameState, metadata, name, tags, favorite } = req.body;
+    const isProtected = req.body.protected;
+    if (gameState !== undefined && !isGameState(gameState)) {
+      return res.status(400).json({
+        success: false,
+        error: 'gameState must be an object or null'
+      });
+    }
+    const labelsError = sessionLabelsError({ name, tags, favorite, isProtected });
+    if (labelsError) {
+      return res.status(400).json({
+        success: false,
+        error: labelsError
+      });
+    }
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    await sessionService.updateSession(req.params.id, {
+      gameState, metadata, name, tags, favorite, protected: isProtected
+    });
+    res.json({
+      success: true,
+      message: 'Session updated successfully'
     });
   } catch (error) {
     console.error('[SESSION] Error updating session:', error);
@@ -914,13 +513,283 @@ app.patch('/api/sessions/:id', async (req, res) => {
   }
 });
 
-// Check if session assets exist
+// Saved transforms of the objects placed in a session's world
+app.get('/api/sessions/:id/layout', async (req, res) => {
+  try {
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      objects: await sessionService.getLayout(req.params.id)
+    });
+  } catch (error) {
+    console.error('[SESSION] Error getting layout:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save the transforms of placed objects (objects not listed keep theirs)
+app.put('/api/sessions/:id/layout', async (req, res) => {
+  try {
+    const { objects } = req.body;
+    if (!Array.isArray(objects)) {
+      return res.status(400).json({
+        success: false,
+        error: 'objects must be an array'
+      });
+    }
+    for (const [index, object] of objects.entries()) {
+      const error = layoutObjectError(object);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: `objects[${index}]: ${error}`
+        });
+      }
+    }
+
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await sessionService.saveLayout(req.params.id, objects);
+    res.json({
+      success: true,
+      saved: objects.length
+    });
+  } catch (error) {
+    console.error('[SESSION] Error saving layout:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Forget the layout so the next load places everything afresh
+app.delete('/api/sessions/:id/layout', async (req, res) => {
+  try {
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await sessionService.clearLayout(req.params.id);
+    res.json({
+      success: true,
+      message: 'Layout cleared'
+    });
+  } catch (error) {
+    console.error('[SESSION] Error clearing layout:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List a session's named save slots
+app.get('/api/sessions/:id/slots', async (req, res) => {
+  try {
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    const slots = await sessionService.listSaveSlots(req.params.id);
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (error) {
+    console.error('[SESSION] Error listing save slots:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save to a named slot: the gameState sent, or the session's current game
+// state when none is. An existing slot with the same name is overwritten.
+app.post('/api/sessions/:id/slots', async (req, res) => {
+  try {
+    const { gameState } = req.body;
+    const name = parseSlotName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: `name must be 1 to ${MAX_SLOT_NAME_LENGTH} characters`
+      });
+    }
+    if (gameState !== undefined && !isGameState(gameState)) {
+      return res.status(400).json({
+        success: false,
+        error: 'gameState must be an object or null'
+      });
+    }
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const slot = await sessionService.saveSlot(req.params.id, name, gameState);
+    res.json({
+      success: true,
+      slot
+    });
+  } catch (error) {
+    console.error('[SESSION] Error saving slot:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Load a slot: its game state becomes the session's current one, which the
+// client restores when it starts the session
+app.post('/api/sessions/:id/slots/:slotId/load', async (req, res) => {
+  try {
+    const slot = await sessionService.loadSaveSlot(req.params.id, req.params.slotId);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Save slot not found'
+      });
+    }
+    res.json({
+      success: true,
+      slot
+    });
+  } catch (error) {
+    console.error('[SESSION] Error loading slot:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a save slot
+app.delete('/api/sessions/:id/slots/:slotId', async (req, res) => {
+  try {
+    if (!await sessionService.deleteSaveSlot(req.params.id, req.params.slotId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Save slot not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Save slot deleted'
+    });
+  } catch (error) {
+    console.error('[SESSION] Error deleting slot:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Download a session as a portable bundle: session row, asset versions and
+// their files, layout and save slots in one .tar.gz
+app.get('/api/sessions/:id/export', async (req, res) => {
+  try {
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="session-${req.params.id}.tar.gz"`);
+    await bundleService.exportSession(req.params.id, res);
+  } catch (error) {
+    console.error('[BUNDLE] Error exporting session:', error);
+    if (res.headersSent) {
+      // The bundle is partly sent; cut it off so it cannot pass as complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+// Fork a session: a new world (ground, props, riddle, posters) around the
+// same character, whose images and models are reused as they are. The
+// new world is built right away unless build is false.
+app.post('/api/sessions/:id/fork', async (req, res) => {
+  try {
+    const worldSeed = parseWorldSeed(req.body.worldSeed);
+    if (Number.isNaN(worldSeed)) {
+      return res.status(400).json({
+        success: false,
+        error: `worldSeed must be an integer from 0 to ${MAX_WORLD_SEED}`
+      });
+    }
+
+    const session = await sessionService.forkSession(req.params.id, worldSeed);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    let job = null;
+    let missing = null;
+    if (req.body.build !== false) {
+      ({ missing } = await buildService.prepareResume(session.sessionId));
+      job = await jobService.createJob('build', { sessionId: session.sessionId });
+    }
+
+    res.status(job ? 202 : 200).json({
+      success: true,
+      session,
+      jobId: job?.id ?? null,
+      missing
+    });
+  } catch (error) {
+    console.error('[SESSION] Error forking session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Check if session assets exist. Lists the active version of each asset
+// (every version with ?versions=true) and the URLs of the active versions.
 app.get('/api/sessions/:id/assets', async (req, res) => {
   try {
-    const assets = await sessionService.getSessionAssets(req.params.id);
+    const { pose = DEFAULT_POSE, versions } = req.query;
+    const assets = await sessionService.getSessionAssets(req.params.id, { includeVersions: versions === 'true' });
     res.json({
       success: true,
-      assets
+      assets,
+      urls: getSessionAssetUrls(req.params.id, pose, assets.filter(asset => asset.is_active))
     });
   } catch (error) {
     console.error('[SESSION] Error getting session assets:', error);
@@ -950,82 +819,104 @@ app.get('/api/sessions/:id/assets/check', async (req, res) => {
   }
 });
 
-// ==================== LLM API ENDPOINTS ====================
+// List every version of one asset, newest first
+app.get('/api/sessions/:id/assets/versions', async (req, res) => {
+  try {
+    const { assetType, pose = null, viewName = null } = req.query;
+    if (!assetType) {
+      return res.status(400).json({
+        success: false,
+        error: 'assetType is required'
+      });
+    }
 
-// Query Claude with structured JSON output
-app.post('/api/llm/query', async (req, res) => {
+    const versions = await sessionService.getAssetVersions(req.params.id, assetType, pose || null, viewName || null);
+    res.json({
+      success: true,
+      versions: versions.map(version => ({ ...version, url: getUrlForPath(version.file_path) }))
+    });
+  } catch (error) {
+    console.error('[SESSION] Error listing asset versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// How one asset version was generated: provider request, step, sources
+app.get('/api/sessions/:id/assets/:assetId/provenance', async (req, res) => {
   try {
-    const { prompt } = req.body;
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
 
-    if (!prompt) {
-      return res.status(400).json({
+    const provenance = await sessionService.getAssetProvenance(req.params.id, parseInt(req.params.assetId, 10));
+    if (!provenance) {
+      return res.status(404).json({
         success: false,
-        error: 'Prompt is required'
+        error: 'Asset not found'
       });
     }
 
-    console.log('[LLM] Received query:', prompt.substring(0, 100) + '...');
-
-    // Call Anthropic API with structured output using raw fetch
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'anthropic-beta': 'structured-outputs-2025-11-13'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        output_format: {
-          type: 'json_schema',
-          schema: {
-            type: 'object',
-            properties: {
-              question: {
-                type: 'string',
-                description: 'The question or prompt that was asked'
-              },
-              answer: {
-                type: 'string',
-                description: 'The answer or response to the question'
-              }
-            },
-            required: ['question', 'answer'],
-            additionalProperties: false
-          }
-        }
-      })
+    res.json({
+      success: true,
+      provenance
+    });
+  } catch (error) {
+    console.error('[SESSION] Error getting asset provenance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+// Make an earlier version of an asset the active one again (by default the
+// version before the active one)
+app.post('/api/sessions/:id/assets/rollback', async (req, res) => {
+  try {
+    const { assetType, pose = null, viewName = null, version = null } = req.body;
+    if (!assetType) {
+      return res.status(400).json({
+        success: false,
+        error: 'assetType is required'
+      });
+    }
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} ${errorData}`);
+    if (!await sessionService.sessionExists(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
     }
 
-    const responseData = await response.json();
-    console.log('[LLM] Response received from Claude');
+    const asset = await sessionService.rollbackAsset(
+      req.params.id,
+      assetType,
+      pose || null,
+      viewName || null,
+      version === null ? null : parseInt(version, 10)
+    );
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset version not found'
+      });
+    }
 
-    // Parse the JSON response from content
-    const content = responseData.content[0].text;
-    const parsedResponse = JSON.parse(content);
+    // A resumed build must not reuse step results of the replaced version
+    await buildService.forgetAssetSteps(req.params.id, [asset]);
 
     res.json({
       success: true,
-      question: parsedResponse.question,
-      answer: parsedResponse.answer,
-      requestId: responseData.id
+      asset: { ...asset, url: getUrlForPath(asset.file_path) }
     });
-
   } catch (error) {
-    console.error('[LLM] Error querying Claude:', error);
+    console.error('[SESSION] Error rolling back asset:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1033,136 +924,87 @@ app.post('/api/llm/query', async (req, res) => {
   }
 });
 
-// ==================== RIDDLE PUZZLE GENERATION API ====================
+// Regenerate one asset (e.g. character/walking/left or ground) as a new
+// version. Assets built from it are flagged stale, and regenerated too with
+// rebuild: true.
+app.post('/api/sessions/:id/assets/regenerate', async (req, res) => {
+  const sessionId = req.params.id;
+  const { assetType, pose = null, viewName = null, rebuild = false, async: runAsync } = req.body;
+  const input = { sessionId, assetType, pose: pose || null, viewName: viewName || null, rebuild: !!rebuild };
 
-// Generate riddle puzzle with 2 solution objects and 3 distractor objects
-app.post('/api/generate-riddle-puzzle', async (req, res) => {
   try {
-    const { sessionId } = req.body;
-
-    console.log('[RIDDLE] Generating riddle puzzle...');
-    if (sessionId) console.log('[RIDDLE] For session:', sessionId);
-
-    // Check if riddle already exists in session metadata
-    if (sessionId) {
-      const session = await sessionService.getSession(sessionId);
-      if (session && session.metadata) {
-        try {
-          const metadata = JSON.parse(session.metadata);
-          if (metadata.riddle) {
-            console.log('[RIDDLE] Using cached riddle from session');
-            return res.json({
-              success: true,
-              cached: true,
-              ...metadata.riddle
-            });
-          }
-        } catch (e) {
-          // Metadata not parseable, continue with generation
-        }
-      }
+    if (!assetType) {
+      return res.status(400).json({
+        success: false,
+        error: 'assetType is required'
+      });
     }
 
-    // Generate new riddle using Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'anthropic-beta': 'structured-outputs-2025-11-13'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: 'Generate a riddle or puzzle that involves exactly 2 objects. The puzzle should describe an objective that can only be achieved by using these 2 objects together. The objects can be related or unrelated, but together they must make logical sense for solving the puzzle.\n\nFor each object description, write it as a detailed visual prompt suitable for an image-to-3D model generation pipeline. Be specific about appearance, materials, and key visual features.\n\nAlso generate 3 additional random object descriptions (as distractors) that are NOT the solution to the puzzle. These should also be formatted as prompts for image-to-3D generation.'
-          }
-        ],
-        output_format: {
-          type: 'json_schema',
-          schema: {
-            type: 'object',
-            properties: {
-              riddle: {
-                type: 'string',
-                description: 'The riddle or puzzle text describing the objective'
-              },
-              object1_description: {
-                type: 'string',
-                description: 'Visual description of the first solution object for image-to-3D pipeline'
-              },
-              object2_description: {
-                type: 'string',
-                description: 'Visual description of the second solution object for image-to-3D pipeline'
-              },
-              random_object1_description: {
-                type: 'string',
-                description: 'Visual description of first random distractor object for image-to-3D pipeline'
-              },
-              random_object2_description: {
-                type: 'string',
-                description: 'Visual description of second random distractor object for image-to-3D pipeline'
-              },
-              random_object3_description: {
-                type: 'string',
-                description: 'Visual description of third random distractor object for image-to-3D pipeline'
-              }
-            },
-            required: [
-              'riddle',
-              'object1_description',
-              'object2_description',
-              'random_object1_description',
-              'random_object2_description',
-              'random_object3_description'
-            ],
-            additionalProperties: false
-          }
-        }
-      })
-    });
+    // The build would race the regeneration for the same files
+    const build = await jobService.getLatestSessionJob(sessionId, 'build');
+    if (build && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(build.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A build is in progress for this session',
+        jobId: build.id
+      });
+    }
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} ${errorData}`);
+    if (runAsync) {
+      const job = await jobService.createJob('regenerate', input);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status
+      });
     }
 
-    const responseData = await response.json();
-    console.log('[RIDDLE] Riddle generated successfully');
-
-    // Parse the JSON response from content
-    const content = responseData.content[0].text;
-    const riddleData = JSON.parse(content);
-
-    // Store riddle in session metadata
-    if (sessionId) {
-      const session = await sessionService.getSession(sessionId);
-      let metadata = {};
-      try {
-        if (session && session.metadata) {
-          metadata = JSON.parse(session.metadata);
-        }
-      } catch (e) {
-        metadata = {};
-      }
+    const result = await buildService.regenerateAsset(input);
+    res.json(result);
+  } catch (error) {
+    console.error('[SESSION] Error regenerating asset:', error);
+    sendGenerationError(res, error);
+  }
+});
+
+// ==================== JOB API ENDPOINTS ====================
+
+// Get the status (and result, once finished) of a generation job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
 
-      metadata.riddle = riddleData;
-      await sessionService.updateSession(sessionId, { metadata });
-      console.log('[RIDDLE] Stored riddle in session metadata');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
     }
 
     res.json({
       success: true,
-      cached: false,
-      requestId: responseData.id,
-      ...riddleData
+      job
+    });
+  } catch (error) {
+    console.error('[JOBS] Error getting job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
+// List recent generation jobs for a session
+app.get('/api/sessions/:id/jobs', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const jobs = await jobService.listSessionJobs(req.params.id, limit);
+    res.json({
+      success: true,
+      jobs
+    });
   } catch (error) {
-    console.error('[RIDDLE] Error generating riddle puzzle:', error);
+    console.error('[JOBS] Error listing session jobs:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1170,85 +1012,99 @@ app.post('/api/generate-riddle-puzzle', async (req, res) => {
   }
 });
 
-// ==================== MEME GENERATION API ====================
+// ==================== BUILD API ENDPOINTS ====================
 
-// Generate meme poster
-app.post('/api/generate-meme', async (req, res) => {
+// Start (or restart) the server-side world-building pipeline for a session.
+// Steps that already finished are reused, so restarting a failed or
+// interrupted build only redoes the missing work.
+app.post('/api/sessions/:id/build', async (req, res) => {
   try {
-    const { prompt, sessionId, filename = 'meme-poster.png' } = req.body;
+    const sessionId = req.params.id;
 
-    if (!prompt) {
-      return res.status(400).json({
+    // Don't start a second pipeline while one is still in flight
+    let job = await jobService.getLatestSessionJob(sessionId, 'build');
+    const inFlight = !!job && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status);
+
+    const plan = inFlight
+      ? await buildService.getResumePlan(sessionId)
+      : await buildService.prepareResume(sessionId);
+
+    if (!plan) {
+      return res.status(404).json({
         success: false,
-        error: 'Prompt is required'
+        error: 'Session not found'
       });
     }
 
-    console.log(`[MEME] Generating meme: ${filename}...`);
-
-    // Determine paths based on session or legacy
-    const memePath = sessionId
-      ? getAssetPath(sessionId, 'images', null, filename)
-      : join(ASSETS_DIR, 'images', filename);
-
-    const memeUrl = sessionId
-      ? getAssetUrl(sessionId, 'images', null, filename)
-      : `/assets/images/${filename}`;
-
-    // ALWAYS regenerate memes (no caching) to ensure fresh content every time
-    console.log('[MEME] Generating fresh meme (no caching)...');
-
-    // Generate with FAL AI
-    const result = await fal.subscribe("fal-ai/alpha-image-232/text-to-image", {
-      input: {
-        prompt: prompt
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
+    if (!inFlight) {
+      job = await jobService.createJob('build', { sessionId });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      missing: plan.missing,
+      coalesced: inFlight
     });
+  } catch (error) {
+    console.error('[BUILD] Error starting build:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    console.log('[OK] Meme generation complete!');
+// Cancel a session's in-flight generation: pending pipeline steps stop and
+// queued provider requests are cancelled. The session stays resumable.
+app.post('/api/sessions/:id/cancel', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
 
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const imageUrl = result.data.images[0].url;
+    if (!(await sessionService.sessionExists(sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
 
-      // Ensure directory exists
-      const memeDir = dirname(memePath);
-      if (!existsSync(memeDir)) {
-        mkdirSync(memeDir, { recursive: true });
-      }
+    const cancelled = await jobService.cancelSessionJobs(sessionId);
+    eventService.publish(sessionId, 'build-cancelled', { cancelled });
+    console.log(`[BUILD] Cancelled ${cancelled} job(s) for session ${sessionId}`);
 
-      // Download and save
-      await downloadFile(imageUrl, memePath);
-      console.log('[SAVED] Meme poster saved locally');
+    res.json({
+      success: true,
+      cancelled
+    });
+  } catch (error) {
+    console.error('[BUILD] Error cancelling session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      // Record asset in database if session-based
-      if (sessionId) {
-        await sessionService.recordAsset(sessionId, 'images', memePath, {
-          remoteUrl: imageUrl,
-          requestId: result.requestId
-        });
-      }
+// Report which pipeline steps a session is missing and whether it can be
+// played with the assets it already has
+app.get('/api/sessions/:id/build/plan', async (req, res) => {
+  try {
+    const plan = await buildService.getResumePlan(req.params.id);
 
-      res.json({
-        success: true,
-        imageUrl: memeUrl,
-        requestId: result.requestId,
-        cached: false
-      });
-    } else {
-      res.status(500).json({
+    if (!plan) {
+      return res.status(404).json({
         success: false,
-        error: 'No images returned from API'
+        error: 'Session not found'
       });
     }
 
+    res.json({
+      success: true,
+      ...plan
+    });
   } catch (error) {
-    console.error('❌ Error generating meme:', error);
+    console.error('[BUILD] Error computing resume plan:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1256,15 +1112,120 @@ app.post('/api/generate-meme', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`[SERVER] Server running at http://localhost:${PORT}`);
-  console.log(`[API] API endpoints available`);
-  console.log(`[OK] FAL API Key: ${process.env.FAL_KEY ? 'Configured' : 'NOT FOUND'}`);
-  console.log(`[REUSE] Asset Reuse: ${REUSE_ASSETS ? 'ENABLED' : 'DISABLED'}`);
+// Get the latest build job and its recorded step progress
+app.get('/api/sessions/:id/build', async (req, res) => {
+  try {
+    const job = await jobService.getLatestSessionJob(req.params.id, 'build');
+    const steps = await buildService.getSteps(req.params.id);
+    res.json({
+      success: true,
+      job,
+      steps
+    });
+  } catch (error) {
+    console.error('[BUILD] Error getting build:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== EVENT STREAM ====================
+
+// Server-Sent Events stream of generation progress for a session
+app.get('/api/sessions/:id/events', async (req, res) => {
+  const sessionId = req.params.id;
+
+  try {
+    if (!await sessionService.sessionExists(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+  } catch (error) {
+    console.error('[EVENTS] Error looking up session:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  send({ id: 0, type: 'connected', data: { sessionId } });
+  const unsubscribe = eventService.subscribe(sessionId, send);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
 
-  if (REUSE_ASSETS) {
-    const assetStatus = checkAssetsExist();
-    console.log(`[ASSETS] Existing assets: ${assetStatus.allExist ? 'All present' : 'Some missing'}`);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`[EVENTS] Client disconnected from session ${sessionId}`);
+  });
+
+  console.log(`[EVENTS] Client subscribed to session ${sessionId}`);
+});
+
+// ==================== LLM API ENDPOINTS ====================
+
+// Query Claude with structured JSON output
+app.post('/api/llm/query', async (req, res) => {
+  try {
+    const result = await generationService.queryLlm(req.body);
+    res.json(result);
+  } catch (error) {
+    console.error('[LLM] Error querying Claude:', error);
+    sendGenerationError(res, error);
   }
 });
+
+// ==================== RIDDLE PUZZLE GENERATION API ====================
+
+// Generate riddle puzzle with 2 solution objects and 3 distractor objects
+app.post('/api/generate-riddle-puzzle', generationRoute('riddle'));
+
+// ==================== MEME GENERATION API ====================
+
+// Generate meme poster
+app.post('/api/generate-meme', generationRoute('meme'));
+
+// Start server once the database schema is up to date
+migrationService.waitUntilReady()
+  .then((applied) => {
+    console.log(`[DB] Database ready (${applied.length} migration(s) applied)`);
+
+    app.listen(PORT, () => {
+      console.log(`[SERVER] Server running at http://localhost:${PORT}`);
+      console.log(`[API] API endpoints available`);
+      console.log(`[OK] FAL API Key: ${process.env.FAL_KEY ? 'Configured' : 'NOT FOUND'}`);
+      console.log(`[PROVIDER] Generation provider: ${provider.name}`);
+      console.log(`[REUSE] Asset Reuse: ${REUSE_ASSETS ? 'ENABLED' : 'DISABLED'}`);
+
+      if (REUSE_ASSETS) {
+        const assetStatus = checkAssetsExist();
+        console.log(`[ASSETS] Existing assets: ${assetStatus.allExist ? 'All present' : 'Some missing'}`);
+      }
+
+      // Pick up generation jobs interrupted by a restart
+      jobService.resumePendingJobs();
+
+      // Purge the trash, age out and enforce the disk quota on a schedule
+      retentionService.start();
+    });
+  })
+  .catch((error) => {
+    console.error('[DB] Database migration failed, not starting:', error);
+    process.exit(1);
+  });
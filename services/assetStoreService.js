@@ -0,0 +1,244 @@
+import { createHash } from 'crypto';
+import { createReadStream, existsSync, rmSync, statSync } from 'fs';
+import { join, extname, resolve, sep } from 'path';
+import { db } from '../database/db.js';
+import { isValidAssetFile } from '../utils/download.js';
+import { linkOrCopy, ASSETS_DIR } from '../utils/assetPaths.js';
+
+// How long a blob just handed to a session is safe from pruning. The
+// session's assets row is written only after the file is in place.
+const PRUNE_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * Hash a string or buffer with SHA-256
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * File behind a local /assets/... URL
+ * @returns {string|null} Path inside the assets folder, or null if the URL
+ *          is not a local asset URL or points outside the folder
+ */
+export function localAssetPath(url) {
+    const { pathname } = new URL(url, 'http://localhost');
+    if (!pathname.startsWith('/assets/')) return null;
+
+    let filePath;
+    try {
+        filePath = resolve(ASSETS_DIR, decodeURIComponent(pathname.slice('/assets/'.length)));
+    } catch (error) {
+        // Malformed percent-encoding
+        return null;
+    }
+    return filePath.startsWith(ASSETS_DIR + sep) ? filePath : null;
+}
+
+/**
+ * Hash a file's contents without loading it into memory at once
+ * @returns {Promise<string>} SHA-256 hex digest, the file's blob hash
+ */
+export async function hashFile(filePath) {
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Content-addressed store for generated assets, shared by every session.
+ * Blobs live once under assets/store/<hash> and are hard linked into
+ * sessions, so deleting a session only removes its links. Each provider request is
+ * fingerprinted (provider, model, prompt, input image hashes, parameters) so
+ * an identical request in another session reuses the stored blob instead of
+ * paying for a new generation.
+ */
+class AssetStoreService {
+    constructor() {
+        this.storeDir = join(process.cwd(), 'assets', 'store');
+        // ASSET_STORE=off gives every session fresh generations
+        this.enabled = process.env.ASSET_STORE !== 'off';
+        // Blob hash -> when it was last handed to a session
+        this.lastHandedOut = new Map();
+    }
+
+    /**
+     * Note that a blob is about to be referenced, so pruning leaves it alone
+     */
+    markInUse(hash) {
+        this.lastHandedOut.set(hash, Date.now());
+    }
+
+    /**
+     * Whether a blob was handed to a session within the grace period
+     */
+    inGracePeriod(hash) {
+        const handedOutAt = this.lastHandedOut.get(hash);
+        if (handedOutAt === undefined) return false;
+        if (Date.now() - handedOutAt < PRUNE_GRACE_MS) return true;
+        this.lastHandedOut.delete(hash);
+        return false;
+    }
+
+    /**
+     * Identify an input image by its content: inline data is hashed directly,
+     * our own assets (by remote or local URL) by the blob they came from
+     */
+    async inputHash(url) {
+        if (url.startsWith('data:')) {
+            return sha256(Buffer.from(url.slice(url.indexOf(',') + 1), 'base64'));
+        }
+
+        const known = await db.getAsync(
+            `SELECT blob_hash FROM generation_cache WHERE remote_url = ?
+             UNION ALL
+             SELECT blob_hash FROM assets WHERE remote_url = ? AND blob_hash IS NOT NULL
+             LIMIT 1`,
+            [url, url]
+        );
+        if (known) return known.blob_hash;
+
+        // A local /assets/... URL (the fallback for cached images). The URL
+        // comes from the client, so the file must be inside the assets folder.
+        const localPath = localAssetPath(url);
+        if (localPath && existsSync(localPath)) return hashFile(localPath);
+
+        return sha256(url);
+    }
+
+    /**
+     * Stable cache key for a provider request
+     * @param {object} fingerprint - { provider, model, prompt, imageUrls, params }
+     * @returns {Promise<string>} SHA-256 hex digest
+     */
+    async cacheKey({ provider, model = null, prompt = null, imageUrls = [], params = {} }) {
+        const inputs = await Promise.all(imageUrls.map(url => this.inputHash(url)));
+        const sortedParams = Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+        return sha256(JSON.stringify({ provider, model, prompt, inputs, params: sortedParams }));
+    }
+
+    /**
+     * Find the stored result of an identical earlier request
+     * @returns {Promise<object|null>} { blobHash, blobPath, remoteUrl, requestId, provenance }
+     */
+    async lookup(fingerprint) {
+        if (!this.enabled) return null;
+
+        try {
+            const row = await db.getAsync(
+                `SELECT g.blob_hash, g.remote_url, g.request_id, g.provenance, b.file_path
+                 FROM generation_cache g JOIN blobs b ON b.hash = g.blob_hash
+                 WHERE g.cache_key = ?`,
+                [await this.cacheKey(fingerprint)]
+            );
+            if (!row || !isValidAssetFile(row.file_path)) return null;
+
+            this.markInUse(row.blob_hash);
+            return {
+                blobHash: row.blob_hash,
+                blobPath: row.file_path,
+                remoteUrl: row.remote_url,
+                requestId: row.request_id,
+                provenance: row.provenance ? JSON.parse(row.provenance) : null
+            };
+        } catch (error) {
+            console.error('[STORE] Error looking up generation cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Place a stored blob at a session's asset path
+     */
+    materialize(stored, targetPath) {
+        linkOrCopy(stored.blobPath, targetPath);
+    }
+
+    /**
+     * Keep a session file as a blob, sharing the stored copy when the store
+     * already has the same bytes
+     * @param {string} filePath - The session's copy
+     * @returns {Promise<string>} Blob hash
+     */
+    async adopt(filePath) {
+        const hash = await hashFile(filePath);
+        const blobPath = join(this.storeDir, hash.slice(0, 2), `${hash}${extname(filePath)}`);
+        this.markInUse(hash);
+
+        if (!isValidAssetFile(blobPath)) {
+            linkOrCopy(filePath, blobPath);
+        }
+        // Share the store's inode so identical results keep one copy on disk
+        linkOrCopy(blobPath, filePath);
+
+        await db.runAsync(
+            'INSERT OR IGNORE INTO blobs (hash, file_path, size_bytes) VALUES (?, ?, ?)',
+            [hash, blobPath, statSync(blobPath).size]
+        );
+        return hash;
+    }
+
+    /**
+     * Add a freshly downloaded asset to the store and remember which request
+     * produced it
+     * @param {string} filePath - The session's downloaded copy
+     * @param {object} fingerprint - The provider request (see cacheKey)
+     * @param {object} metadata - { remoteUrl, requestId, provenance }
+     * @returns {Promise<string|null>} Blob hash, or null if the store is off
+     */
+    async store(filePath, fingerprint, { remoteUrl = null, requestId = null, provenance = null } = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            const hash = await this.adopt(filePath);
+            await db.runAsync(
+                `INSERT OR REPLACE INTO generation_cache (cache_key, blob_hash, provider, model, remote_url, request_id, provenance)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [await this.cacheKey(fingerprint), hash, fingerprint.provider, fingerprint.model || null, remoteUrl, requestId,
+                    provenance && JSON.stringify(provenance)]
+            );
+
+            return hash;
+        } catch (error) {
+            // The session's own copy is still good; only sharing is lost
+            console.error('[STORE] Error storing asset:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete the blobs no session asset uses any more, with their generation
+     * cache entries. Deleting a session only removes its links, so this is
+     * what gives the disk space back. Blobs handed to a session in the last
+     * few minutes are kept, since their assets row may not be written yet.
+     * @returns {Promise<object>} { count, bytes } of the blobs deleted
+     */
+    async pruneUnreferenced() {
+        const blobs = await db.allAsync(
+            `SELECT hash, file_path, size_bytes FROM blobs
+             WHERE NOT EXISTS (SELECT 1 FROM assets WHERE assets.blob_hash = blobs.hash)`
+        );
+
+        let count = 0;
+        let bytes = 0;
+        for (const blob of blobs) {
+            if (this.inGracePeriod(blob.hash)) continue;
+
+            rmSync(blob.file_path, { force: true });
+            await db.runAsync('DELETE FROM generation_cache WHERE blob_hash = ?', [blob.hash]);
+            await db.runAsync('DELETE FROM blobs WHERE hash = ?', [blob.hash]);
+            count++;
+            bytes += blob.size_bytes;
+        }
+        if (count > 0) {
+            console.log(`[STORE] Pruned ${count} unused blob(s), ${bytes} bytes`);
+        }
+        return { count, bytes };
+    }
+}
+
+// Export singleton instance
+const assetStoreService = new AssetStoreService();
+export default assetStoreService;
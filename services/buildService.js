@@ -0,0 +1,756 @@
+import { db } from '../database/db.js';
+import sessionService from './sessionService.js';
+import generationService from './generationService.js';
+import eventService from './eventService.js';
+import { GenerationError, CancelledError, ERROR_CATEGORY, classifyError } from '../utils/errors.js';
+import { fileToDataUrl } from '../utils/download.js';
+
+const STEP_STATUS = {
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Failures that will repeat on every later step (no credit, bad API key).
+// The build stops at the first one instead of failing each remaining asset.
+const FATAL_CATEGORIES = new Set([ERROR_CATEGORY.QUOTA]);
+
+const VIEW_ORDER = ['back', 'left', 'right', 'angle_30', 'angle_-30'];
+const CHARACTER_THEMED_COUNT = 5;
+const PUZZLE_OBJECT_COUNT = 5;
+
+/**
+ * Every asset the pipeline produces, keyed by the build step that writes it.
+ * Required assets are the minimum needed to play the session.
+ */
+function pipelineAssets() {
+    const image = (stepKey, pose, viewName = 'front') =>
+        ({ stepKey, assetType: 'character', pose, viewName });
+    const model = (stepKey, pose, required = false) =>
+        ({ stepKey, assetType: 'models', pose, viewName: null, required });
+    const objectSteps = (key, pose) => [image(`${key}:image`, pose), model(`${key}:model`, pose)];
+
+    return [
+        { stepKey: 'ground', assetType: 'ground', pose: null, viewName: null, required: true },
+        image('idle:base', 'idle'),
+        ...VIEW_ORDER.map(viewName => image(`idle:view:${viewName}`, 'idle', viewName)),
+        model('idle:model', 'idle', true),
+        image('walking:base', 'walking'),
+        ...VIEW_ORDER.map(viewName => image(`walking:view:${viewName}`, 'walking', viewName)),
+        model('walking:model', 'walking'),
+        ...objectSteps('env:object', 'object'),
+        ...objectSteps('env:tree', 'tree'),
+        ...Array.from({ length: CHARACTER_THEMED_COUNT }, (_, i) =>
+            objectSteps(`character_themed:${i}`, `character_themed_${i}`)).flat(),
+        { stepKey: 'riddle', assetType: null },
+        ...Array.from({ length: PUZZLE_OBJECT_COUNT }, (_, i) =>
+            objectSteps(`puzzle_object:${i}`, `puzzle_object_${i}`)).flat()
+    ];
+}
+
+/**
+ * The build step that writes an asset, if the pipeline produces it
+ */
+function stepKeyFor({ asset_type: assetType, pose, view_name: viewName }) {
+    const match = pipelineAssets().find(asset =>
+        asset.assetType === assetType && asset.pose === pose && asset.viewName === viewName);
+    return match ? match.stepKey : null;
+}
+
+/**
+ * Describe an asset row by type, pose and view, e.g. character/walking/left
+ */
+function assetLabel(asset) {
+    return [asset.asset_type, asset.pose, asset.view_name].filter(Boolean).join('/');
+}
+
+/**
+ * URL a provider can fetch an asset from: the provider's own URL, falling
+ * back to the file itself inline (e.g. for imported sessions, whose provider
+ * URLs are dropped because they expire)
+ */
+function sourceUrl(asset) {
+    return asset.remote_url || fileToDataUrl(asset.file_path);
+}
+
+const OBJECT_IMAGE_PROMPT = (subject, description) => `Ultra high quality 3D ${subject}, ${description}, neutral white background, studio lighting setup, front view, highly detailed, perfect for 3D reconstruction, clean silhouette, 8K resolution, photorealistic, no shadows on ground, object centered in frame`;
+
+const TREE_PROMPT = (character) => `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a TREE that fits thematically in this character's world:
+
+1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the tree's appearance - specific about type, size, materials, and visual features. This will be used to generate a 3D model.
+
+2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this tree is, why it exists in this character's world, and what makes it special or significant to the setting.
+
+Be specific and creative.`;
+
+const OBJECT_PROMPT = (character) => `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a recurring environmental object or prop that fits thematically in this character's world:
+
+1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the object's appearance - specific about materials, size, shape, and visual features. This will be used to generate a 3D model.
+
+2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this object is, why it exists in this character's world, and what makes it special or significant to the setting.
+
+Be specific and creative.`;
+
+const CHARACTER_THEMED_PROMPT = (character, objectIndex) => `You are a game environment designer. Given this character: "${character}", generate TWO descriptions for a character-themed prop or object ${objectIndex + 1} that is directly related to this character's identity, profession, or background:
+
+1. VISUAL DESCRIPTION (for image-to-3D generation): A detailed, technical description of the object's appearance - specific about materials, size, shape, and visual features. This object should be DIRECTLY associated with this character type (e.g., weapon, tool, equipment, personal item). This will be used to generate a 3D model.
+
+2. LORE-FRIENDLY DESCRIPTION (for player interaction): A narrative, atmospheric description (2-3 sentences) explaining what this object is, how it relates to the character, and why a player would recognize it as belonging to this character type.
+
+Make the object unique and thematically appropriate to the character.`;
+
+const PUZZLE_LORE_PROMPT = (description) => `Given this object description: "${description}", create a lore-friendly atmospheric description (2-3 sentences) that explains what this object is and why a player might encounter it in their adventure. Make it mysterious and engaging.`;
+
+/**
+ * Server-side world-building pipeline. Runs the same phases (and the same
+ * parallelism) the browser used to, recording every step in build_steps so
+ * a restarted build skips work that already finished.
+ *
+ * Transient provider errors are retried where the call is made. A step that
+ * still fails is skipped when its asset is optional, fails the build when it
+ * is required, and stops the whole build when the error is fatal (quota).
+ */
+class BuildService {
+    constructor() {
+        // session id -> { signal, failures, fatalError } of the build running for it
+        this.builds = new Map();
+    }
+
+    /**
+     * Run one recorded build step, or return its stored result if it already
+     * succeeded in an earlier run
+     */
+    async runStep(sessionId, stepKey, fn) {
+        const build = this.builds.get(sessionId);
+        const signal = build?.signal;
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+        if (build?.fatalError) {
+            throw build.fatalError;
+        }
+
+        const existing = await db.getAsync(
+            'SELECT status, result FROM build_steps WHERE session_id = ? AND step_key = ?',
+            [sessionId, stepKey]
+        );
+        if (existing && existing.status === STEP_STATUS.SUCCEEDED) {
+            console.log(`[BUILD] Reusing completed step: ${stepKey}`);
+            return JSON.parse(existing.result);
+        }
+
+        await db.runAsync(
+            `INSERT OR REPLACE INTO build_steps (session_id, step_key, status, started_at)
+             VALUES (?, ?, ?, ?)`,
+            [sessionId, stepKey, STEP_STATUS.RUNNING, new Date().toISOString()]
+        );
+        eventService.publish(sessionId, 'build-step', { stepKey, status: STEP_STATUS.RUNNING });
+
+        try {
+            const result = await fn(signal);
+            await this.finishStep(sessionId, stepKey, STEP_STATUS.SUCCEEDED, result, null);
+            eventService.publish(sessionId, 'build-step', { stepKey, status: STEP_STATUS.SUCCEEDED });
+            return result;
+        } catch (error) {
+            const failure = signal?.aborted ? new CancelledError() : classifyError(error);
+            const status = signal?.aborted ? STEP_STATUS.CANCELLED : STEP_STATUS.FAILED;
+            await this.finishStep(sessionId, stepKey, status, null, failure.message);
+            eventService.publish(sessionId, 'build-step', { stepKey, status, error: failure.message, code: failure.code });
+
+            if (build && status === STEP_STATUS.FAILED) {
+                this.recordFailure(build, stepKey, failure);
+            }
+            throw failure;
+        }
+    }
+
+    /**
+     * Remember a failed step for the build result, and stop the build if
+     * the error will repeat on every remaining step
+     */
+    recordFailure(build, stepKey, failure) {
+        build.failures.push({
+            stepKey,
+            code: failure.code,
+            category: failure.category,
+            error: failure.message
+        });
+
+        if (FATAL_CATEGORIES.has(failure.category) && !build.fatalError) {
+            console.error(`[BUILD] Stopping build after ${stepKey} failed (${failure.code}): ${failure.message}`);
+            build.fatalError = failure;
+        }
+    }
+
+    /**
+     * Record the outcome of a build step
+     */
+    async finishStep(sessionId, stepKey, status, result, errorMessage) {
+        await db.runAsync(
+            'UPDATE build_steps SET status = ?, result = ?, error = ?, finished_at = ? WHERE session_id = ? AND step_key = ?',
+            [status, result ? JSON.stringify(result) : null, errorMessage, new Date().toISOString(), sessionId, stepKey]
+        );
+    }
+
+    /**
+     * Get the recorded steps of a session's build
+     */
+    async getSteps(sessionId) {
+        try {
+            const rows = await db.allAsync(
+                'SELECT * FROM build_steps WHERE session_id = ? ORDER BY started_at',
+                [sessionId]
+            );
+            return rows.map(row => ({
+                stepKey: row.step_key,
+                status: row.status,
+                error: row.error,
+                startedAt: row.started_at,
+                finishedAt: row.finished_at
+            }));
+        } catch (error) {
+            console.error('[BUILD] Error getting build steps:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out which pipeline assets a session already has (recorded in the
+     * assets table and present on disk) and which steps still need to run
+     */
+    async getResumePlan(sessionId) {
+        const session = await sessionService.getSession(sessionId, { touch: false });
+        if (!session) return null;
+
+        let hasRiddle = false;
+        try {
+            hasRiddle = !!JSON.parse(session.metadata || '{}').riddle;
+        } catch (e) {
+            // Metadata not parseable, treat the riddle as missing
+        }
+
+        const present = [];
+        const missing = [];
+        let playable = true;
+
+        for (const asset of pipelineAssets()) {
+            const exists = asset.assetType
+                ? !!(await sessionService.assetExists(sessionId, asset.assetType, asset.pose, asset.viewName))
+                : hasRiddle;
+
+            (exists ? present : missing).push(asset.stepKey);
+            if (!exists && asset.required) playable = false;
+        }
+
+        // Present but built from an asset version that has since changed
+        const stale = (await sessionService.getStaleAssets(sessionId))
+            .map(stepKeyFor)
+            .filter(stepKey => stepKey && present.includes(stepKey));
+
+        return {
+            playable,
+            complete: missing.length === 0 && stale.length === 0,
+            present,
+            missing,
+            stale
+        };
+    }
+
+    /**
+     * Prepare a session for a resumed build. Steps recorded as finished whose
+     * assets have since gone missing or stale are forgotten so they run again.
+     * @returns {object|null} The resume plan, or null if the session is unknown
+     */
+    async prepareResume(sessionId) {
+        const plan = await this.getResumePlan(sessionId);
+        if (!plan) return plan;
+
+        const redo = [...plan.missing, ...plan.stale];
+        if (redo.length === 0) return plan;
+
+        await this.forgetSteps(sessionId, redo);
+        console.log(`[BUILD] Session ${sessionId} resuming with ${plan.missing.length} missing and ${plan.stale.length} stale steps`);
+        return plan;
+    }
+
+    /**
+     * Forget recorded build steps so the next build runs them again
+     */
+    async forgetSteps(sessionId, stepKeys) {
+        if (stepKeys.length === 0) return;
+
+        const placeholders = stepKeys.map(() => '?').join(', ');
+        await db.runAsync(
+            `DELETE FROM build_steps WHERE session_id = ? AND step_key IN (${placeholders})`,
+            [sessionId, ...stepKeys]
+        );
+    }
+
+    /**
+     * Forget the build steps of assets whose active version changed outside
+     * a build (regenerated or rolled back), whose stored results point at
+     * the previous version
+     * @param {Array<object>} assets - Asset rows
+     */
+    async forgetAssetSteps(sessionId, assets) {
+        await this.forgetSteps(sessionId, assets.map(stepKeyFor).filter(Boolean));
+    }
+
+    /**
+     * How to generate an asset again: its recorded step and input, with the
+     * assets it was built from. Assets recorded before recipes were kept
+     * get one derived from the pipeline where possible.
+     * @returns {Promise<{stepType, input, sources}>} sources are the asset
+     *          rows the input's image URLs came from, in order
+     */
+    async assetRecipe(session, asset) {
+        if (asset.step_type) {
+            return {
+                stepType: asset.step_type,
+                input: JSON.parse(asset.step_input || '{}'),
+                sources: await sessionService.getAssetSources(asset.id)
+            };
+        }
+
+        const { asset_type: assetType, pose, view_name: viewName } = asset;
+        const front = (framePose) => sessionService.getActiveAsset(session.id, 'character', framePose, 'front');
+        const isCharacterPose = pose === 'idle' || pose === 'walking';
+
+        if (assetType === 'ground') {
+            return { stepType: 'texture', input: {}, sources: [] };
+        }
+        if (assetType === 'character' && viewName === 'front' && pose === 'idle') {
+            return { stepType: 'character', input: { pose, character: session.character_description }, sources: [] };
+        }
+        if (assetType === 'character' && viewName === 'front' && pose === 'walking') {
+            return { stepType: 'pose', input: { targetPose: pose }, sources: [await front('idle')] };
+        }
+        if (assetType === 'character' && isCharacterPose) {
+            return { stepType: 'view', input: { pose, viewName }, sources: [await front(pose)] };
+        }
+        if (assetType === 'models' && isCharacterPose) {
+            const images = [await front(pose), ...await Promise.all(VIEW_ORDER.map(view =>
+                sessionService.getActiveAsset(session.id, 'character', pose, view)))];
+            return {
+                stepType: '3d-model',
+                input: { pose, modelType: session.model_type || 'trellis' },
+                sources: images.filter(Boolean)
+            };
+        }
+
+        throw new GenerationError(`No recorded recipe for ${assetLabel(asset)}; rebuild the session instead`, 422);
+    }
+
+    /**
+     * Regenerate one asset of a session as a new version. Everything built
+     * from it is flagged stale and, with rebuild, generated again in
+     * dependency order.
+     * @param {object} input - { sessionId, assetType, pose, viewName, rebuild }
+     * @param {object} options - { signal } to cancel
+     * @returns {object} The regenerated asset, and the stale and rebuilt assets
+     */
+    async regenerateAsset({ sessionId, assetType, pose = null, viewName = null, rebuild = false }, { signal } = {}) {
+        const session = await sessionService.getSession(sessionId, { touch: false });
+        if (!session) {
+            throw new GenerationError('Session not found', 404);
+        }
+
+        const asset = await sessionService.getActiveAsset(sessionId, assetType, pose, viewName);
+        if (!asset) {
+            throw new GenerationError(`Asset not found: ${[assetType, pose, viewName].filter(Boolean).join('/')}`, 404);
+        }
+
+        const result = await this.regenerate(session, asset, signal);
+        const rebuilt = [];
+
+        if (rebuild) {
+            // Everything downstream of the regenerated asset, by type/pose/view
+            // (each regeneration replaces the row with a new version)
+            const regenerated = await sessionService.getActiveAsset(sessionId, assetType, pose, viewName);
+            const downstream = new Set((await sessionService.findDependents(regenerated)).map(assetLabel));
+            const staleDownstream = async () => (await sessionService.getStaleAssets(sessionId))
+                .filter(row => downstream.has(assetLabel(row)));
+
+            // Regenerate stale assets whose own sources are all up to date,
+            // until none are left (each round unblocks the next layer)
+            let stale = await staleDownstream();
+            while (stale.length > 0) {
+                const staleIds = new Set(stale.map(row => row.id));
+                const ready = [];
+                for (const row of stale) {
+                    const sources = await sessionService.getAssetSources(row.id);
+                    const current = await Promise.all(sources.map(source =>
+                        sessionService.getActiveAsset(sessionId, source.asset_type, source.pose, source.view_name)));
+                    if (!current.some(source => source && staleIds.has(source.id))) {
+                        ready.push(row);
+                    }
+                }
+                if (ready.length === 0) break;
+
+                await Promise.all(ready.map(row => this.regenerate(session, row, signal)));
+                rebuilt.push(...ready.map(assetLabel));
+                stale = await staleDownstream();
+            }
+        }
+
+        const stale = await sessionService.getStaleAssets(sessionId);
+        await this.forgetAssetSteps(sessionId, stale);
+        if (stale.length > 0) {
+            eventService.publish(sessionId, 'assets-stale', { assets: stale.map(assetLabel) });
+        }
+
+        return {
+            success: true,
+            asset: result,
+            rebuilt,
+            stale: stale.map(assetLabel)
+        };
+    }
+
+    /**
+     * Generate a new version of one asset from its recipe, fed with the
+     * active versions of the assets it was built from
+     */
+    async regenerate(session, asset, signal) {
+        const recipe = await this.assetRecipe(session, asset);
+        const sources = await Promise.all(recipe.sources.map(source =>
+            sessionService.getActiveAsset(session.id, source.asset_type, source.pose, source.view_name)));
+        if (sources.some(source => !source)) {
+            throw new GenerationError(`A source of ${assetLabel(asset)} no longer exists`, 422);
+        }
+
+        const input = { ...recipe.input, sessionId: session.id, newVersion: true };
+        if (recipe.stepType === 'view') input.imageUrl = sourceUrl(sources[0]);
+        if (recipe.stepType === '3d-model') input.imageUrls = sources.map(sourceUrl);
+
+        console.log(`[BUILD] Regenerating ${assetLabel(asset)} (${recipe.stepType})`);
+        const result = await generationService.runStep(recipe.stepType, input, { signal });
+        await this.forgetAssetSteps(session.id, [asset]);
+        return result;
+    }
+
+    /**
+     * Run a generation step as a recorded build step
+     */
+    generate(sessionId, stepKey, stepType, input) {
+        return this.runStep(sessionId, stepKey, (signal) =>
+            generationService.runStep(stepType, { ...input, sessionId }, { signal })
+        );
+    }
+
+    /**
+     * Tell watching clients which phase the build is in
+     */
+    phase(sessionId, message, detail = '') {
+        console.log(`[BUILD] ${message}`);
+        eventService.publish(sessionId, 'build-phase', { message, detail });
+    }
+
+    /**
+     * Render a described prop and convert it to 3D (Image → 3D model)
+     */
+    async createObjectModel(sessionId, modelType, { key, pose, imageSubject, description }) {
+        const imageData = await this.generate(sessionId, `${key}:image`, 'character', {
+            pose,
+            character: OBJECT_IMAGE_PROMPT(imageSubject, description)
+        });
+
+        // Ensure we have remote URL for Trellis
+        if (!imageData.remoteUrl) {
+            throw new GenerationError('No remote URL returned from image generation - Trellis requires remote URLs');
+        }
+
+        // Single image 3D model - use REMOTE URL only
+        const modelData = await this.generate(sessionId, `${key}:model`, '3d-model', {
+            imageUrls: [imageData.remoteUrl],
+            pose,
+            modelType
+        });
+
+        return modelData.modelUrl;
+    }
+
+    /**
+     * Generate an environmental object or tree (LLM → Image → 3D model).
+     * Never throws; failures are returned.
+     */
+    async createEnv(sessionId, character, modelType, objectType) {
+        const key = `env:${objectType}`;
+
+        try {
+            const llmData = await this.runStep(sessionId, `${key}:describe`, (signal) =>
+                generationService.queryLlm({ prompt: objectType === 'tree' ? TREE_PROMPT(character) : OBJECT_PROMPT(character), sessionId }, { signal })
+            );
+
+            // The full description includes the lore context
+            const description = llmData.answer;
+            const modelUrl = await this.createObjectModel(sessionId, modelType, {
+                key,
+                pose: objectType,
+                imageSubject: objectType === 'tree' ? 'tree' : 'object',
+                description
+            });
+
+            return { success: true, modelUrl, description, loreDescription: description, objectType };
+        } catch (error) {
+            console.error(`[BUILD] Error generating ${objectType}:`, error.message);
+            return { success: false, error: error.message, objectType };
+        }
+    }
+
+    /**
+     * Generate one character-themed prop. Never throws; failures are returned.
+     */
+    async createCharacterThemedObject(sessionId, character, modelType, objectIndex) {
+        const key = `character_themed:${objectIndex}`;
+
+        try {
+            const llmData = await this.runStep(sessionId, `${key}:describe`, (signal) =>
+                generationService.queryLlm({ prompt: CHARACTER_THEMED_PROMPT(character, objectIndex), sessionId }, { signal })
+            );
+
+            const description = llmData.answer;
+            const modelUrl = await this.createObjectModel(sessionId, modelType, {
+                key,
+                pose: `character_themed_${objectIndex}`,
+                imageSubject: 'object',
+                description
+            });
+
+            return { success: true, modelUrl, description, loreDescription: description, objectType: 'character_themed', objectIndex };
+        } catch (error) {
+            console.error(`[BUILD] Error generating character-themed object ${objectIndex}:`, error.message);
+            return { success: false, error: error.message, objectType: 'character_themed', objectIndex };
+        }
+    }
+
+    /**
+     * Generate the riddle and list its objects in order:
+     * [solution1, solution2, distractor1, distractor2, distractor3]
+     */
+    async createRiddle(sessionId) {
+        try {
+            const data = await this.generate(sessionId, 'riddle', 'riddle', {});
+            return {
+                success: true,
+                riddle: data.riddle,
+                objectDescriptions: [
+                    { description: data.object1_description, type: 'solution', index: 0 },
+                    { description: data.object2_description, type: 'solution', index: 1 },
+                    { description: data.random_object1_description, type: 'distractor', index: 2 },
+                    { description: data.random_object2_description, type: 'distractor', index: 3 },
+                    { description: data.random_object3_description, type: 'distractor', index: 4 }
+                ]
+            };
+        } catch (error) {
+            console.error('[BUILD] Error generating riddle:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Generate one riddle object, with a lore description written for it.
+     * Never throws; failures are returned.
+     */
+    async createPuzzleObject(sessionId, modelType, objectDesc) {
+        const key = `puzzle_object:${objectDesc.index}`;
+
+        try {
+            // Lore is optional - fall back to the riddle's own description
+            const llmData = await this.runStep(sessionId, `${key}:lore`, (signal) =>
+                generationService.queryLlm({ prompt: PUZZLE_LORE_PROMPT(objectDesc.description), sessionId }, { signal })
+            ).catch(() => null);
+
+            const modelUrl = await this.createObjectModel(sessionId, modelType, {
+                key,
+                pose: `puzzle_object_${objectDesc.index}`,
+                imageSubject: 'object',
+                description: objectDesc.description
+            });
+
+            return {
+                success: true,
+                modelUrl,
+                description: objectDesc.description,
+                loreDescription: llmData ? llmData.answer : objectDesc.description,
+                type: objectDesc.type,
+                objectIndex: objectDesc.index
+            };
+        } catch (error) {
+            console.error(`[BUILD] Error generating puzzle object ${objectDesc.index}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Generate a pose's views in parallel and collect the successful image
+     * URLs in Trellis order, starting with the front image
+     */
+    async createViews(sessionId, pose, frontImageUrl) {
+        const results = await Promise.all(VIEW_ORDER.map(viewName =>
+            this.generate(sessionId, `${pose}:view:${viewName}`, 'view', {
+                pose,
+                viewName,
+                imageUrl: frontImageUrl
+            }).catch(error => {
+                console.warn(`[BUILD] Failed to generate ${pose} ${viewName} view:`, error.message);
+                return null;
+            })
+        ));
+
+        return [frontImageUrl, ...results
+            .filter(result => result?.success)
+            .map(result => result.remoteUrl || result.imageUrl)];
+    }
+
+    /**
+     * Run the full world-building pipeline for a session
+     * @param {object} input - { sessionId }
+     * @param {object} options - { signal } to cancel the build
+     * @returns {object} Everything the client needs to render the world
+     */
+    async buildSession({ sessionId }, { signal } = {}) {
+        const session = await sessionService.getSession(sessionId, { touch: false });
+        if (!session) {
+            throw new GenerationError('Session not found', 404);
+        }
+
+        const build = { signal, failures: [], fatalError: null };
+        this.builds.set(sessionId, build);
+        try {
+            return await this.runPipeline(session, build);
+        } finally {
+            this.builds.delete(sessionId);
+        }
+    }
+
+    /**
+     * The pipeline phases behind buildSession
+     */
+    async runPipeline(session, build) {
+        const sessionId = session.id;
+        const { signal } = build;
+
+        const character = session.character_description;
+        const modelType = session.model_type || 'trellis';
+        const maxImages = modelType === 'trellis' ? 6 : 5; // Trellis supports 6, Rodin supports 5
+        const startTime = Date.now();
+
+        console.log(`[BUILD] Building world for session ${sessionId}: ${character}`);
+
+        // ==================== PHASE 1: Ground + Idle Base (Parallel) ====================
+        this.phase(sessionId, '🚀 Phase 1: Starting parallel generation...', 'Ground texture + Idle character base');
+
+        const [groundData, idleBaseData] = await Promise.all([
+            this.generate(sessionId, 'ground', 'texture', {}),
+            this.generate(sessionId, 'idle:base', 'character', { pose: 'idle', character })
+        ]);
+        const idleImageUrl = idleBaseData.remoteUrl || idleBaseData.imageUrl;
+
+        // ==================== RIDDLE + ENV OBJECTS: Start generation in background ====================
+        this.phase(sessionId, '🧩 Starting riddle puzzle generation...', 'Claude is creating a puzzle');
+        const riddlePromise = this.createRiddle(sessionId);
+
+        this.phase(sessionId, '🌲 Starting environmental generation...', 'Creating thematic props, trees, and character objects');
+        const envPromise = Promise.all([
+            this.createEnv(sessionId, character, modelType, 'object'),
+            this.createEnv(sessionId, character, modelType, 'tree'),
+            ...Array.from({ length: CHARACTER_THEMED_COUNT }, (_, i) =>
+                this.createCharacterThemedObject(sessionId, character, modelType, i)
+            )
+        ]);
+
+        // ==================== PHASE 2: Idle Views (5 Parallel) ====================
+        this.phase(sessionId, '⚡ Phase 2: Generating all idle views...', 'Creating 5 views in parallel');
+        const idleViewUrls = await this.createViews(sessionId, 'idle', idleImageUrl);
+
+        // ==================== PHASE 3: Idle 3D + Walking Base (2 Parallel) ====================
+        this.phase(sessionId, '🎯 Phase 3: Building 3D models...', 'Idle 3D + Walking base pose');
+
+        const [idleModelData, walkingBaseData] = await Promise.all([
+            this.generate(sessionId, 'idle:model', '3d-model', {
+                imageUrls: idleViewUrls.slice(0, maxImages),
+                pose: 'idle',
+                modelType
+            }),
+            this.generate(sessionId, 'walking:base', 'pose', { targetPose: 'walking' }).catch(error => {
+                console.warn('[BUILD] Walking base generation failed:', error.message);
+                return null;
+            })
+        ]);
+        const walkingImageUrl = walkingBaseData ? (walkingBaseData.remoteUrl || walkingBaseData.imageUrl) : null;
+
+        // ==================== ENV OBJECTS: Wait for generation ====================
+        this.phase(sessionId, '🌲 Finishing environmental objects...', 'Props, trees and character objects');
+        const envResults = await envPromise;
+
+        // ==================== RIDDLE PUZZLE OBJECTS: 5 in parallel ====================
+        this.phase(sessionId, '🧩 Generating puzzle objects...', 'Creating 5 3D puzzle items in parallel');
+        const riddle = await riddlePromise;
+        const puzzleObjects = riddle.success
+            ? await Promise.all(riddle.objectDescriptions.slice(0, PUZZLE_OBJECT_COUNT).map(objectDesc =>
+                this.createPuzzleObject(sessionId, modelType, objectDesc)
+            ))
+            : [];
+
+        // ==================== PHASE 4: Walking Views + 3D Model ====================
+        let walkingModelData = null;
+        if (walkingImageUrl) {
+            this.phase(sessionId, '💥 Phase 4: Final parallel generation...', 'All remaining views and 3D models');
+            const walkingViewUrls = await this.createViews(sessionId, 'walking', walkingImageUrl);
+
+            if (walkingViewUrls.length >= 3) {
+                this.phase(sessionId, '🎲 Finalizing 3D models...', 'Converting walking pose to 3D');
+                walkingModelData = await this.generate(sessionId, 'walking:model', '3d-model', {
+                    imageUrls: walkingViewUrls.slice(0, maxImages),
+                    pose: 'walking',
+                    modelType
+                }).catch(error => {
+                    console.warn('[BUILD] Walking 3D model generation failed:', error.message);
+                    return null;
+                });
+            }
+        }
+
+        // Optional steps swallow their errors, so check for a late cancellation
+        // or a fatal error that stopped the remaining steps
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+        if (build.fatalError) {
+            throw build.fatalError;
+        }
+        if (build.failures.length > 0) {
+            console.warn(`[BUILD] Skipped ${build.failures.length} failed optional steps:`, build.failures.map(failure => failure.stepKey).join(', '));
+        }
+
+        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+        console.log(`[BUILD] World for session ${sessionId} built in ${totalTime}s`);
+
+        return {
+            success: true,
+            sessionId,
+            groundUrl: groundData.imageUrl,
+            character: {
+                idle: { imageUrl: idleBaseData.imageUrl, modelUrl: idleModelData.modelUrl },
+                walking: walkingBaseData ? {
+                    imageUrl: walkingBaseData.imageUrl,
+                    modelUrl: walkingModelData?.modelUrl || null
+                } : null
+            },
+            environment: {
+                object: envResults[0],
+                tree: envResults[1],
+                characterThemed: envResults.slice(2)
+            },
+            riddle,
+            puzzleObjects,
+            skipped: build.failures
+        };
+    }
+}
+
+// Export singleton instance
+const buildService = new BuildService();
+export default buildService;
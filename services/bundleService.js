@@ -0,0 +1,534 @@
+import { createReadStream, createWriteStream, mkdirSync, rmSync, statSync } from 'fs';
+import { join, extname, relative, normalize, isAbsolute, sep } from 'path';
+import { createHash } from 'crypto';
+import { createGzip, createGunzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import tarStream from 'tar-stream';
+import { db, uuidv4 } from '../database/db.js';
+import sessionService, { remapSessionId } from './sessionService.js';
+import assetStoreService, { hashFile } from './assetStoreService.js';
+import { getActivePath, linkOrCopy } from '../utils/assetPaths.js';
+import { isValidAssetFile, maxAssetBytes } from '../utils/download.js';
+import { envInt } from '../utils/env.js';
+import { parseWorldSeed } from '../utils/seed.js';
+import { isGameState, sessionLabelsError, layoutObjectError, parseSlotName, MAX_SLOT_NAME_LENGTH } from '../utils/validation.js';
+
+// Identifies a session bundle and the layout of its manifest
+export const BUNDLE_FORMAT = 'terminalflux-session';
+export const BUNDLE_VERSION = 1;
+
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_BYTES = 16 * 1024 * 1024;
+// Total size of the files in a bundle; each file is also held to the
+// download limit of its type
+const MAX_BUNDLE_BYTES = envInt('BUNDLE_MAX_MB', 1024) * 1024 * 1024;
+const BLOB_ENTRY = /^blobs\/([0-9a-f]{64})(\.[a-z0-9]+)?$/;
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Asset columns carried over as they are
+const ASSET_COLUMNS = ['asset_type', 'pose', 'view_name', 'request_id', 'version', 'is_active', 'stale',
+    'step_type', 'step_input', 'provenance', 'created_at'];
+// Values for NOT NULL asset columns a manifest leaves out
+const ASSET_DEFAULTS = { version: 1, is_active: 1, stale: 0 };
+
+/**
+ * A bundle that cannot be imported, with the HTTP status to answer with
+ */
+export class BundleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BundleError';
+        this.status = status;
+    }
+}
+
+/**
+ * Path of a bundled file inside the session directory, refusing anything
+ * that would land outside it
+ */
+function bundledPath(sessionDir, path) {
+    const cleanPath = typeof path === 'string' ? normalize(path) : '';
+    if (!cleanPath || isAbsolute(cleanPath) || cleanPath.split(sep).includes('..')) {
+        throw new BundleError(`Invalid asset path in bundle: ${path}`);
+    }
+    return join(sessionDir, cleanPath);
+}
+
+/**
+ * Read a tar entry into memory, up to a size limit
+ */
+async function readEntry(entry, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of entry) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new BundleError(`${entry.header.name} is larger than ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Write a tar entry to disk, checking its size and that its contents match
+ * the blob hash it is named after and the file type of its extension
+ * @param {number} maxBytes - Largest size accepted for this entry
+ * @returns {Promise<number>} Bytes written
+ */
+async function writeBlob(entry, hash, filePath, maxBytes) {
+    const tooLarge = () => new BundleError(`${entry.header.name} is larger than ${maxBytes} bytes`, 413);
+    if (entry.header.size > maxBytes) throw tooLarge();
+
+    const digest = createHash('sha256');
+    let size = 0;
+    await pipeline(entry, async function* (source) {
+        for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) throw tooLarge();
+            digest.update(chunk);
+            yield chunk;
+        }
+    }, createWriteStream(filePath));
+
+    if (digest.digest('hex') !== hash) {
+        throw new BundleError(`Blob ${hash} in bundle is corrupt`);
+    }
+    if (!isValidAssetFile(filePath)) {
+        throw new BundleError(`Blob ${hash} in bundle is not a complete ${extname(filePath).slice(1)} file`);
+    }
+    return size;
+}
+
+/**
+ * Parse a JSON text column of a manifest
+ * @returns {*} The value, undefined if the text is not JSON
+ */
+function parseJsonText(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+const isOptionalString = value => value == null || typeof value === 'string';
+const isFlag = value => value == null || typeof value === 'boolean' || value === 0 || value === 1;
+
+/**
+ * Check the types of the session row in a manifest; JSON columns are
+ * carried as text, as they are stored
+ * @returns {string|null} What is wrong, or null if nothing
+ */
+function sessionFieldsError(session) {
+    if (!isOptionalString(session.model_type)) {
+        return 'model_type must be a string';
+    }
+    if (session.player_mode != null && (!Number.isInteger(session.player_mode) || session.player_mode < 1)) {
+        return 'player_mode must be a positive integer';
+    }
+    if (session.world_seed != null && (typeof session.world_seed !== 'number' || Number.isNaN(parseWorldSeed(session.world_seed)))) {
+        return 'world_seed must be an integer seed';
+    }
+    if (session.forked_from != null && !SESSION_ID.test(session.forked_from)) {
+        return 'forked_from must be a session id';
+    }
+    if (!isOptionalString(session.created_at)) {
+        return 'created_at must be a string';
+    }
+    if (!isFlag(session.favorite)) {
+        return 'favorite must be 0 or 1';
+    }
+    for (const column of ['tags', 'game_state', 'metadata']) {
+        if (!isOptionalString(session[column]) || (session[column] != null && parseJsonText(session[column]) === undefined)) {
+            return `${column} must be JSON text`;
+        }
+    }
+
+    const tags = session.tags == null ? null : parseJsonText(session.tags);
+    const labelsError = sessionLabelsError({ name: session.name, tags });
+    if (labelsError) return labelsError;
+    if (session.game_state != null && !isGameState(parseJsonText(session.game_state))) {
+        return 'game_state must hold a JSON object';
+    }
+    return null;
+}
+
+/**
+ * Check the types of the columns of an asset in a manifest
+ * @returns {string|null} What is wrong, or null if nothing
+ */
+function assetFieldsError(asset) {
+    for (const column of ['pose', 'view_name', 'request_id', 'step_type', 'step_input', 'provenance', 'created_at']) {
+        if (!isOptionalString(asset[column])) return `${column} must be a string`;
+    }
+    if (asset.version != null && (!Number.isInteger(asset.version) || asset.version < 1)) {
+        return 'version must be a positive integer';
+    }
+    if (!isFlag(asset.is_active) || !isFlag(asset.stale)) {
+        return 'is_active and stale must be 0 or 1';
+    }
+    return null;
+}
+
+/**
+ * Check the fields a manifest must have to be restored
+ * @returns {string|null} What is wrong, or null if nothing
+ */
+function manifestError(manifest) {
+    const { session, assets } = manifest;
+    if (!session || !SESSION_ID.test(session.id) || !Array.isArray(assets)) {
+        return 'Bundle manifest is incomplete';
+    }
+    if (typeof session.character_description !== 'string' || !session.character_description.trim()) {
+        return 'Bundle manifest has no character_description';
+    }
+    const sessionError = sessionFieldsError(session);
+    if (sessionError) {
+        return `Invalid session in the bundle manifest: ${sessionError}`;
+    }
+
+    for (const [index, asset] of assets.entries()) {
+        if (!asset || typeof asset.asset_type !== 'string' || !asset.asset_type) {
+            return `Asset ${index} in the bundle manifest has no asset_type`;
+        }
+        if (typeof asset.path !== 'string' || typeof asset.blob !== 'string') {
+            return `Asset ${index} in the bundle manifest has no path or file`;
+        }
+        if (maxAssetBytes(asset.path) === null || extname(asset.path).toLowerCase() !== extname(asset.blob)) {
+            return `Asset ${asset.path} in the bundle manifest is not an image or model file`;
+        }
+        const fieldError = assetFieldsError(asset);
+        if (fieldError) {
+            return `Asset ${asset.path} in the bundle manifest is invalid: ${fieldError}`;
+        }
+    }
+    const versionError = assetVersionsError(assets);
+    if (versionError) return versionError;
+
+    const { layout, saveSlots } = manifest;
+    if (layout != null && !Array.isArray(layout)) {
+        return 'Bundle manifest layout must be an array';
+    }
+    for (const [index, object] of (layout || []).entries()) {
+        const error = layoutObjectError(object);
+        if (error) return `Layout object ${index} in the bundle manifest is invalid: ${error}`;
+    }
+    if (saveSlots != null && !Array.isArray(saveSlots)) {
+        return 'Bundle manifest saveSlots must be an array';
+    }
+    for (const [index, slot] of (saveSlots || []).entries()) {
+        if (!slot || !parseSlotName(slot.name)) {
+            return `Save slot ${index} in the bundle manifest must have a name of 1 to ${MAX_SLOT_NAME_LENGTH} characters`;
+        }
+        if (slot.gameState !== undefined && !isGameState(slot.gameState)) {
+            return `Save slot ${slot.name} in the bundle manifest must hold a JSON object`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that each asset slot (type, pose and view) of a manifest has at most
+ * one active version and no version twice, as the assets table requires
+ * @returns {string|null} What is wrong, or null if nothing
+ */
+function assetVersionsError(assets) {
+    const versions = new Set();
+    const active = new Set();
+    for (const asset of assets) {
+        const slot = [asset.asset_type, asset.pose, asset.view_name].filter(Boolean).join(' ');
+        const version = asset.version ?? ASSET_DEFAULTS.version;
+        if (versions.has(`${slot}:${version}`)) {
+            return `Bundle manifest has version ${version} of ${slot} more than once`;
+        }
+        versions.add(`${slot}:${version}`);
+
+        if (asset.is_active ?? ASSET_DEFAULTS.is_active) {
+            if (active.has(slot)) {
+                return `Bundle manifest has more than one active version of ${slot}`;
+            }
+            active.add(slot);
+        }
+    }
+    return null;
+}
+
+/**
+ * Portable session bundles: one .tar.gz with a manifest (the session row,
+ * every asset version with its recipe and dependencies, the world layout and
+ * save slots) and each distinct asset file once, named by its content hash.
+ * Build step records and jobs are not exported; a resumed build reuses the
+ * imported files.
+ */
+class BundleService {
+    constructor() {
+        this.assetsDir = join(process.cwd(), 'assets');
+    }
+
+    /**
+     * Collect the manifest and files of a session
+     * @returns {Promise<object|null>} { manifest, blobs: Map<blob name, filePath> },
+     *          or null if the session does not exist
+     */
+    async collect(sessionId) {
+        const session = await db.getAsync('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+        if (!session) return null;
+
+        const sessionDir = join(this.assetsDir, sessionId);
+        const rows = await db.allAsync('SELECT * FROM assets WHERE session_id = ? ORDER BY id', [sessionId]);
+        const blobs = new Map();
+        const assets = [];
+
+        for (const row of rows) {
+            const path = relative(sessionDir, row.file_path);
+            if (path.startsWith('..') || isAbsolute(path) || !isValidAssetFile(row.file_path)) {
+                console.warn(`[BUNDLE] Skipping asset ${row.id}: ${row.file_path} is missing or outside the session`);
+                continue;
+            }
+
+            const blob = `${await hashFile(row.file_path)}${extname(row.file_path)}`;
+            blobs.set(blob, row.file_path);
+
+            assets.push({
+                id: row.id,
+                ...Object.fromEntries(ASSET_COLUMNS.map(column => [column, row[column]])),
+                path: path.split(sep).join('/'),
+                blob,
+                // For reference only: provider URLs expire and are dropped on import
+                remote_url: row.remote_url
+            });
+        }
+
+        const assetIds = new Set(assets.map(asset => asset.id));
+        const dependencies = (await db.allAsync(
+            `SELECT d.* FROM asset_dependencies d JOIN assets a ON a.id = d.asset_id WHERE a.session_id = ?`,
+            [sessionId]
+        )).filter(dependency => assetIds.has(dependency.asset_id) && assetIds.has(dependency.source_asset_id));
+
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            session: {
+                id: session.id,
+                character_description: session.character_description,
+                model_type: session.model_type,
+                player_mode: session.player_mode,
+                world_seed: session.world_seed,
+                created_at: session.created_at,
+                forked_from: session.forked_from,
+                name: session.name,
+                tags: session.tags,
+                favorite: session.favorite,
+                game_state: session.game_state,
+                metadata: session.metadata
+            },
+            assets,
+            dependencies,
+            layout: await sessionService.getLayout(sessionId),
+            saveSlots: (await sessionService.listSaveSlots(sessionId))
+                .map(({ name, gameState }) => ({ name, gameState }))
+        };
+
+        return { manifest, blobs };
+    }
+
+    /**
+     * Write a session bundle (.tar.gz) to a stream
+     * @param {string} sessionId
+     * @param {Writable} output - e.g. the HTTP response
+     * @returns {Promise<boolean>} False if the session does not exist
+     */
+    async exportSession(sessionId, output) {
+        const collected = await this.collect(sessionId);
+        if (!collected) return false;
+
+        const { manifest, blobs } = collected;
+        const pack = tarStream.pack();
+        const writing = pipeline(pack, createGzip(), output);
+
+        pack.entry({ name: MANIFEST_NAME }, JSON.stringify(manifest, null, 2));
+        for (const [blob, filePath] of blobs) {
+            await new Promise((resolve, reject) => {
+                const entry = pack.entry(
+                    { name: `blobs/${blob}`, size: statSync(filePath).size },
+                    error => (error ? reject(error) : resolve())
+                );
+                createReadStream(filePath).on('error', reject).pipe(entry);
+            });
+        }
+        pack.finalize();
+        await writing;
+
+        console.log(`[BUNDLE] Exported session ${sessionId} (${manifest.assets.length} assets, ${blobs.size} files)`);
+        return true;
+    }
+
+    /**
+     * Unpack a bundle into a staging directory
+     * @returns {Promise<object>} { manifest, blobs: Map<blob name, staged path> }
+     */
+    async unpack(input, stagingDir) {
+        const extract = tarStream.extract();
+        const reading = pipeline(input, createGunzip(), extract);
+        const blobs = new Map();
+        let manifest = null;
+        let totalBytes = 0;
+
+        try {
+            for await (const entry of extract) {
+                const { name, type } = entry.header;
+                const blobMatch = BLOB_ENTRY.exec(name);
+
+                if (type === 'file' && name === MANIFEST_NAME) {
+                    try {
+                        manifest = JSON.parse((await readEntry(entry, MAX_MANIFEST_BYTES)).toString('utf8'));
+                    } catch (error) {
+                        throw error instanceof BundleError ? error : new BundleError('Bundle manifest is not valid JSON');
+                    }
+                } else if (type === 'file' && blobMatch) {
+                    const stagedPath = join(stagingDir, name.slice('blobs/'.length));
+                    const maxBytes = maxAssetBytes(stagedPath);
+                    if (maxBytes === null) {
+                        throw new BundleError(`Unsupported file in bundle: ${name}`);
+                    }
+                    if (totalBytes + entry.header.size > MAX_BUNDLE_BYTES) {
+                        throw new BundleError(`Bundle files add up to more than ${MAX_BUNDLE_BYTES} bytes`, 413);
+                    }
+                    totalBytes += await writeBlob(entry, blobMatch[1], stagedPath, Math.min(maxBytes, MAX_BUNDLE_BYTES - totalBytes));
+                    blobs.set(name.slice('blobs/'.length), stagedPath);
+                } else {
+                    entry.resume();
+                }
+            }
+            await reading;
+        } catch (error) {
+            extract.destroy();
+            await reading.catch(() => {});
+            throw error instanceof BundleError ? error : new BundleError(`Not a readable session bundle: ${error.message}`);
+        }
+
+        if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+            throw new BundleError('Not a session bundle (no manifest)');
+        }
+        if (manifest.version !== BUNDLE_VERSION) {
+            throw new BundleError(`Unsupported bundle version: ${manifest.version}`);
+        }
+        const error = manifestError(manifest);
+        if (error) {
+            throw new BundleError(error);
+        }
+        for (const asset of manifest.assets) {
+            if (!blobs.has(asset.blob)) {
+                throw new BundleError(`Bundle is missing the file of ${asset.path}`);
+            }
+        }
+
+        return { manifest, blobs };
+    }
+
+    /**
+     * Restore a session from a bundle
+     * @param {Readable} input - The .tar.gz bundle, e.g. the HTTP request
+     * @param {object} options - { keepId } to restore under the bundled
+     *        session id instead of a new one
+     * @returns {Promise<object>} { sessionId, originalSessionId, assets }
+     */
+    async importSession(input, { keepId = false } = {}) {
+        const stagingDir = join(this.assetsDir, 'import', uuidv4());
+        mkdirSync(stagingDir, { recursive: true });
+        let sessionId = null;
+
+        try {
+            const { manifest, blobs } = await this.unpack(input, stagingDir);
+            const originalId = manifest.session.id;
+            sessionId = keepId ? originalId : uuidv4();
+
+            if (await sessionService.sessionExists(sessionId, { includeTrashed: true })) {
+                sessionId = null;
+                throw new BundleError(`Session ${originalId} already exists`, 409);
+            }
+
+            await this.restore(sessionId, manifest, blobs);
+            console.log(`[BUNDLE] Imported session ${originalId} as ${sessionId} (${manifest.assets.length} assets)`);
+            return { sessionId, originalSessionId: originalId, assets: manifest.assets.length };
+        } catch (error) {
+            // Leave nothing half imported behind
+            if (sessionId) {
+                await sessionService.deleteSession(sessionId).catch(() => {});
+            }
+            throw error;
+        } finally {
+            rmSync(stagingDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Create the session, its files and rows from an unpacked bundle
+     */
+    async restore(sessionId, manifest, blobs) {
+        const { session } = manifest;
+        const remap = text => remapSessionId(text, session.id, sessionId);
+        const sessionDir = join(this.assetsDir, sessionId);
+        const now = new Date().toISOString();
+
+        // Check every path before anything is written
+        const assets = manifest.assets.map(asset => ({ ...asset, filePath: bundledPath(sessionDir, asset.path) }));
+
+        await db.runAsync(
+            `INSERT INTO sessions (id, character_description, model_type, player_mode, world_seed, forked_from, name, tags, favorite,
+                                   created_at, updated_at, last_accessed, game_state, metadata)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [sessionId, session.character_description, session.model_type, session.player_mode, session.world_seed ?? null,
+                session.forked_from ?? null, session.name ?? null, session.tags ?? null, session.favorite ? 1 : 0,
+                session.created_at || now, now, now, remap(session.game_state ?? null), remap(session.metadata ?? null)]
+        );
+        sessionService.createSessionDirectories(sessionId);
+
+        const assetIds = new Map();
+        for (const asset of assets) {
+            linkOrCopy(blobs.get(asset.blob), asset.filePath);
+            const blobHash = assetStoreService.enabled ? await assetStoreService.adopt(asset.filePath) : null;
+
+            // Provider URLs have expired by now; steps send the local file instead
+            await db.runAsync(
+                `INSERT INTO assets (session_id, file_path, remote_url, blob_hash, ${ASSET_COLUMNS.join(', ')})
+                 VALUES (?, ?, NULL, ?, ${ASSET_COLUMNS.map(() => '?').join(', ')})`,
+                [sessionId, asset.filePath, blobHash, ...ASSET_COLUMNS.map(column =>
+                    column === 'step_input' || column === 'provenance'
+                        ? remap(asset[column] ?? null)
+                        : asset[column] ?? ASSET_DEFAULTS[column] ?? null)]
+            );
+            const { id } = await db.getAsync(
+                'SELECT id FROM assets WHERE session_id = ? AND file_path = ? ORDER BY id DESC LIMIT 1',
+                [sessionId, asset.filePath]
+            );
+            assetIds.set(asset.id, id);
+
+            if (asset.is_active && getActivePath(asset.filePath) !== asset.filePath) {
+                linkOrCopy(asset.filePath, getActivePath(asset.filePath));
+            }
+        }
+
+        for (const dependency of manifest.dependencies || []) {
+            if (!assetIds.has(dependency.asset_id) || !assetIds.has(dependency.source_asset_id)) continue;
+            await db.runAsync(
+                'INSERT OR IGNORE INTO asset_dependencies (asset_id, source_asset_id, position) VALUES (?, ?, ?)',
+                [assetIds.get(dependency.asset_id), assetIds.get(dependency.source_asset_id), dependency.position ?? 0]
+            );
+        }
+
+        if (Array.isArray(manifest.layout) && manifest.layout.length > 0) {
+            await sessionService.saveLayout(sessionId, manifest.layout);
+        }
+        for (const slot of manifest.saveSlots || []) {
+            const gameState = slot.gameState == null ? null : JSON.parse(remap(JSON.stringify(slot.gameState)));
+            await sessionService.saveSlot(sessionId, parseSlotName(slot.name), gameState);
+        }
+    }
+}
+
+// Export singleton instance
+const bundleService = new BundleService();
+export default bundleService;
@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process pub/sub for per-session generation events. Routes stream these
+ * to clients over Server-Sent Events.
+ */
+class EventService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // One listener per open SSE connection, so lift the default cap of 10
+        this.emitter.setMaxListeners(0);
+        this.nextEventId = 1;
+    }
+
+    /**
+     * Publish an event to everyone subscribed to a session.
+     * Events without a session (legacy requests) are dropped.
+     * @param {string} sessionId - Session the event belongs to
+     * @param {string} type - Event name (queue, step-started, asset, step-failed)
+     * @param {object} data - JSON-serializable payload
+     */
+    publish(sessionId, type, data = {}) {
+        if (!sessionId) return;
+
+        this.emitter.emit(sessionId, {
+            id: this.nextEventId++,
+            type,
+            data: { ...data, sessionId, timestamp: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Subscribe to a session's events
+     * @param {string} sessionId - Session to follow
+     * @param {Function} listener - Called with { id, type, data }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(sessionId, listener) {
+        this.emitter.on(sessionId, listener);
+        return () => this.emitter.off(sessionId, listener);
+    }
+}
+
+// Export singleton instance
+const eventService = new EventService();
+export default eventService;
@@ -0,0 +1,990 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import sessionService from './sessionService.js';
+import assetStoreService from './assetStoreService.js';
+import eventService from './eventService.js';
+import { PRIORITY } from './schedulerService.js';
+import { getProvider, logQueueUpdate } from './providers/index.js';
+import { getAssetPath, getAssetUrl, getVersionPath } from '../utils/assetPaths.js';
+import { downloadFile, isValidAssetFile, fileToDataUrl } from '../utils/download.js';
+import { GenerationError, CancelledError, classifyError } from '../utils/errors.js';
+import { deriveSeed } from '../utils/seed.js';
+
+const DEFAULT_POSE = 'idle';
+
+const DEFAULT_GROUND_PROMPT = "Ultra high quality seamless tileable ground texture, photorealistic floor for games, highly detailed surface with depth and normal mapping details, PBR ready texture, crisp clean edges for 3D model conversion, top-down orthographic view, 8K resolution, ultra sharp details, perfect for high-end game environments";
+
+// Define pose prompts - ultra high quality for 3D model generation
+const POSE_PROMPTS = {
+    'walking': 'Ultra high quality exact same character in dynamic walking pose, FULL BODY VIEW showing complete figure from head to toe including legs and feet, mid-stride action with one leg forward, natural arm swing, entire body visible in frame, perfect for 3D animation model, clean white background, ultra sharp 8K resolution, maintain all mechanical details and proportions, optimal for 3D reconstruction, complete full-body character model',
+    'shooting': 'Ultra high quality exact same character in shooting action pose, FULL BODY VIEW showing complete figure from head to toe including legs and feet, arms extended forward holding futuristic weapon, dynamic combat stance, entire body visible in frame, perfect for 3D game model, clean white background, ultra sharp 8K resolution, maintain all mechanical details, optimal for 3D reconstruction, complete full-body character model'
+};
+
+// Define prompts for different views - ultra high quality for 3D reconstruction
+const VIEW_PROMPTS = {
+    'idle': {
+        'back': 'Ultra high quality back view of exact same character, FULL BODY VIEW from head to toe, rear view showing all details including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact proportions and design, no occlusions, complete full-body visible',
+        'left': 'Ultra high quality left side profile view of exact same character, FULL BODY VIEW from head to toe, perfect 90 degree profile from left including legs and feet, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions, complete full-body visible',
+        'right': 'Ultra high quality right side profile view of exact same character, FULL BODY VIEW from head to toe, perfect 90 degree profile from right including legs and feet, optimal for 3D model generation, clean white background, ultra sharp 8K resolution, maintain exact proportions, complete full-body visible',
+        'angle_30': 'Ultra high quality three-quarter view, FULL BODY VIEW from head to toe, character rotated exactly 30 degrees to the right including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions, complete full-body visible',
+        'angle_-30': 'Ultra high quality three-quarter view, FULL BODY VIEW from head to toe, character rotated exactly 30 degrees to the left including legs and feet, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain all details and proportions, complete full-body visible'
+    },
+    'walking': {
+        'back': 'Ultra high quality back view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect rear view for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact pose and proportions, complete full-body visible',
+        'left': 'Ultra high quality left side profile of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect 90 degree left view for 3D model generation, clean white background, ultra sharp 8K resolution, complete full-body visible',
+        'right': 'Ultra high quality right side profile of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, perfect 90 degree right view for 3D model generation, clean white background, ultra sharp 8K resolution, complete full-body visible',
+        'angle_30': 'Ultra high quality three-quarter view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, rotated exactly 30 degrees right, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, complete full-body visible',
+        'angle_-30': 'Ultra high quality three-quarter view of character in dynamic walking pose, FULL BODY VIEW from head to toe including legs and feet, rotated exactly 30 degrees left, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution, complete full-body visible'
+    },
+    'shooting': {
+        'back': 'Ultra high quality back view of character in shooting action pose, perfect rear view for 3D reconstruction, clean white background, ultra sharp 8K resolution, maintain exact pose and proportions',
+        'left': 'Ultra high quality left side profile of character in shooting action pose, perfect 90 degree left view for 3D model generation, clean white background, ultra sharp 8K resolution',
+        'right': 'Ultra high quality right side profile of character in shooting action pose, perfect 90 degree right view for 3D model generation, clean white background, ultra sharp 8K resolution',
+        'angle_30': 'Ultra high quality three-quarter view of character in shooting action pose, rotated exactly 30 degrees right, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution',
+        'angle_-30': 'Ultra high quality three-quarter view of character in shooting action pose, rotated exactly 30 degrees left, perfect for 3D reconstruction, clean white background, ultra sharp 8K resolution'
+    }
+};
+
+const LLM_QUERY_SCHEMA = {
+    type: 'object',
+    properties: {
+        question: {
+            type: 'string',
+            description: 'The question or prompt that was asked'
+        },
+        answer: {
+            type: 'string',
+            description: 'The answer or response to the question'
+        }
+    },
+    required: ['question', 'answer'],
+    additionalProperties: false
+};
+
+const RIDDLE_PROMPT = 'Generate a riddle or puzzle that involves exactly 2 objects. The puzzle should describe an objective that can only be achieved by using these 2 objects together. The objects can be related or unrelated, but together they must make logical sense for solving the puzzle.\n\nFor each object description, write it as a detailed visual prompt suitable for an image-to-3D model generation pipeline. Be specific about appearance, materials, and key visual features.\n\nAlso generate 3 additional random object descriptions (as distractors) that are NOT the solution to the puzzle. These should also be formatted as prompts for image-to-3D generation.';
+
+const RIDDLE_SCHEMA = {
+    type: 'object',
+    properties: {
+        riddle: {
+            type: 'string',
+            description: 'The riddle or puzzle text describing the objective'
+        },
+        object1_description: {
+            type: 'string',
+            description: 'Visual description of the first solution object for image-to-3D pipeline'
+        },
+        object2_description: {
+            type: 'string',
+            description: 'Visual description of the second solution object for image-to-3D pipeline'
+        },
+        random_object1_description: {
+            type: 'string',
+            description: 'Visual description of first random distractor object for image-to-3D pipeline'
+        },
+        random_object2_description: {
+            type: 'string',
+            description: 'Visual description of second random distractor object for image-to-3D pipeline'
+        },
+        random_object3_description: {
+            type: 'string',
+            description: 'Visual description of third random distractor object for image-to-3D pipeline'
+        }
+    },
+    required: [
+        'riddle',
+        'object1_description',
+        'object2_description',
+        'random_object1_description',
+        'random_object2_description',
+        'random_object3_description'
+    ],
+    additionalProperties: false
+};
+
+// Make sure the directory for a file exists before writing it
+function ensureParentDir(filePath) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+}
+
+// Generation step types (also used as job types) and the method running each
+const STEP_METHODS = {
+    'texture': 'generateTexture',
+    'character': 'generateCharacter',
+    'pose': 'generatePose',
+    'view': 'generateView',
+    '3d-model': 'generate3DModel',
+    'meme': 'generateMeme',
+    'riddle': 'generateRiddlePuzzle'
+};
+
+const STEP_TYPES = Object.keys(STEP_METHODS);
+
+/**
+ * Describe the asset a generation step produces, for progress events
+ */
+function describeStep(stepType, input) {
+    const defaultPose = ['character', '3d-model'].includes(stepType) ? DEFAULT_POSE : null;
+    return {
+        type: stepType,
+        pose: input.targetPose || input.pose || defaultPose,
+        viewName: input.viewName || null,
+        filename: input.filename || null
+    };
+}
+
+/**
+ * Scheduler priority of a step: what the player needs first (ground, idle
+ * character) ahead of the walking pose, props and decorative posters
+ */
+function stepPriority(stepType, input) {
+    const { pose } = describeStep(stepType, input);
+
+    if (stepType === 'texture' || pose === 'idle') return PRIORITY.CRITICAL;
+    if (stepType === 'riddle' || pose === 'walking') return PRIORITY.HIGH;
+    if (stepType === 'meme') return PRIORITY.LOW;
+    return PRIORITY.NORMAL;
+}
+
+/**
+ * Identify the asset file a step writes. Concurrent requests with the same
+ * key would pay for the same provider job and race to write the same file.
+ * The character and pose steps both write a pose's front image.
+ * @returns {string|null} Key, or null for steps without a single output
+ */
+function assetKey(stepType, input) {
+    const { pose, viewName, filename } = describeStep(stepType, input);
+    const session = input.sessionId || 'legacy';
+
+    switch (stepType) {
+        case 'texture': return `${session}:ground`;
+        case 'character':
+        case 'pose': return `${session}:character:${pose}:front`;
+        case 'view': return `${session}:character:${pose}:${viewName}`;
+        case '3d-model': return `${session}:models:${pose}`;
+        case 'meme': return `${session}:images:${filename || 'meme-poster.png'}`;
+        case 'riddle': return `${session}:riddle`;
+        default: return null;
+    }
+}
+
+/**
+ * Wait for a promise, giving up with a CancelledError if the signal aborts
+ * first. The promise itself keeps running.
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new CancelledError());
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new CancelledError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Generation steps shared by the HTTP routes and the background job runner.
+ * Each method returns the JSON payload of its route and throws a
+ * GenerationError on failure.
+ */
+class GenerationService {
+    constructor() {
+        this.provider = getProvider();
+        // asset key -> promise of the step currently generating that asset
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Run a generation step by type. A request for an asset that is already
+     * being generated waits for that run instead of starting another, and its
+     * result is marked `coalesced: true`.
+     * @param {string} stepType - One of STEP_TYPES
+     * @param {object} input - Step input (the route's request body)
+     * @param {object} options - { signal } to cancel the step
+     */
+    async runStep(stepType, input, options = {}) {
+        const method = STEP_METHODS[stepType];
+        if (!method) {
+            throw new GenerationError(`Unknown generation step: ${stepType}`, 400);
+        }
+
+        const key = assetKey(stepType, input);
+        const pending = key && this.inFlight.get(key);
+        if (pending) {
+            return this.joinInFlight(stepType, input, options, key, pending);
+        }
+
+        const run = this.executeStep(stepType, method, input, options);
+        if (!key) return run;
+
+        // Registered before the first await so a concurrent duplicate finds it
+        const tracked = run.finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, tracked);
+        return tracked;
+    }
+
+    /**
+     * Wait on the in-flight run of the same asset and share its result
+     */
+    async joinInFlight(stepType, input, options, key, pending) {
+        console.log(`[DEDUPE] ${key} is already being generated, waiting for it`);
+
+        try {
+            const result = await untilAborted(pending, options.signal);
+            return { ...result, coalesced: true };
+        } catch (error) {
+            // The first request was cancelled, but this one still wants the asset
+            if (error instanceof CancelledError && !options.signal?.aborted) {
+                return this.runStep(stepType, input, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run a step's method, reporting start, completion and failure on the
+     * session's event stream
+     */
+    async executeStep(stepType, method, input, options) {
+        const step = describeStep(stepType, input);
+        eventService.publish(input.sessionId, 'step-started', { step });
+
+        try {
+            options.signal?.throwIfAborted();
+            const result = await this[method](input, {
+                ...options,
+                priority: options.priority ?? stepPriority(stepType, input)
+            });
+            if (result.assetId) {
+                await this.recordRecipe(stepType, input, result.assetId);
+            }
+            eventService.publish(input.sessionId, 'asset', {
+                step,
+                imageUrl: result.imageUrl || null,
+                modelUrl: result.modelUrl || null,
+                cached: !!result.cached
+            });
+            return result;
+        } catch (error) {
+            // Providers report aborts in their own ways; surface one error type
+            const failure = options.signal?.aborted ? new CancelledError() : classifyError(error);
+            eventService.publish(input.sessionId, 'step-failed', {
+                step,
+                error: failure.message,
+                code: failure.code,
+                retryable: failure.retryable,
+                cancelled: failure instanceof CancelledError
+            });
+            throw failure;
+        }
+    }
+
+    /**
+     * Build an onQueueUpdate callback that forwards provider progress to the
+     * session's event stream (and optionally the server console)
+     */
+    queueListener(sessionId, step, logToConsole = true) {
+        return (update) => {
+            if (logToConsole) logQueueUpdate(update);
+            eventService.publish(sessionId, 'queue', { step, ...update });
+        };
+    }
+
+    /**
+     * Look up the stored remote URL for a cached image, falling back to
+     * the image inline when it has none (an imported session) and to the
+     * local server URL when it is not recorded
+     */
+    async cachedRemoteUrl(sessionId, pose, viewName, localUrl) {
+        let remoteUrl = `http://localhost:8081${localUrl}`; // Default fallback
+        if (sessionId) {
+            const assetData = await sessionService.getAssetWithRemoteUrl(sessionId, 'character', pose, viewName);
+            if (assetData && assetData.remote_url) {
+                remoteUrl = assetData.remote_url;
+                console.log(`[REUSE] Using stored remote URL for ${pose} ${viewName}`);
+            } else if (assetData) {
+                remoteUrl = fileToDataUrl(assetData.file_path);
+                console.log(`[REUSE] No remote URL for ${pose} ${viewName}, sending the image inline`);
+            }
+        }
+        return remoteUrl;
+    }
+
+    /**
+     * Whether an existing asset file can be returned instead of generating:
+     * not when a new version was asked for, nor when the asset is stale
+     * (built from a version of another asset that is no longer active)
+     */
+    async canReuse(assetPath, sessionId, assetType, pose, viewName, newVersion) {
+        if (newVersion || !isValidAssetFile(assetPath)) return false;
+        if (!sessionId) return true;
+
+        const active = await sessionService.getActiveAsset(sessionId, assetType, pose, viewName);
+        return !active?.stale;
+    }
+
+    /**
+     * Record a generated asset version
+     * @returns {Promise<number|null>} The new row's ID
+     */
+    async recordAsset(sessionId, assetType, filePath, metadata) {
+        const asset = await sessionService.recordAsset(sessionId, assetType, filePath, metadata);
+        return asset?.id ?? null;
+    }
+
+    /**
+     * Remember the step and input that produced an asset and the assets it
+     * was built from: a pose from the idle front image, a view from its
+     * front image, a 3D model from the images it was given
+     */
+    async recordRecipe(stepType, input, assetId) {
+        const { sessionId, newVersion, ...recipe } = input;
+
+        let sourceUrls = [];
+        if (stepType === 'view') sourceUrls = [input.imageUrl];
+        if (stepType === '3d-model') sourceUrls = input.imageUrls || [];
+
+        const sources = stepType === 'pose'
+            ? [await sessionService.getActiveAsset(sessionId, 'character', DEFAULT_POSE, 'front')]
+            : await Promise.all(sourceUrls.filter(Boolean).map(url => sessionService.findAssetByUrl(sessionId, url)));
+
+        await sessionService.recordAssetRecipe(assetId, stepType, recipe, sources.filter(Boolean));
+    }
+
+    /**
+     * Where to write a new version of a session asset. Each version keeps its
+     * own file; recording it links the file to the asset's usual path.
+     * Session-less (legacy) assets are written to the usual path directly.
+     * The provider seed comes from the session's world seed and the asset
+     * version, so a world rebuilt from its seed makes the same requests while
+     * a regenerated version still gets a new result.
+     * @returns {Promise<{filePath, version, seed}>} seed is null (provider's
+     *          choice) without a session
+     */
+    async assetTarget(sessionId, assetType, pose, viewName, assetPath) {
+        if (!sessionId) {
+            return { filePath: assetPath, version: null, seed: null };
+        }
+        const version = await sessionService.nextAssetVersion(sessionId, assetType, pose, viewName);
+        const worldSeed = await sessionService.getWorldSeed(sessionId);
+        return {
+            filePath: getVersionPath(assetPath, version),
+            version,
+            seed: worldSeed === null ? null : deriveSeed(worldSeed, assetType, pose, viewName, version)
+        };
+    }
+
+    /**
+     * Produce an asset file through the shared asset store. An identical
+     * earlier request (from any session) is reused from its stored blob;
+     * otherwise the provider is called, the result downloaded and stored.
+     * A reused blob carries the provenance of the request that produced it.
+     * @param {object} fingerprint - { model, prompt, imageUrls, params } of the provider request
+     * @param {string} targetPath - The session's asset path
+     * @param {Function} generate - async () => { url, requestId, provenance } running the provider request
+     * @param {AbortSignal} signal - Cancels the download
+     * @param {object} options - { fresh } to skip the store and always generate,
+     *        { seed } the provider seed, part of the request's identity (null
+     *        keeps it out, so the result is shared whatever the seed)
+     * @returns {Promise<{remoteUrl, requestId, blobHash, provenance, shared}>}
+     */
+    async produceAsset(fingerprint, targetPath, generate, signal, { fresh = false, seed = null } = {}) {
+        fingerprint = { provider: this.provider.name, ...fingerprint };
+        if (seed !== null) {
+            fingerprint.params = { ...fingerprint.params, seed };
+        }
+
+        const stored = fresh ? null : await assetStoreService.lookup(fingerprint);
+        if (stored) {
+            assetStoreService.materialize(stored, targetPath);
+            console.log(`[STORE] Reusing stored blob ${stored.blobHash.slice(0, 12)} for ${targetPath}`);
+            return {
+                ...stored,
+                provenance: stored.provenance && { ...stored.provenance, shared: true },
+                shared: true
+            };
+        }
+
+        const { url, requestId, provenance = null } = await generate();
+        ensureParentDir(targetPath);
+        const downloadStartedAt = Date.now();
+        await downloadFile(url, targetPath, { signal });
+        if (provenance) {
+            provenance.timing.downloadMs = Date.now() - downloadStartedAt;
+        }
+
+        const blobHash = await assetStoreService.store(targetPath, fingerprint, { remoteUrl: url, requestId, provenance });
+        return { remoteUrl: url, requestId, blobHash, provenance, shared: false };
+    }
+
+    /**
+     * Generate the ground texture
+     */
+    async generateTexture({ prompt, sessionId, newVersion = false }, { signal, priority } = {}) {
+        console.log('[TEXTURE] Received texture generation request...');
+        if (sessionId) console.log('[TEXTURE] For session:', sessionId);
+
+        const groundPath = getAssetPath(sessionId, 'ground', null, 'ground-texture.png');
+        const groundUrl = getAssetUrl(sessionId, 'ground', null, 'ground-texture.png');
+
+        // Check if texture exists (session-specific or legacy)
+        if (await this.canReuse(groundPath, sessionId, 'ground', null, null, newVersion)) {
+            console.log('[REUSE] Reusing existing ground texture');
+            return {
+                success: true,
+                imageUrl: groundUrl,
+                requestId: 'cached',
+                cached: true
+            };
+        }
+
+        const texturePrompt = prompt || DEFAULT_GROUND_PROMPT;
+        const target = await this.assetTarget(sessionId, 'ground', null, null, groundPath);
+        const asset = await this.produceAsset({ model: this.provider.models.textToImage, prompt: texturePrompt }, target.filePath, async () => {
+            const result = await this.provider.textToImage({
+                prompt: texturePrompt,
+                seed: target.seed
+            }, { onQueueUpdate: this.queueListener(sessionId, { type: 'texture' }), signal, sessionId, priority });
+
+            console.log('[OK] Ground generation complete!');
+            console.log('Request ID:', result.requestId);
+
+            if (result.imageUrls.length === 0) {
+                throw new GenerationError('No images returned from API');
+            }
+            return { url: result.imageUrls[0], requestId: result.requestId, provenance: result.provenance };
+        }, signal, {
+            fresh: newVersion,
+            // The default ground is the same request in every world: it is
+            // stored without the world's seed so new sessions share it, at the
+            // cost of not matching what that seed alone would produce
+            seed: texturePrompt === DEFAULT_GROUND_PROMPT ? null : target.seed
+        });
+        console.log('[SAVED] Ground texture saved locally');
+
+        // Record asset in database if session-based
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'ground', target.filePath, {
+                version: target.version,
+                remoteUrl: asset.remoteUrl,
+                requestId: asset.requestId,
+                blobHash: asset.blobHash,
+                provenance: asset.provenance
+            });
+        }
+
+        return {
+            success: true,
+            imageUrl: groundUrl,
+            requestId: asset.requestId,
+            assetId,
+            version: target.version,
+            cached: false,
+            shared: asset.shared
+        };
+    }
+
+    /**
+     * Generate the front image of a character (or an object, keyed by pose)
+     */
+    async generateCharacter({ pose = DEFAULT_POSE, character = 'sci-fi robot warrior', sessionId, newVersion = false }, { signal, priority } = {}) {
+        console.log('[CHARACTER] Received character generation request...');
+        console.log(`[CHARACTER] Generating: ${character}`);
+        if (sessionId) console.log('[CHARACTER] For session:', sessionId);
+
+        const frontPath = getAssetPath(sessionId, 'character', pose, 'front.png');
+        const frontUrl = getAssetUrl(sessionId, 'character', pose, 'front.png');
+
+        // Check if character exists (session-specific or legacy)
+        if (await this.canReuse(frontPath, sessionId, 'character', pose, 'front', newVersion)) {
+            console.log('[REUSE] Reusing existing character');
+            return {
+                success: true,
+                imageUrl: frontUrl,
+                remoteUrl: await this.cachedRemoteUrl(sessionId, pose, 'front', frontUrl),
+                requestId: 'cached',
+                cached: true
+            };
+        }
+
+        // Replace <character> placeholder with the actual character description
+        const prompt = `Ultra high quality 3D character design, photorealistic ${character}, FULL BODY VIEW showing complete figure from head to toe including legs and feet, extremely detailed, perfect for 3D reconstruction, front view facing camera directly, character standing naturally, entire body visible in frame, neutral white background, studio lighting setup, ultra sharp focus, 8K resolution, highly detailed textures and materials, clean silhouette for 3D model generation, symmetrical design, no occlusions or overlapping parts, complete full-body character model`;
+
+        const target = await this.assetTarget(sessionId, 'character', pose, 'front', frontPath);
+        const asset = await this.produceAsset({ model: this.provider.models.textToImage, prompt }, target.filePath, async () => {
+            const result = await this.provider.textToImage({ prompt, seed: target.seed }, {
+                onQueueUpdate: this.queueListener(sessionId, { type: 'character', pose }),
+                signal,
+                sessionId,
+                priority
+            });
+
+            console.log('[OK] Character generation complete!');
+            console.log('Request ID:', result.requestId);
+
+            if (result.imageUrls.length === 0) {
+                throw new GenerationError('No images returned from API');
+            }
+            return { url: result.imageUrls[0], requestId: result.requestId, provenance: result.provenance };
+        }, signal, { fresh: newVersion, seed: target.seed });
+        console.log('[SAVED] Character saved locally');
+
+        // Record asset in database if session-based
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'character', target.filePath, {
+                pose: pose,
+                viewName: 'front',
+                version: target.version,
+                remoteUrl: asset.remoteUrl,
+                requestId: asset.requestId,
+                blobHash: asset.blobHash,
+                provenance: asset.provenance
+            });
+        }
+
+        return {
+            success: true,
+            imageUrl: frontUrl,
+            remoteUrl: asset.remoteUrl,
+            requestId: asset.requestId,
+            assetId,
+            version: target.version,
+            cached: false,
+            shared: asset.shared
+        };
+    }
+
+    /**
+     * Generate the base (front) image of a new pose from the idle front image
+     */
+    async generatePose({ targetPose, sessionId, newVersion = false }, { signal, priority } = {}) {
+        console.log(`[POSE] Generating ${targetPose} pose base from idle...`);
+        if (sessionId) console.log('[POSE] For session:', sessionId);
+
+        const targetPath = getAssetPath(sessionId, 'character', targetPose, 'front.png');
+        const targetUrl = getAssetUrl(sessionId, 'character', targetPose, 'front.png');
+
+        // Check if target pose assets already exist (session-specific or legacy)
+        if (await this.canReuse(targetPath, sessionId, 'character', targetPose, 'front', newVersion)) {
+            console.log(`[REUSE] Reusing existing ${targetPose} pose`);
+            return {
+                success: true,
+                pose: targetPose,
+                imageUrl: targetUrl,
+                remoteUrl: await this.cachedRemoteUrl(sessionId, targetPose, 'front', targetUrl),
+                cached: true
+            };
+        }
+
+        // Get idle pose images as source - need to consider session paths
+        let idleFrontPath = getAssetPath(sessionId, 'character', 'idle', 'front.png');
+        if (!isValidAssetFile(idleFrontPath)) {
+            // Try legacy path as fallback
+            idleFrontPath = getAssetPath(null, 'character', 'idle', 'front.png');
+            if (!isValidAssetFile(idleFrontPath)) {
+                throw new GenerationError('Idle pose not found. Generate idle pose first.', 400);
+            }
+        }
+
+        const prompt = POSE_PROMPTS[targetPose];
+        if (!prompt) {
+            throw new GenerationError(`Unknown pose: ${targetPose}`, 400);
+        }
+
+        // Read idle front image and send it inline as the edit source
+        const idleImageBuffer = readFileSync(idleFrontPath);
+        const idleImageBase64 = `data:image/png;base64,${idleImageBuffer.toString('base64')}`;
+
+        console.log(`[POSE] Transforming idle to ${targetPose}...`);
+
+        // Generate the new pose using image-to-image
+        const fingerprint = {
+            model: this.provider.models.editImage,
+            prompt,
+            imageUrls: [idleImageBase64],
+            params: { enable_prompt_expansion: false }
+        };
+        const target = await this.assetTarget(sessionId, 'character', targetPose, 'front', targetPath);
+        const asset = await this.produceAsset(fingerprint, target.filePath, async () => {
+            const result = await this.provider.editImage({
+                prompt: prompt,
+                imageUrls: [idleImageBase64],
+                enable_prompt_expansion: false,
+                seed: target.seed
+            }, { onQueueUpdate: this.queueListener(sessionId, { type: 'pose', pose: targetPose }), signal, sessionId, priority });
+
+            console.log(`[OK] ${targetPose} pose base generation complete!`);
+
+            if (result.imageUrls.length === 0) {
+                throw new GenerationError('No images returned from API');
+            }
+            return { url: result.imageUrls[0], requestId: result.requestId, provenance: result.provenance };
+        }, signal, { fresh: newVersion, seed: target.seed });
+        console.log(`[SAVED] ${targetPose} base pose saved`);
+
+        // Record asset in database if session-based
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'character', target.filePath, {
+                pose: targetPose,
+                viewName: 'front',
+                version: target.version,
+                remoteUrl: asset.remoteUrl,
+                requestId: asset.requestId,
+                blobHash: asset.blobHash,
+                provenance: asset.provenance
+            });
+        }
+
+        // Return only the base pose image (no views generated here)
+        return {
+            success: true,
+            pose: targetPose,
+            imageUrl: targetUrl,
+            remoteUrl: asset.remoteUrl,  // Return the provider remote URL
+            assetId,
+            version: target.version,
+            cached: false,
+            shared: asset.shared
+        };
+    }
+
+    /**
+     * Generate a single view of a pose from its front image
+     */
+    async generateView({ pose, viewName, imageUrl, sessionId, newVersion = false }, { signal, priority } = {}) {
+        console.log(`[VIEW] Generating ${viewName} view for ${pose} pose...`);
+        if (sessionId) console.log('[VIEW] For session:', sessionId);
+
+        const viewPath = getAssetPath(sessionId, 'character', pose, `${viewName}.png`);
+        const viewUrl = getAssetUrl(sessionId, 'character', pose, `${viewName}.png`);
+
+        // Check if view already exists (session-specific or legacy)
+        if (await this.canReuse(viewPath, sessionId, 'character', pose, viewName, newVersion)) {
+            console.log(`[REUSE] Reusing existing ${viewName} view for ${pose}`);
+            return {
+                success: true,
+                pose: pose,
+                viewName: viewName,
+                imageUrl: viewUrl,
+                remoteUrl: await this.cachedRemoteUrl(sessionId, pose, viewName, viewUrl),
+                cached: true
+            };
+        }
+
+        const prompt = VIEW_PROMPTS[pose]?.[viewName];
+        if (!prompt) {
+            throw new GenerationError(`Unknown view: ${viewName} for pose: ${pose}`, 400);
+        }
+
+        console.log(`[VIEW] Generating ${viewName} from provided image...`);
+
+        const fingerprint = {
+            model: this.provider.models.editImage,
+            prompt,
+            imageUrls: [imageUrl],
+            params: { enable_prompt_expansion: false }
+        };
+        const target = await this.assetTarget(sessionId, 'character', pose, viewName, viewPath);
+        const asset = await this.produceAsset(fingerprint, target.filePath, async () => {
+            let result;
+            try {
+                // No console queue logging - reduces log noise for parallel operations
+                result = await this.provider.editImage({
+                    prompt: prompt,
+                    imageUrls: [imageUrl],
+                    enable_prompt_expansion: false,
+                    seed: target.seed
+                }, { onQueueUpdate: this.queueListener(sessionId, { type: 'view', pose, viewName }, false), signal, sessionId, priority });
+            } catch (error) {
+                throw classifyError(error, { pose, viewName });
+            }
+
+            if (result.imageUrls.length === 0) {
+                throw new GenerationError('No images returned from API');
+            }
+            return { url: result.imageUrls[0], requestId: result.requestId, provenance: result.provenance };
+        }, signal, { fresh: newVersion, seed: target.seed });
+        console.log(`[SAVED] ${pose} ${viewName} view saved`);
+
+        // Record asset in database if session-based
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'character', target.filePath, {
+                pose: pose,
+                viewName: viewName,
+                version: target.version,
+                remoteUrl: asset.remoteUrl,
+                requestId: asset.requestId,
+                blobHash: asset.blobHash,
+                provenance: asset.provenance
+            });
+        }
+
+        return {
+            success: true,
+            pose: pose,
+            viewName: viewName,
+            imageUrl: viewUrl,
+            remoteUrl: asset.remoteUrl,
+            assetId,
+            version: target.version,
+            cached: false,
+            shared: asset.shared
+        };
+    }
+
+    /**
+     * Generate a 3D model using either Trellis or Hyper3D/Rodin
+     */
+    async generate3DModel({ imageUrls, pose = DEFAULT_POSE, modelType = 'trellis', sessionId, newVersion = false }, { signal, priority } = {}) {
+        console.log(`[3D MODEL] Generating 3D model for ${pose} pose using ${modelType.toUpperCase()}...`);
+        if (sessionId) console.log('[3D MODEL] For session:', sessionId);
+
+        // Validate image count based on model type
+        const maxImages = modelType === 'trellis' ? 6 : 5; // Trellis supports 6, Rodin supports 5
+        if (imageUrls && imageUrls.length > maxImages) {
+            console.warn(`[3D MODEL] Received ${imageUrls.length} images, limiting to ${maxImages} (${modelType} constraint)`);
+            imageUrls = imageUrls.slice(0, maxImages);
+        }
+
+        const modelPath = getAssetPath(sessionId, 'models', null, `character_${pose}.glb`);
+        const modelUrl = getAssetUrl(sessionId, 'models', null, `character_${pose}.glb`);
+
+        // Check if model already exists
+        if (await this.canReuse(modelPath, sessionId, 'models', pose, null, newVersion)) {
+            console.log('[REUSE] Reusing existing 3D model');
+            return {
+                success: true,
+                modelUrl: modelUrl,
+                requestId: 'cached',
+                cached: true
+            };
+        }
+
+        const fingerprint = {
+            model: this.provider.models[modelType] || modelType,
+            imageUrls: imageUrls || []
+        };
+        const target = await this.assetTarget(sessionId, 'models', pose, null, modelPath);
+        const asset = await this.produceAsset(fingerprint, target.filePath, async () => {
+            let result;
+            try {
+                console.log(`[3D MODEL] Using ${modelType === 'trellis' ? 'Trellis' : 'Rodin'} via ${this.provider.name} provider...`);
+                result = await this.provider.imageTo3D({ imageUrls, modelType, seed: target.seed }, {
+                    onQueueUpdate: this.queueListener(sessionId, { type: '3d-model', pose }),
+                    signal,
+                    sessionId,
+                    priority
+                });
+            } catch (error) {
+                // Log detailed error for debugging
+                if (error.body && error.body.detail) {
+                    console.error('Validation error details:', JSON.stringify(error.body.detail, null, 2));
+                }
+                throw classifyError(error, {
+                    modelType: modelType,
+                    details: error.body?.detail || null
+                });
+            }
+
+            console.log(`[OK] 3D model generation complete using ${modelType}!`);
+            console.log('Request ID:', result.requestId);
+
+            if (!result.modelUrl) {
+                throw new GenerationError('No model returned from API');
+            }
+            return { url: result.modelUrl, requestId: result.requestId, provenance: result.provenance };
+        }, signal, { fresh: newVersion, seed: target.seed });
+        console.log('[SAVED] 3D model saved locally');
+
+        // Record asset in database if session-based
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'models', target.filePath, {
+                pose: pose,
+                version: target.version,
+                modelType: modelType,
+                remoteUrl: asset.remoteUrl,
+                requestId: asset.requestId,
+                blobHash: asset.blobHash,
+                provenance: asset.provenance
+            });
+            console.log('[SESSION] Recorded 3D model in database');
+        }
+
+        return {
+            success: true,
+            modelUrl: modelUrl,
+            requestId: asset.requestId,
+            assetId,
+            version: target.version,
+            cached: false,
+            shared: asset.shared,
+            modelType: modelType
+        };
+    }
+
+    /**
+     * Generate a meme poster (never cached)
+     */
+    async generateMeme({ prompt, sessionId, filename = 'meme-poster.png' }, { signal, priority } = {}) {
+        if (!prompt) {
+            throw new GenerationError('Prompt is required', 400);
+        }
+
+        console.log(`[MEME] Generating meme: ${filename}...`);
+
+        const memePath = getAssetPath(sessionId, 'images', null, filename);
+        const memeUrl = getAssetUrl(sessionId, 'images', null, filename);
+
+        // ALWAYS regenerate memes (no caching) to ensure fresh content every time
+        console.log('[MEME] Generating fresh meme (no caching)...');
+
+        const target = await this.assetTarget(sessionId, 'images', null, filename, memePath);
+        const result = await this.provider.textToImage({ prompt, seed: target.seed }, {
+            onQueueUpdate: this.queueListener(sessionId, { type: 'meme', filename }),
+            signal,
+            sessionId,
+            priority
+        });
+
+        console.log('[OK] Meme generation complete!');
+
+        if (result.imageUrls.length === 0) {
+            throw new GenerationError('No images returned from API');
+        }
+
+        const imageUrl = result.imageUrls[0];
+        ensureParentDir(target.filePath);
+
+        // Download and save
+        await downloadFile(imageUrl, target.filePath, { signal });
+        console.log('[SAVED] Meme poster saved locally');
+
+        // Record asset in database if session-based; each poster file is
+        // its own asset, keyed by file name
+        let assetId = null;
+        if (sessionId) {
+            assetId = await this.recordAsset(sessionId, 'images', target.filePath, {
+                viewName: filename,
+                version: target.version,
+                remoteUrl: imageUrl,
+                requestId: result.requestId,
+                provenance: result.provenance
+            });
+        }
+
+        return {
+            success: true,
+            imageUrl: memeUrl,
+            requestId: result.requestId,
+            assetId,
+            version: target.version,
+            cached: false
+        };
+    }
+
+    /**
+     * Ask the language model a free-form question with a structured answer
+     */
+    async queryLlm({ prompt, sessionId }, { signal, priority } = {}) {
+        if (!prompt) {
+            throw new GenerationError('Prompt is required', 400);
+        }
+
+        console.log('[LLM] Received query:', prompt.substring(0, 100) + '...');
+
+        // Ask the provider for structured output
+        const result = await this.provider.completeJson({
+            prompt,
+            maxTokens: 1024,
+            schema: LLM_QUERY_SCHEMA
+        }, { signal, sessionId, priority });
+
+        console.log('[LLM] Response received from Claude');
+        const parsedResponse = result.data;
+
+        return {
+            success: true,
+            question: parsedResponse.question,
+            answer: parsedResponse.answer,
+            requestId: result.requestId
+        };
+    }
+
+    /**
+     * Generate a riddle puzzle with 2 solution objects and 3 distractor objects
+     */
+    async generateRiddlePuzzle({ sessionId }, { signal, priority } = {}) {
+        console.log('[RIDDLE] Generating riddle puzzle...');
+        if (sessionId) console.log('[RIDDLE] For session:', sessionId);
+
+        // Check if riddle already exists in session metadata
+        if (sessionId) {
+            const session = await sessionService.getSession(sessionId, { touch: false });
+            if (session && session.metadata) {
+                try {
+                    const metadata = JSON.parse(session.metadata);
+                    if (metadata.riddle) {
+                        console.log('[RIDDLE] Using cached riddle from session');
+                        return {
+                            success: true,
+                            cached: true,
+                            ...metadata.riddle
+                        };
+                    }
+                } catch (e) {
+                    // Metadata not parseable, continue with generation
+                }
+            }
+        }
+
+        // Generate new riddle through the provider
+        const result = await this.provider.completeJson({
+            prompt: RIDDLE_PROMPT,
+            schema: RIDDLE_SCHEMA,
+            maxTokens: 2048
+        }, { signal, sessionId, priority });
+
+        console.log('[RIDDLE] Riddle generated successfully');
+        const riddleData = result.data;
+
+        // Store riddle in session metadata
+        if (sessionId) {
+            const session = await sessionService.getSession(sessionId, { touch: false });
+            let metadata = {};
+            try {
+                if (session && session.metadata) {
+                    metadata = JSON.parse(session.metadata);
+                }
+            } catch (e) {
+                metadata = {};
+            }
+
+            metadata.riddle = riddleData;
+            await sessionService.updateSession(sessionId, { metadata });
+            console.log('[RIDDLE] Stored riddle in session metadata');
+        }
+
+        return {
+            success: true,
+            cached: false,
+            requestId: result.requestId,
+            ...riddleData
+        };
+    }
+}
+
+// Export singleton instance
+const generationService = new GenerationService();
+export { STEP_TYPES };
+export default generationService;
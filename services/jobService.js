@@ -0,0 +1,245 @@
+import { db, uuidv4 } from '../database/db.js';
+import { errorResponse, CancelledError } from '../utils/errors.js';
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+class JobService {
+    constructor() {
+        // job_type -> async (input, { signal }) => result payload
+        this.handlers = new Map();
+        // job id -> AbortController for jobs running in this process
+        this.controllers = new Map();
+    }
+
+    /**
+     * Register the function that executes a job type
+     */
+    registerHandler(jobType, handler) {
+        this.handlers.set(jobType, handler);
+    }
+
+    /**
+     * Persist a new job and start it in the background
+     */
+    async createJob(jobType, input) {
+        if (!this.handlers.has(jobType)) {
+            throw new Error(`Unknown job type: ${jobType}`);
+        }
+
+        const jobId = uuidv4();
+        const now = new Date().toISOString();
+        const sessionId = input.sessionId || null;
+
+        try {
+            await db.runAsync(
+                `INSERT INTO jobs (id, session_id, job_type, status, input, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [jobId, sessionId, jobType, JOB_STATUS.QUEUED, JSON.stringify(input), now]
+            );
+        } catch (error) {
+            console.error('[JOBS] Error creating job:', error);
+            throw error;
+        }
+
+        console.log(`[JOBS] Queued ${jobType} job: ${jobId}`);
+
+        // Run detached from the request so it finishes even if the client goes away
+        setImmediate(() => this.runJob(jobId));
+
+        return {
+            id: jobId,
+            sessionId,
+            type: jobType,
+            status: JOB_STATUS.QUEUED,
+            createdAt: now
+        };
+    }
+
+    /**
+     * Execute a stored job and record its outcome
+     */
+    async runJob(jobId) {
+        try {
+            const row = await db.getAsync('SELECT * FROM jobs WHERE id = ?', [jobId]);
+            if (!row) return;
+
+            // Claim the job in one statement, so a job cancelled while it was
+            // waiting, or already claimed by another run, is left alone
+            const { changes } = await db.runResultAsync(
+                'UPDATE jobs SET status = ?, started_at = ? WHERE id = ? AND status = ?',
+                [JOB_STATUS.RUNNING, new Date().toISOString(), jobId, JOB_STATUS.QUEUED]
+            );
+            if (changes === 0) return;
+
+            const handler = this.handlers.get(row.job_type);
+            if (!handler) {
+                await this.finishJob(jobId, JOB_STATUS.FAILED, null, `No handler for job type: ${row.job_type}`);
+                return;
+            }
+
+            const controller = new AbortController();
+            this.controllers.set(jobId, controller);
+
+            try {
+                const result = await handler(JSON.parse(row.input), { signal: controller.signal });
+                await this.finishJob(jobId, JOB_STATUS.SUCCEEDED, result, null);
+                console.log(`[JOBS] ${row.job_type} job succeeded: ${jobId}`);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    const cancelled = error instanceof CancelledError ? error : new CancelledError();
+                    console.log(`[JOBS] ${row.job_type} job cancelled: ${jobId}`);
+                    await this.finishJob(jobId, JOB_STATUS.CANCELLED, errorResponse(cancelled), cancelled.message);
+                } else {
+                    console.error(`[JOBS] ${row.job_type} job failed: ${jobId}`, error);
+                    await this.finishJob(jobId, JOB_STATUS.FAILED, errorResponse(error), error.message);
+                }
+            } finally {
+                this.controllers.delete(jobId);
+            }
+        } catch (error) {
+            console.error('[JOBS] Error running job:', error);
+        }
+    }
+
+    /**
+     * Mark a job as finished
+     */
+    async finishJob(jobId, status, result, errorMessage) {
+        await db.runAsync(
+            'UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = ? WHERE id = ?',
+            [status, result ? JSON.stringify(result) : null, errorMessage, new Date().toISOString(), jobId]
+        );
+    }
+
+    /**
+     * Cancel every unfinished job of a session. Queued jobs never start;
+     * running jobs are aborted and record their own cancelled status.
+     * @returns {Promise<number>} Number of jobs cancelled
+     */
+    async cancelSessionJobs(sessionId) {
+        try {
+            const rows = await db.allAsync(
+                'SELECT id, job_type, status FROM jobs WHERE session_id = ? AND status IN (?, ?)',
+                [sessionId, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+            );
+
+            for (const row of rows) {
+                const controller = this.controllers.get(row.id);
+                if (controller) {
+                    controller.abort();
+                } else {
+                    // Not running in this process (queued, or orphaned by a restart)
+                    const cancelled = new CancelledError();
+                    await this.finishJob(row.id, JOB_STATUS.CANCELLED, errorResponse(cancelled), cancelled.message);
+                }
+                console.log(`[JOBS] Cancelling ${row.job_type} job: ${row.id}`);
+            }
+
+            return rows.length;
+        } catch (error) {
+            console.error('[JOBS] Error cancelling session jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a job by ID
+     */
+    async getJob(jobId) {
+        try {
+            const row = await db.getAsync('SELECT * FROM jobs WHERE id = ?', [jobId]);
+            return row ? this.formatJob(row) : null;
+        } catch (error) {
+            console.error('[JOBS] Error getting job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the most recent jobs for a session
+     */
+    async listSessionJobs(sessionId, limit = 50) {
+        try {
+            const rows = await db.allAsync(
+                'SELECT * FROM jobs WHERE session_id = ? ORDER BY created_at DESC LIMIT ?',
+                [sessionId, limit]
+            );
+            return rows.map(row => this.formatJob(row));
+        } catch (error) {
+            console.error('[JOBS] Error listing session jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the most recent job of a type for a session
+     */
+    async getLatestSessionJob(sessionId, jobType) {
+        try {
+            const row = await db.getAsync(
+                'SELECT * FROM jobs WHERE session_id = ? AND job_type = ? ORDER BY created_at DESC LIMIT 1',
+                [sessionId, jobType]
+            );
+            return row ? this.formatJob(row) : null;
+        } catch (error) {
+            console.error('[JOBS] Error getting latest session job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restart jobs that were queued or running when the server stopped.
+     * Generation steps reuse files already on disk, so re-running is safe.
+     */
+    async resumePendingJobs() {
+        try {
+            // Nothing runs them any more; queue them again to be claimed
+            await db.runAsync(
+                'UPDATE jobs SET status = ? WHERE status = ?',
+                [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+            );
+            const rows = await db.allAsync(
+                'SELECT id, job_type FROM jobs WHERE status = ? ORDER BY created_at',
+                [JOB_STATUS.QUEUED]
+            );
+
+            for (const row of rows) {
+                console.log(`[JOBS] Resuming ${row.job_type} job: ${row.id}`);
+                setImmediate(() => this.runJob(row.id));
+            }
+
+            return rows.length;
+        } catch (error) {
+            console.error('[JOBS] Error resuming pending jobs:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Convert a database row into the API representation
+     */
+    formatJob(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            type: row.job_type,
+            status: row.status,
+            result: row.result ? JSON.parse(row.result) : null,
+            error: row.error,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        };
+    }
+}
+
+// Export singleton instance
+const jobService = new JobService();
+export { JOB_STATUS };
+export default jobService;
@@ -0,0 +1,136 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { promisify } from 'util';
+import { db } from '../database/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Migrations ship with the code rather than in database/, which deployments
+// mount as a volume that would hide newer files from an updated image
+const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+
+// "004_asset_store.sql" or "004_asset_store.js"
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Multi-statement SQL, run as written (no splitting on semicolons)
+const execAsync = promisify(db.exec.bind(db));
+
+/**
+ * Versioned schema migrations. Each file in migrations/ is applied once, in
+ * version order, inside a transaction, and recorded in schema_migrations.
+ * SQL files run as-is; JavaScript files export `async up(db)` for changes
+ * plain SQL cannot express safely.
+ */
+class MigrationService {
+    constructor() {
+        this.ready = null;
+    }
+
+    /**
+     * Migration files on disk, sorted by version
+     * @returns {Array<object>} { version, name, file, type }
+     */
+    listMigrations() {
+        const migrations = readdirSync(MIGRATIONS_DIR)
+            .map(file => file.match(MIGRATION_FILE_PATTERN))
+            .filter(Boolean)
+            .map(([file, version, name, type]) => ({ version: parseInt(version, 10), name, file, type }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    async ensureMigrationsTable() {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Current schema version and the migrations applied and still pending
+     * @returns {Promise<object>} { currentVersion, latestVersion, applied, pending }
+     */
+    async getStatus() {
+        await this.ensureMigrationsTable();
+
+        const applied = await db.allAsync('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const migrations = this.listMigrations();
+
+        return {
+            currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied,
+            pending: migrations.filter(migration => !appliedVersions.has(migration.version))
+        };
+    }
+
+    /**
+     * Apply every pending migration in order, stopping at the first failure
+     * @returns {Promise<Array<object>>} The migrations applied by this call
+     */
+    async migrate() {
+        const { pending } = await this.getStatus();
+
+        for (const migration of pending) {
+            await this.apply(migration);
+        }
+
+        return pending;
+    }
+
+    /**
+     * Apply one migration and record it, or leave the database untouched
+     */
+    async apply(migration) {
+        const filePath = join(MIGRATIONS_DIR, migration.file);
+        console.log(`[DB] Applying migration ${migration.file}`);
+
+        await execAsync('BEGIN');
+        try {
+            if (migration.type === 'sql') {
+                await execAsync(readFileSync(filePath, 'utf8'));
+            } else {
+                const { up } = await import(pathToFileURL(filePath).href);
+                await up(db);
+            }
+
+            await db.runAsync(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+            await execAsync('COMMIT');
+        } catch (error) {
+            await execAsync('ROLLBACK');
+            throw new Error(`Migration ${migration.file} failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Bring the schema up to date once per process; callers that need the
+     * database await this before their first query
+     * @returns {Promise<Array<object>>} The migrations applied at startup
+     */
+    waitUntilReady() {
+        if (!this.ready) {
+            this.ready = this.migrate();
+        }
+        return this.ready;
+    }
+}
+
+// Export singleton instance
+const migrationService = new MigrationService();
+export default migrationService;
@@ -0,0 +1,278 @@
+import { fal } from '@fal-ai/client';
+import { withRetry, TIMEOUTS } from '../../utils/retry.js';
+import { envNumberMap } from '../../utils/env.js';
+import { startProvenance, markStarted, finishProvenance } from '../../utils/provenance.js';
+import schedulerService from '../schedulerService.js';
+
+// FAL endpoints used for each capability
+const MODELS = {
+    textToImage: 'fal-ai/alpha-image-232/text-to-image',
+    editImage: 'fal-ai/alpha-image-232/edit-image',
+    trellis: 'fal-ai/trellis/multi',
+    rodin: 'fal-ai/hyper3d/rodin/v2'
+};
+
+// Estimated USD per request by endpoint; FAL does not report cost per request
+const PRICING = envNumberMap('FAL_PRICING');
+
+// Anthropic model used for structured JSON completions
+const LLM_MODEL = 'claude-sonnet-4-5-20250929';
+
+// Rodin only accepts seeds up to 65535
+const RODIN_SEED_RANGE = 65536;
+
+/**
+ * Seed parameter for a request; without a seed the endpoint picks one
+ */
+function seedParam(seed, range = null) {
+    if (seed === null || seed === undefined) return {};
+    return { seed: range ? seed % range : seed };
+}
+
+/**
+ * Normalize a FAL queue update into { status, position, logs }
+ */
+function normalizeQueueUpdate(update) {
+    return {
+        status: update.status,
+        position: update.queue_position ?? null,
+        logs: (update.logs || []).map(log => log.message)
+    };
+}
+
+/**
+ * Live provider: FAL for images and 3D models, Anthropic for structured text
+ */
+class FalProvider {
+    constructor() {
+        this.name = 'fal';
+        this.models = MODELS;
+
+        fal.config({
+            credentials: process.env.FAL_KEY
+        });
+    }
+
+    /**
+     * Run a FAL endpoint and forward queue updates to the caller.
+     * The request waits for a slot in the scheduler, transient failures are
+     * retried with backoff and each attempt times out after FAL_TIMEOUT_MS.
+     * A retry after the request was enqueued resumes it rather than
+     * submitting (and paying for) it again.
+     * Aborting `signal` stops polling and asks FAL to cancel the queued request.
+     * The result carries a provenance record of the request (see utils/provenance.js).
+     * @param {object} options - { onQueueUpdate, signal, sessionId, priority }
+     */
+    async subscribe(endpoint, input, options = {}) {
+        const { onQueueUpdate, signal } = options;
+        const provenance = startProvenance(this.name, endpoint, input);
+        // The enqueued request, shared by every attempt
+        const request = { id: null };
+
+        const result = await schedulerService.run(`${this.name}:${endpoint}`, () => {
+            markStarted(provenance);
+            return withRetry((attemptSignal, attempt) => {
+                provenance.timing.attempts = attempt;
+                return this.subscribeOnce(endpoint, input, request, onQueueUpdate, attemptSignal);
+            }, {
+                label: `FAL ${endpoint}`,
+                signal,
+                timeoutMs: TIMEOUTS.fal
+            });
+        }, options);
+
+        return {
+            ...result,
+            provenance: finishProvenance(provenance, {
+                requestId: result.requestId,
+                seed: result.data?.seed ?? input.seed ?? null,
+                costUsd: PRICING[endpoint] ?? null
+            })
+        };
+    }
+
+    /**
+     * One attempt at a FAL request: submit it unless an earlier attempt
+     * already did, wait for it to complete and fetch the result.
+     * A timed out or aborted attempt cancels its request so it does not keep
+     * running (and billing) on FAL's side; the next attempt submits afresh.
+     * @param {object} request - { id } of the enqueued request, kept across attempts
+     */
+    async subscribeOnce(endpoint, input, request, onQueueUpdate, signal) {
+        const cancelRequest = () => {
+            const requestId = request.id;
+            if (!requestId) return;
+            request.id = null;
+            console.log(`[FAL] Cancelling request ${requestId}`);
+            fal.queue.cancel(endpoint, { requestId })
+                .catch(error => console.warn(`[FAL] Could not cancel request ${requestId}:`, error.message));
+        };
+        signal?.addEventListener('abort', cancelRequest, { once: true });
+
+        try {
+            if (request.id) {
+                console.log(`[FAL] Resuming request ${request.id}`);
+            } else {
+                const { request_id: requestId } = await fal.queue.submit(endpoint, { input, abortSignal: signal });
+                request.id = requestId;
+                // Aborted while the request was being submitted
+                if (signal?.aborted) cancelRequest();
+            }
+            const requestId = request.id;
+
+            await fal.queue.subscribeToStatus(endpoint, {
+                requestId,
+                logs: !!onQueueUpdate,
+                abortSignal: signal,
+                onQueueUpdate: onQueueUpdate
+                    ? (update) => onQueueUpdate(normalizeQueueUpdate(update))
+                    : undefined
+            });
+
+            try {
+                return await fal.queue.result(endpoint, { requestId, abortSignal: signal });
+            } catch (error) {
+                // FAL answered with the request's own failure: a retry has to
+                // submit it again. Otherwise the result can still be fetched.
+                if (error.status) request.id = null;
+                throw error;
+            }
+        } finally {
+            signal?.removeEventListener('abort', cancelRequest);
+        }
+    }
+
+    /**
+     * Generate an image from a text prompt
+     * @returns {Promise<{requestId: string, imageUrls: string[], provenance: object}>}
+     */
+    async textToImage({ prompt, seed, ...params }, options = {}) {
+        const result = await this.subscribe(MODELS.textToImage, { prompt, ...params, ...seedParam(seed) }, options);
+        return {
+            requestId: result.requestId,
+            imageUrls: (result.data?.images || []).map(image => image.url),
+            provenance: result.provenance
+        };
+    }
+
+    /**
+     * Edit one or more source images according to a prompt
+     * @returns {Promise<{requestId: string, imageUrls: string[], provenance: object}>}
+     */
+    async editImage({ prompt, imageUrls, seed, ...params }, options = {}) {
+        const result = await this.subscribe(MODELS.editImage, {
+            prompt,
+            image_urls: imageUrls,
+            ...params,
+            ...seedParam(seed)
+        }, options);
+        return {
+            requestId: result.requestId,
+            imageUrls: (result.data?.images || []).map(image => image.url),
+            provenance: result.provenance
+        };
+    }
+
+    /**
+     * Reconstruct a 3D model from one or more images
+     * @param {object} input - { imageUrls, modelType: 'trellis' | 'rodin', seed }
+     * @returns {Promise<{requestId: string, modelUrl: string|null, provenance: object}>}
+     */
+    async imageTo3D({ imageUrls, modelType = 'trellis', seed }, options = {}) {
+        let result;
+
+        if (modelType === 'trellis') {
+            result = await this.subscribe(MODELS.trellis, {
+                image_urls: imageUrls,
+                ss_guidance_strength: 7.5,
+                ss_sampling_steps: 12,
+                slat_guidance_strength: 3,
+                slat_sampling_steps: 12,
+                mesh_simplify: 0.95,
+                texture_size: 1024,
+                multiimage_algo: "stochastic",
+                ...seedParam(seed)
+            }, options);
+        } else {
+            result = await this.subscribe(MODELS.rodin, {
+                input_image_urls: imageUrls,  // Rodin uses input_image_urls
+                geometry_file_format: "glb",  // Specify GLB format for Three.js compatibility
+                material: "All",              // Include both PBR and shaded materials
+                quality_mesh_option: "500K Triangle", // Highest quality for best results
+                prompt: "",  // Let AI auto-generate prompt from images
+                ...seedParam(seed, RODIN_SEED_RANGE)
+            }, options);
+        }
+
+        return {
+            requestId: result.requestId,
+            modelUrl: result.data?.model_mesh?.url || null,
+            provenance: result.provenance
+        };
+    }
+
+    /**
+     * Ask Claude for a JSON object matching the given schema. Transient
+     * failures (overload, rate limits, network errors) are retried. The
+     * messages API takes no seed, so text is not reproducible from a world seed.
+     * @param {object} input - { prompt, schema, maxTokens }
+     * @param {object} options - { signal, sessionId, priority }
+     * @returns {Promise<{requestId: string, data: object}>}
+     */
+    async completeJson({ prompt, schema, maxTokens = 1024 }, options = {}) {
+        const responseData = await schedulerService.run(`anthropic:${LLM_MODEL}`, () => withRetry((signal) => this.postMessage({
+            model: LLM_MODEL,
+            max_tokens: maxTokens,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            output_format: {
+                type: 'json_schema',
+                schema
+            }
+        }, signal), {
+            label: 'Anthropic messages',
+            signal: options.signal,
+            timeoutMs: TIMEOUTS.llm
+        }), options);
+
+        // Parse the JSON response from content
+        const content = responseData.content[0].text;
+        return {
+            requestId: responseData.id,
+            data: JSON.parse(content)
+        };
+    }
+
+    /**
+     * POST a request to the Anthropic messages API
+     */
+    async postMessage(body, signal) {
+        const response = await fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            signal,
+            headers: {
+                'content-type': 'application/json',
+                'x-api-key': process.env.ANTHROPIC_API_KEY,
+                'anthropic-version': '2023-06-01',
+                'anthropic-beta': 'structured-outputs-2025-11-13'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.text();
+            const error = new Error(`Anthropic API error: ${response.status} ${errorData}`);
+            // Lets the retry layer tell overload (529) apart from a bad request
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+}
+
+export default FalProvider;
@@ -0,0 +1,48 @@
+import FalProvider from './falProvider.js';
+import StubProvider from './stubProvider.js';
+
+const PROVIDERS = {
+    fal: FalProvider,
+    stub: StubProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Resolve the provider name from GENERATION_PROVIDER, falling back to the
+ * stub provider when no FAL_KEY is configured
+ */
+export function resolveProviderName() {
+    const requested = process.env.GENERATION_PROVIDER;
+    if (requested) {
+        if (!PROVIDERS[requested]) {
+            throw new Error(`Unknown generation provider: ${requested} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+        return requested;
+    }
+    return process.env.FAL_KEY ? 'fal' : 'stub';
+}
+
+/**
+ * Get the generation provider shared by all routes
+ * @returns {FalProvider|StubProvider} Provider exposing textToImage, editImage,
+ *          imageTo3D and completeJson
+ */
+export function getProvider() {
+    if (!activeProvider) {
+        const ProviderClass = PROVIDERS[resolveProviderName()];
+        activeProvider = new ProviderClass();
+        console.log(`[PROVIDER] Using ${activeProvider.name} generation provider`);
+    }
+    return activeProvider;
+}
+
+/**
+ * Print provider queue logs to the server console
+ * @param {object} update - Normalized queue update { status, position, logs }
+ */
+export function logQueueUpdate(update) {
+    if (update.status === "IN_PROGRESS") {
+        update.logs.forEach(message => console.log(message));
+    }
+}
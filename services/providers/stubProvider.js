@@ -0,0 +1,138 @@
+import schedulerService from '../schedulerService.js';
+import { seedBytes, stubAssetUrl } from '../../utils/placeholderAssets.js';
+import { startProvenance, markStarted, finishProvenance } from '../../utils/provenance.js';
+
+/**
+ * Build a stable request id from the inputs so repeated calls are traceable
+ */
+function stubRequestId(kind, seed) {
+    return `stub-${kind}-${seedBytes(seed).toString('hex').slice(0, 12)}`;
+}
+
+/**
+ * Placeholder seed string for a request; an explicit seed varies the output
+ */
+function placeholderSeed(base, seed) {
+    return seed === null || seed === undefined ? base : `${base}:${seed}`;
+}
+
+/**
+ * Fill every string property of a JSON schema with placeholder text
+ */
+function placeholderForSchema(schema, prompt) {
+    const data = {};
+    const tag = seedBytes(prompt).toString('hex').slice(0, 6);
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (property.type === 'string') {
+            data[key] = `Placeholder ${key.replace(/_/g, ' ')} (${tag})`;
+        } else if (property.type === 'number' || property.type === 'integer') {
+            data[key] = 0;
+        } else if (property.type === 'boolean') {
+            data[key] = false;
+        } else if (property.type === 'array') {
+            data[key] = [];
+        } else if (property.type === 'object') {
+            data[key] = placeholderForSchema(property, `${prompt}:${key}`);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Offline provider: deterministic placeholder PNGs, primitive GLBs and
+ * canned JSON, so the whole pipeline runs without FAL_KEY or network.
+ * Files are returned as short stub:// URLs that downloadFile renders.
+ */
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+        this.models = {
+            textToImage: 'stub/placeholder-png',
+            editImage: 'stub/placeholder-png',
+            trellis: 'stub/primitive-glb',
+            rodin: 'stub/primitive-glb'
+        };
+    }
+
+    /**
+     * Run a placeholder request through the scheduler like a remote one.
+     * The placeholder is a pure function of `seed`, so without an explicit
+     * request seed the provenance records its numeric form, and a cost of zero.
+     */
+    async schedule(model, request, seed, options, task) {
+        const provenance = startProvenance(this.name, model, request);
+
+        const result = await schedulerService.run(`${this.name}:${model}`, () => {
+            markStarted(provenance);
+            provenance.timing.attempts = 1;
+            return task();
+        }, options);
+
+        return {
+            ...result,
+            provenance: finishProvenance(provenance, {
+                requestId: result.requestId,
+                seed: request.seed ?? seedBytes(seed).readUInt32BE(0),
+                costUsd: 0
+            })
+        };
+    }
+
+    /**
+     * Report a single progress update the same way a remote queue would.
+     * Honours options.signal like a remote request would.
+     */
+    notify(options, message) {
+        options.signal?.throwIfAborted();
+        if (options.onQueueUpdate) {
+            options.onQueueUpdate({ status: 'IN_PROGRESS', position: null, logs: [message] });
+        }
+    }
+
+    async textToImage({ prompt, seed: requestSeed }, options = {}) {
+        const seed = placeholderSeed(`text-to-image:${prompt}`, requestSeed);
+        return this.schedule(this.models.textToImage, { prompt, seed: requestSeed }, seed, options, async () => {
+            this.notify(options, '[STUB] Rendering placeholder image');
+            return {
+                requestId: stubRequestId('image', seed),
+                imageUrls: [stubAssetUrl('image', seed)]
+            };
+        });
+    }
+
+    async editImage({ prompt, imageUrls = [], seed: requestSeed }, options = {}) {
+        const seed = placeholderSeed(`edit-image:${prompt}:${imageUrls.join('|')}`, requestSeed);
+        return this.schedule(this.models.editImage, { prompt, imageUrls, seed: requestSeed }, seed, options, async () => {
+            this.notify(options, '[STUB] Rendering placeholder edit');
+            return {
+                requestId: stubRequestId('edit', seed),
+                imageUrls: [stubAssetUrl('image', seed)]
+            };
+        });
+    }
+
+    async imageTo3D({ imageUrls = [], modelType = 'trellis', seed: requestSeed }, options = {}) {
+        const seed = placeholderSeed(`image-to-3d:${modelType}:${imageUrls.join('|')}`, requestSeed);
+        return this.schedule(this.models[modelType] || this.models.trellis, { imageUrls, modelType, seed: requestSeed }, seed, options, async () => {
+            this.notify(options, '[STUB] Building primitive model');
+            return {
+                requestId: stubRequestId('model', seed),
+                modelUrl: stubAssetUrl('model', seed)
+            };
+        });
+    }
+
+    async completeJson({ prompt, schema }, options = {}) {
+        return this.schedule('stub/canned-json', { prompt }, prompt, options, async () => {
+            options.signal?.throwIfAborted();
+            return {
+                requestId: stubRequestId('llm', prompt),
+                data: placeholderForSchema(schema, prompt)
+            };
+        });
+    }
+}
+
+export default StubProvider;
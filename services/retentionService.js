@@ -0,0 +1,271 @@
+import { lstat, readdir } from 'fs/promises';
+import { basename, extname, join } from 'path';
+import { db } from '../database/db.js';
+import sessionService from './sessionService.js';
+import assetStoreService from './assetStoreService.js';
+import jobService, { JOB_STATUS } from './jobService.js';
+import eventService from './eventService.js';
+import { envInt } from '../utils/env.js';
+
+// Owners of files under assets/ that are not a session folder. Blobs just
+// handed to a session are held: pruning keeps them for a while.
+const STORE_OWNER = 'store';
+const HELD_OWNER = 'held';
+const OTHER_OWNER = 'other';
+
+/**
+ * Map every file under the assets folder to its inode, with the folders
+ * that link it. Sessions and the asset store share files through hard
+ * links, so an inode's bytes only come back once none of them links it.
+ * @returns {Promise<Map>} "dev:ino" -> { size, owners: Set of session ids,
+ *          'store', 'held' or 'other' }
+ */
+async function mapAssetFiles(assetsDir, sessionIds) {
+    const inodes = new Map();
+
+    const visit = async (path, owner) => {
+        const stats = await lstat(path).catch(() => null);
+        if (!stats) return;
+        if (stats.isDirectory()) {
+            for (const name of await readdir(path)) {
+                await visit(join(path, name), owner);
+            }
+            return;
+        }
+
+        const key = `${stats.dev}:${stats.ino}`;
+        if (!inodes.has(key)) inodes.set(key, { size: stats.size, owners: new Set() });
+        inodes.get(key).owners.add(owner);
+        if (owner === STORE_OWNER && assetStoreService.inGracePeriod(basename(path, extname(path)))) {
+            inodes.get(key).owners.add(HELD_OWNER);
+        }
+    };
+
+    for (const name of await readdir(assetsDir).catch(() => [])) {
+        const owner = name === 'store' ? STORE_OWNER : sessionIds.has(name) ? name : OTHER_OWNER;
+        await visit(join(assetsDir, name), owner);
+    }
+    return inodes;
+}
+
+/**
+ * Disk usage of the assets folder, and what removing sessions would free
+ */
+class DiskUsage {
+    constructor(inodes) {
+        this.inodes = inodes;
+        this.bytes = [...inodes.values()].reduce((total, inode) => total + inode.size, 0);
+    }
+
+    /**
+     * Forget a removed session's links
+     * @returns {number} Bytes freed: files no other session (or other
+     *          folder) links, stored blobs included since they get pruned
+     */
+    release(sessionId) {
+        let freed = 0;
+        for (const [key, inode] of this.inodes) {
+            if (!inode.owners.delete(sessionId)) continue;
+            freed += this.freeIfUnused(key, inode);
+        }
+        return freed;
+    }
+
+    /**
+     * Forget the stored blobs that no session links
+     * @returns {number} Bytes freed
+     */
+    releaseStore() {
+        let freed = 0;
+        for (const [key, inode] of this.inodes) {
+            freed += this.freeIfUnused(key, inode);
+        }
+        return freed;
+    }
+
+    freeIfUnused(key, inode) {
+        if ([...inode.owners].some(owner => owner !== STORE_OWNER)) return 0;
+        this.inodes.delete(key);
+        this.bytes -= inode.size;
+        return inode.size;
+    }
+}
+
+/**
+ * Keeps the assets folder from growing without bound. Each run purges
+ * sessions whose time in the trash is up, moves sessions nobody played for
+ * RETENTION_MAX_AGE_DAYS (off unless set) to the trash, and, when the folder is over
+ * RETENTION_QUOTA_MB, permanently deletes sessions until it fits again:
+ * trashed sessions first, then the least recently played. Favorites,
+ * protected sessions and sessions with generation in flight are never
+ * touched. A dry run reports the same plan without changing anything.
+ */
+class RetentionService {
+    constructor() {
+        this.assetsDir = join(process.cwd(), 'assets');
+        // Minutes between scheduled runs (0 turns the schedule off)
+        this.intervalMinutes = envInt('RETENTION_INTERVAL_MINUTES', 60);
+        // Days since last played before a session goes to the trash (0: never)
+        this.maxAgeDays = envInt('RETENTION_MAX_AGE_DAYS', 0);
+        // Disk quota for the assets folder (0: unlimited)
+        this.quotaBytes = envInt('RETENTION_QUOTA_MB', 0) * 1024 * 1024;
+        this.timer = null;
+        // Runs are chained so only one plans or removes at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run retention on the configured interval. The first run waits one
+     * interval, so a restart never removes anything straight away.
+     */
+    start() {
+        if (this.timer || this.intervalMinutes === 0) return;
+
+        this.timer = setInterval(() => this.run().catch(error => {
+            console.error('[RETENTION] Error running retention:', error);
+        }), this.intervalMinutes * 60 * 1000);
+        this.timer.unref();
+        console.log(`[RETENTION] Scheduled every ${this.intervalMinutes} min (max age: ${this.maxAgeDays ? `${this.maxAgeDays} days` : 'none'}, ` +
+            `quota: ${this.quotaBytes ? `${this.quotaBytes / 1024 / 1024} MB` : 'none'})`);
+    }
+
+    /**
+     * Apply the retention policy, or with `dryRun` only report what it
+     * would remove. Runs one at a time.
+     * @returns {Promise<object>} Report: { dryRun, usage: { bytes, bytesAfter,
+     *          quotaBytes, overQuota }, removed: [{ sessionId, action, reason,
+     *          bytes, ... }], prunedBlobBytes }
+     */
+    run({ dryRun = false } = {}) {
+        const result = this.queue.then(async () => {
+            const report = await this.plan();
+            if (!dryRun) await this.apply(report);
+            return { dryRun, ...report };
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Work out which sessions to remove, from what is on disk now
+     */
+    async plan() {
+        const sessions = await db.allAsync('SELECT id FROM sessions');
+        const usage = new DiskUsage(await mapAssetFiles(this.assetsDir, new Set(sessions.map(session => session.id))));
+        const bytes = usage.bytes;
+        const removed = [];
+
+        // Every run prunes the stored blobs no session uses
+        const prunedBlobBytes = usage.releaseStore();
+
+        for (const session of (await sessionService.purgeTrash({ dryRun: true })).sessions) {
+            removed.push({
+                sessionId: session.id,
+                action: 'purge',
+                reason: 'trash-expired',
+                deletedAt: session.deleted_at,
+                bytes: usage.release(session.id)
+            });
+        }
+
+        if (this.maxAgeDays > 0) {
+            for (const session of await sessionService.cleanupOldSessions(this.maxAgeDays, { dryRun: true })) {
+                // Still on disk until purged from the trash
+                removed.push({
+                    sessionId: session.id,
+                    action: 'trash',
+                    reason: 'age',
+                    lastAccessed: session.last_accessed,
+                    bytes: 0
+                });
+            }
+        }
+
+        if (this.quotaBytes > 0 && usage.bytes > this.quotaBytes) {
+            for (const session of await this.evictionCandidates()) {
+                if (usage.bytes <= this.quotaBytes) break;
+                if (removed.some(removal => removal.sessionId === session.id && removal.action === 'purge')) continue;
+
+                const eviction = {
+                    sessionId: session.id,
+                    action: 'purge',
+                    reason: 'quota',
+                    lastAccessed: session.last_accessed,
+                    deletedAt: session.deleted_at,
+                    bytes: usage.release(session.id)
+                };
+                // A session due for the trash goes straight to a purge instead
+                const planned = removed.findIndex(removal => removal.sessionId === session.id);
+                if (planned === -1) {
+                    removed.push(eviction);
+                } else {
+                    removed[planned] = eviction;
+                }
+            }
+        }
+
+        return {
+            usage: {
+                bytes,
+                bytesAfter: usage.bytes,
+                quotaBytes: this.quotaBytes || null,
+                overQuota: this.quotaBytes > 0 && usage.bytes > this.quotaBytes
+            },
+            removed,
+            prunedBlobBytes
+        };
+    }
+
+    /**
+     * Sessions that may go to make room, in eviction order: the trash
+     * (oldest deletion first), then the least recently played sessions
+     * that are not favorites, protected or being generated
+     */
+    async evictionCandidates() {
+        return db.allAsync(
+            `SELECT id, last_accessed, deleted_at FROM sessions
+             WHERE deleted_at IS NOT NULL
+                OR (favorite = 0 AND protected = 0
+                    AND id NOT IN (SELECT session_id FROM jobs WHERE session_id IS NOT NULL AND status IN (?, ?)))
+             ORDER BY deleted_at IS NULL, deleted_at, last_accessed`,
+            [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+        );
+    }
+
+    /**
+     * Carry out a plan and log what was removed
+     */
+    async apply({ removed, usage }) {
+        for (const removal of removed) {
+            // Jobs that started since the plan was made stop with their session
+            const cancelled = await jobService.cancelSessionJobs(removal.sessionId);
+            if (cancelled > 0) {
+                eventService.publish(removal.sessionId, 'build-cancelled', { cancelled });
+            }
+
+            if (removal.action === 'trash') {
+                await sessionService.trashSession(removal.sessionId);
+                console.log(`[RETENTION] Trashed session ${removal.sessionId} (${removal.reason})`);
+            } else {
+                const { freedBytes } = await sessionService.deleteSession(removal.sessionId);
+                console.log(`[RETENTION] Purged session ${removal.sessionId} (${removal.reason}, ${freedBytes} bytes freed)`);
+            }
+        }
+
+        // Purges prune as they go; this covers blobs left unused otherwise
+        await assetStoreService.pruneUnreferenced();
+
+        if (usage.overQuota) {
+            console.warn(`[RETENTION] Assets still use ${usage.bytesAfter} bytes, over the ${usage.quotaBytes} byte quota; ` +
+                'the rest is protected, favorite or being generated');
+        }
+        if (removed.length > 0) {
+            console.log(`[RETENTION] Removed ${removed.length} session(s); assets went from ${usage.bytes} to ${usage.bytesAfter} bytes`);
+        }
+    }
+}
+
+// Export singleton instance
+const retentionService = new RetentionService();
+export { DiskUsage, RetentionService };
+export default retentionService;
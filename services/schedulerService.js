@@ -0,0 +1,223 @@
+import { envInt } from '../utils/env.js';
+import { CancelledError } from '../utils/errors.js';
+
+/**
+ * Priority of an outgoing provider job; lower runs first
+ */
+const PRIORITY = {
+    CRITICAL: 0, // ground and idle character: the minimum to play
+    HIGH: 1,     // walking pose, riddle
+    NORMAL: 2,   // props and puzzle objects
+    LOW: 3       // decorative posters
+};
+
+// A waiting job moves up one priority level for every interval it waits,
+// so a steady stream of urgent work cannot starve decorative jobs forever
+const AGING_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Parse per-endpoint limits like "fal-ai/trellis/multi=2,fal-ai/hyper3d/rodin/v2=1"
+ */
+function parseEndpointLimits(value = '') {
+    const limits = {};
+    for (const entry of value.split(',')) {
+        const [endpoint, limit] = entry.split('=').map(part => part?.trim());
+        const parsed = parseInt(limit, 10);
+        if (endpoint && parsed > 0) {
+            limits[endpoint] = parsed;
+        }
+    }
+    return limits;
+}
+
+// Compare two [priority, running, sequence] ranks element by element
+function compareRanks(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+// Add to a running counter, dropping it once it reaches zero
+function increment(map, key, delta) {
+    const value = (map.get(key) || 0) + delta;
+    if (value > 0) {
+        map.set(key, value);
+    } else {
+        map.delete(key);
+    }
+}
+
+/**
+ * Global scheduler for outgoing provider jobs, shared by every session.
+ * Jobs run in lanes named "provider:endpoint" and each lane and provider has
+ * a concurrency cap. Waiting jobs start by priority; among equal priorities
+ * the session with the fewest running jobs goes first, so one large build
+ * cannot starve the others.
+ */
+class SchedulerService {
+    constructor() {
+        this.maxPerProvider = envInt('SCHEDULER_MAX_PER_PROVIDER', 8) || 1;
+        this.maxPerEndpoint = envInt('SCHEDULER_MAX_PER_ENDPOINT', 4) || 1;
+        this.endpointLimits = parseEndpointLimits(process.env.SCHEDULER_ENDPOINT_LIMITS);
+
+        this.waiting = [];
+        this.runningByLane = new Map();
+        this.runningByProvider = new Map();
+        this.runningBySession = new Map();
+        this.nextSequence = 1;
+    }
+
+    /**
+     * Run a provider job once its lane has room
+     * @param {string} lane - "provider:endpoint", e.g. "fal:fal-ai/trellis/multi"
+     * @param {Function} task - async () => result
+     * @param {object} options - { priority, sessionId, signal }; aborting the
+     *        signal while the job waits removes it from the queue
+     * @returns {Promise<*>} The task's result
+     */
+    run(lane, task, options = {}) {
+        const { priority = PRIORITY.NORMAL, sessionId = null, signal } = options;
+
+        if (signal?.aborted) {
+            return Promise.reject(new CancelledError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                lane,
+                provider: lane.slice(0, lane.indexOf(':')),
+                endpoint: lane.slice(lane.indexOf(':') + 1),
+                sessionKey: sessionId || 'legacy',
+                priority,
+                sequence: this.nextSequence++,
+                enqueuedAt: Date.now(),
+                task,
+                resolve,
+                reject,
+                signal
+            };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.waiting = this.waiting.filter(waiting => waiting !== entry);
+                    reject(new CancelledError());
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.waiting.push(entry);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Concurrency cap of a lane
+     */
+    laneLimit(endpoint) {
+        return this.endpointLimits[endpoint] || this.maxPerEndpoint;
+    }
+
+    /**
+     * Whether a job's lane and provider both have a free slot
+     */
+    hasCapacity(entry) {
+        return (this.runningByLane.get(entry.lane) || 0) < this.laneLimit(entry.endpoint)
+            && (this.runningByProvider.get(entry.provider) || 0) < this.maxPerProvider;
+    }
+
+    /**
+     * Start waiting jobs until every lane with work is full
+     */
+    dispatch() {
+        let entry;
+        while ((entry = this.takeNext())) {
+            this.start(entry);
+        }
+    }
+
+    /**
+     * Remove and return the waiting job that should start next, if any can
+     */
+    takeNext() {
+        const now = Date.now();
+        let best = null;
+        let bestRank = null;
+
+        for (const entry of this.waiting) {
+            if (!this.hasCapacity(entry)) continue;
+
+            // Effective (aged) priority, then the session's running jobs, then arrival
+            const rank = [
+                Math.max(0, entry.priority - Math.floor((now - entry.enqueuedAt) / AGING_INTERVAL_MS)),
+                this.runningBySession.get(entry.sessionKey) || 0,
+                entry.sequence
+            ];
+            if (!bestRank || compareRanks(rank, bestRank) < 0) {
+                best = entry;
+                bestRank = rank;
+            }
+        }
+
+        if (best) {
+            this.waiting = this.waiting.filter(entry => entry !== best);
+        }
+        return best;
+    }
+
+    /**
+     * Run a job in its slot and hand the slot on when it settles
+     */
+    async start(entry) {
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        this.adjustRunning(entry, 1);
+
+        try {
+            entry.resolve(await entry.task());
+        } catch (error) {
+            entry.reject(error);
+        } finally {
+            this.adjustRunning(entry, -1);
+            this.dispatch();
+        }
+    }
+
+    adjustRunning(entry, delta) {
+        increment(this.runningByLane, entry.lane, delta);
+        increment(this.runningByProvider, entry.provider, delta);
+        increment(this.runningBySession, entry.sessionKey, delta);
+    }
+
+    /**
+     * Queue depth and running jobs per lane, for /api/health
+     */
+    getStats() {
+        const lanes = {};
+        const lane = (name) => {
+            if (!lanes[name]) {
+                lanes[name] = { running: 0, queued: 0, limit: this.laneLimit(name.slice(name.indexOf(':') + 1)) };
+            }
+            return lanes[name];
+        };
+
+        for (const [name, count] of this.runningByLane) {
+            lane(name).running = count;
+        }
+        for (const entry of this.waiting) {
+            lane(entry.lane).queued++;
+        }
+
+        return {
+            queued: this.waiting.length,
+            running: [...this.runningByLane.values()].reduce((sum, count) => sum + count, 0),
+            maxPerProvider: this.maxPerProvider,
+            maxPerEndpoint: this.maxPerEndpoint,
+            lanes
+        };
+    }
+}
+
+// Export singleton instance
+const schedulerService = new SchedulerService();
+export { PRIORITY, SchedulerService };
+export default schedulerService;
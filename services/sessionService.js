@@ -1,24 +1,123 @@
 import { db, uuidv4 } from '../database/db.js';
-import { existsSync, mkdirSync, rmSync } from 'fs';
-import { join } from 'path';
+import { existsSync, mkdirSync, rmSync, readdirSync, lstatSync } from 'fs';
+import { join, relative } from 'path';
+import { isValidAssetFile } from '../utils/download.js';
+import { getVersionPath, getActivePath, getUrlForPath, linkOrCopy } from '../utils/assetPaths.js';
+import { randomWorldSeed } from '../utils/seed.js';
+import { envInt } from '../utils/env.js';
+import assetStoreService from './assetStoreService.js';
+import { JOB_STATUS } from './jobService.js';
+
+// Rows of one asset (all its versions): same session, type, pose and view
+const ASSET_SLOT = 'session_id = ? AND asset_type = ? AND pose IS ? AND view_name IS ?';
+
+// Poses of the player character; every other pose is a prop or puzzle object
+const CHARACTER_POSES = ['idle', 'walking', 'shooting'];
+
+/**
+ * Bytes that deleting a folder gives back: the files it holds every link
+ * of. Files also linked from the asset store only come back once the store
+ * prunes them.
+ */
+function folderOnlyBytes(dir) {
+    const inodes = new Map();
+    for (const name of readdirSync(dir, { recursive: true })) {
+        const stats = lstatSync(join(dir, name));
+        if (stats.isDirectory()) continue;
+
+        const key = `${stats.dev}:${stats.ino}`;
+        const inode = inodes.get(key) || { size: stats.size, nlink: stats.nlink, seen: 0 };
+        inode.seen++;
+        inodes.set(key, inode);
+    }
+    return [...inodes.values()]
+        .filter(inode => inode.seen >= inode.nlink)
+        .reduce((total, inode) => total + inode.size, 0);
+}
+
+/**
+ * Replace a session id inside stored JSON text (asset URLs, step inputs).
+ * Session ids are UUIDs, so a plain text replacement cannot hit anything else.
+ */
+export function remapSessionId(text, fromId, toId) {
+    return typeof text === 'string' && fromId !== toId ? text.split(fromId).join(toId) : text;
+}
+
+// Session list orderings: sort key -> column
+export const SESSION_SORTS = {
+    last_played: 'last_accessed',
+    created: 'created_at'
+};
+
+/**
+ * Cursors point just past the last session of a page: its sort value and
+ * id (the tiebreaker), as base64url JSON
+ */
+function encodeSessionCursor(session, sort) {
+    return Buffer.from(JSON.stringify([session[SESSION_SORTS[sort]], session.id])).toString('base64url');
+}
+
+/**
+ * Read a cursor from a previous listSessions page
+ * @returns {Array|null} [sortValue, id], or null if the cursor is malformed
+ */
+export function decodeSessionCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(value) && value.length === 2 && value.every(part => typeof part === 'string') ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Clean up session tags: trimmed, without empty entries or duplicates
+ * (compared case-insensitively, keeping the first spelling)
+ */
+export function normalizeTags(tags) {
+    const seen = new Set();
+    return tags.map(tag => tag.trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// API shape of a save_slots row
+function formatSaveSlot(row) {
+    return {
+        slotId: row.id,
+        name: row.name,
+        gameState: row.game_state ? JSON.parse(row.game_state) : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
 
 class SessionService {
     constructor() {
         this.assetsDir = join(process.cwd(), 'assets');
+        // Days a deleted session stays in the trash before it is purged
+        this.trashRetentionDays = envInt('TRASH_RETENTION_DAYS', 7);
     }
 
     /**
      * Create a new session with a UUID
+     * @param {number|null} worldSeed - Seed to rebuild or share a world;
+     *        a random one is picked when omitted
+     * @param {string|null} forkedFrom - Session whose character the new one reuses
      */
-    async createSession(character, modelType = 'trellis', playerMode = 1) {
+    async createSession(character, modelType = 'trellis', playerMode = 1, worldSeed = null, forkedFrom = null) {
         const sessionId = uuidv4();
         const now = new Date().toISOString();
+        worldSeed = worldSeed ?? randomWorldSeed();
 
         try {
             await db.runAsync(
-                `INSERT INTO sessions (id, character_description, model_type, player_mode, created_at, updated_at, last_accessed)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [sessionId, character, modelType, playerMode, now, now, now]
+                `INSERT INTO sessions (id, character_description, model_type, player_mode, world_seed, forked_from, created_at, updated_at, last_accessed)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [sessionId, character, modelType, playerMode, worldSeed, forkedFrom, now, now, now]
             );
 
             // Create session-specific asset directories
@@ -30,6 +129,8 @@ class SessionService {
                 character,
                 modelType,
                 playerMode,
+                worldSeed,
+                forkedFrom,
                 createdAt: now
             };
         } catch (error) {
@@ -39,16 +140,112 @@ class SessionService {
     }
 
     /**
-     * Get session details by ID
+     * Start a new world with the character of an existing session. The
+     * active character images and models (every pose and view) are linked
+     * into the new session with their recipes, so its build only generates
+     * the ground, props, riddle and posters.
+     * @param {string} sourceSessionId - Session to fork
+     * @param {number|null} worldSeed - Seed of the new world (random if omitted)
+     * @returns {Promise<object|null>} The new session (see createSession) with
+     *          the number of character assets reused, or null if the source
+     *          does not exist
      */
-    async getSession(sessionId) {
+    async forkSession(sourceSessionId, worldSeed = null) {
+        const source = await db.getAsync('SELECT * FROM sessions WHERE id = ? AND deleted_at IS NULL', [sourceSessionId]);
+        if (!source) return null;
+
+        const session = await this.createSession(source.character_description, source.model_type, source.player_mode,
+            worldSeed, sourceSessionId);
+        try {
+            const characterAssets = await this.copyCharacterAssets(sourceSessionId, session.sessionId);
+            console.log(`[SESSION] Forked session ${sourceSessionId} into ${session.sessionId} (${characterAssets} character assets reused)`);
+            return { ...session, characterAssets };
+        } catch (error) {
+            console.error('[SESSION] Error forking session:', error);
+            await this.deleteSession(session.sessionId);
+            throw error;
+        }
+    }
+
+    /**
+     * Link the active character images and models of one session into
+     * another, with their recipes and the dependencies between them
+     * @returns {Promise<number>} Number of assets copied
+     */
+    async copyCharacterAssets(fromSessionId, toSessionId) {
+        const fromDir = join(this.assetsDir, fromSessionId);
+        const toDir = join(this.assetsDir, toSessionId);
+        const poses = CHARACTER_POSES.map(() => '?').join(', ');
+        const rows = await db.allAsync(
+            `SELECT * FROM assets
+             WHERE session_id = ? AND is_active = 1 AND asset_type IN ('character', 'models') AND pose IN (${poses})
+             ORDER BY id`,
+            [fromSessionId, ...CHARACTER_POSES]
+        );
+
+        const assetIds = new Map();
+        for (const row of rows) {
+            if (!isValidAssetFile(row.file_path)) continue;
+
+            const filePath = join(toDir, relative(fromDir, row.file_path));
+            linkOrCopy(row.file_path, filePath);
+            if (getActivePath(filePath) !== filePath) {
+                linkOrCopy(filePath, getActivePath(filePath));
+            }
+
+            await db.runAsync(
+                `INSERT INTO assets (session_id, asset_type, pose, view_name, file_path, remote_url, request_id, blob_hash,
+                                     provenance, version, is_active, stale, step_type, step_input)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`,
+                [toSessionId, row.asset_type, row.pose, row.view_name, filePath, row.remote_url, row.request_id, row.blob_hash,
+                    remapSessionId(row.provenance, fromSessionId, toSessionId), row.version, row.stale, row.step_type,
+                    remapSessionId(row.step_input, fromSessionId, toSessionId)]
+            );
+            const { id } = await db.getAsync(
+                `SELECT id FROM assets WHERE ${ASSET_SLOT} AND is_active = 1`,
+                [toSessionId, row.asset_type, row.pose, row.view_name]
+            );
+            assetIds.set(row.id, id);
+        }
+
+        const dependencies = await db.allAsync(
+            `SELECT d.* FROM asset_dependencies d JOIN assets a ON a.id = d.asset_id WHERE a.session_id = ?`,
+            [fromSessionId]
+        );
+        for (const dependency of dependencies) {
+            if (!assetIds.has(dependency.asset_id) || !assetIds.has(dependency.source_asset_id)) continue;
+            await db.runAsync(
+                'INSERT OR IGNORE INTO asset_dependencies (asset_id, source_asset_id, position) VALUES (?, ?, ?)',
+                [assetIds.get(dependency.asset_id), assetIds.get(dependency.source_asset_id), dependency.position]
+            );
+        }
+
+        return assetIds.size;
+    }
+
+    /**
+     * Get a session's world seed without touching its last access time
+     * @returns {Promise<number|null>} null for unknown sessions
+     */
+    async getWorldSeed(sessionId) {
+        const row = await db.getAsync('SELECT world_seed FROM sessions WHERE id = ?', [sessionId]);
+        return row?.world_seed ?? null;
+    }
+
+    /**
+     * Get session details by ID (null for sessions in the trash)
+     * @param {boolean} touch - Count this as the session being played and
+     *        bump last_accessed; internal lookups pass false so background
+     *        work doesn't keep a session from aging out
+     */
+    async getSession(sessionId, { touch = true } = {}) {
         try {
             const session = await db.getAsync(
-                'SELECT * FROM sessions WHERE id = ?',
+                'SELECT * FROM sessions WHERE id = ? AND deleted_at IS NULL',
                 [sessionId]
             );
 
-            if (session) {
+            if (session && touch) {
                 // Update last accessed time
                 await db.runAsync(
                     'UPDATE sessions SET last_accessed = ? WHERE id = ?',
@@ -65,11 +262,12 @@ class SessionService {
 
     /**
      * Check if a session exists
+     * @param {boolean} includeTrashed - Also count sessions in the trash
      */
-    async sessionExists(sessionId) {
+    async sessionExists(sessionId, { includeTrashed = false } = {}) {
         try {
             const session = await db.getAsync(
-                'SELECT id FROM sessions WHERE id = ?',
+                `SELECT id FROM sessions WHERE id = ?${includeTrashed ? '' : ' AND deleted_at IS NULL'}`,
                 [sessionId]
             );
             return !!session;
@@ -94,6 +292,22 @@ class SessionService {
             fields.push('metadata = ?');
             values.push(JSON.stringify(updates.metadata));
         }
+        if (updates.name !== undefined) {
+            fields.push('name = ?');
+            values.push(updates.name?.trim() || null);
+        }
+        if (updates.tags !== undefined) {
+            fields.push('tags = ?');
+            values.push(updates.tags && JSON.stringify(normalizeTags(updates.tags)));
+        }
+        if (updates.favorite !== undefined) {
+            fields.push('favorite = ?');
+            values.push(updates.favorite ? 1 : 0);
+        }
+        if (updates.protected !== undefined) {
+            fields.push('protected = ?');
+            values.push(updates.protected ? 1 : 0);
+        }
 
         if (fields.length === 0) return;
 
@@ -113,23 +327,96 @@ class SessionService {
     }
 
     /**
-     * List recent sessions
+     * List sessions, most recently played first by default
+     * @param {object} options
+     * @param {number} options.limit - Page size
+     * @param {string|null} options.cursor - nextCursor of the previous page
+     * @param {string|null} options.search - Text to find in the name, tags or
+     *        character description
+     * @param {string|null} options.modelType - Only sessions with this model type
+     * @param {number|null} options.playerMode - Only sessions with this player mode
+     * @param {string|null} options.buildStatus - Status of the latest build job,
+     *        or 'none' for sessions that were never built
+     * @param {boolean|null} options.riddleSolved - Only sessions whose saved game
+     *        has (or has not) solved the riddle
+     * @param {string} options.sort - A SESSION_SORTS key
+     * @param {string} options.order - 'desc' or 'asc'
+     * @returns {Promise<object>} { sessions, total, nextCursor }; total counts
+     *          every matching session and nextCursor is null on the last page
      */
-    async listSessions(limit = 10, offset = 0) {
+    async listSessions({
+        limit = 10, cursor = null, search = null, modelType = null, playerMode = null,
+        buildStatus = null, riddleSolved = null, sort = 'last_played', order = 'desc'
+    } = {}) {
+        const sortColumn = SESSION_SORTS[sort];
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const filters = [];
+        const params = [];
+
+        if (search) {
+            const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+            filters.push("(character_description LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\' OR tags LIKE ? ESCAPE '\\')");
+            params.push(pattern, pattern, pattern);
+        }
+        if (modelType) {
+            filters.push('model_type = ?');
+            params.push(modelType);
+        }
+        if (playerMode) {
+            filters.push('player_mode = ?');
+            params.push(playerMode);
+        }
+        if (buildStatus) {
+            filters.push(buildStatus === 'none' ? 'build_status IS NULL' : 'build_status = ?');
+            if (buildStatus !== 'none') params.push(buildStatus);
+        }
+        if (riddleSolved !== null) {
+            filters.push(`IFNULL(json_extract(game_state, '$.riddleSolved'), 0) ${riddleSolved ? '!=' : '='} 0`);
+        }
+
+        filters.push('deleted_at IS NULL');
+        const where = `WHERE ${filters.join(' AND ')}`;
+        let pageWhere = where;
+        const pageParams = [...params];
+        const after = cursor && decodeSessionCursor(cursor);
+        if (after) {
+            const comparison = direction === 'DESC' ? '<' : '>';
+            pageWhere = `${where} AND (${sortColumn} ${comparison} ? OR (${sortColumn} = ? AND id ${comparison} ?))`;
+            pageParams.push(after[0], after[0], after[1]);
+        }
+
         try {
-            const sessions = await db.allAsync(
-                `SELECT id, character_description, model_type, player_mode, created_at, last_accessed
-                 FROM sessions
-                 ORDER BY last_accessed DESC
-                 LIMIT ? OFFSET ?`,
-                [limit, offset]
+            // build_status is the status of the session's latest build job (NULL if never built)
+            const listed = `
+                SELECT id, character_description, model_type, player_mode, world_seed, forked_from, name, tags, favorite,
+                       protected, created_at, last_accessed, deleted_at, game_state,
+                       (SELECT status FROM jobs
+                        WHERE jobs.session_id = sessions.id AND jobs.job_type = 'build'
+                        ORDER BY created_at DESC LIMIT 1) AS build_status,
+                       (SELECT COUNT(*) FROM save_slots WHERE save_slots.session_id = sessions.id) AS slot_count
+                FROM sessions`;
+
+            // One extra row tells whether there is another page
+            const rows = await db.allAsync(
+                `SELECT * FROM (${listed}) ${pageWhere}
+                 ORDER BY ${sortColumn} ${direction}, id ${direction}
+                 LIMIT ?`,
+                [...pageParams, limit + 1]
             );
+            const total = await db.getAsync(`SELECT COUNT(*) as count FROM (${listed}) ${where}`, params);
 
-            const total = await db.getAsync('SELECT COUNT(*) as count FROM sessions');
+            const sessions = rows.slice(0, limit).map(({ game_state, deleted_at, ...session }) => ({
+                ...session,
+                tags: session.tags ? JSON.parse(session.tags) : [],
+                favorite: !!session.favorite,
+                protected: !!session.protected,
+                riddle_solved: !!(game_state && JSON.parse(game_state).riddleSolved)
+            }));
 
             return {
                 sessions,
-                total: total.count
+                total: total.count,
+                nextCursor: rows.length > limit ? encodeSessionCursor(sessions[sessions.length - 1], sort) : null
             };
         } catch (error) {
             console.error('[SESSION] Error listing sessions:', error);
@@ -138,21 +425,133 @@ class SessionService {
     }
 
     /**
-     * Delete a session and its assets
+     * Move a session to the trash. It disappears from the session list and
+     * can be restored until it is purged after the retention period.
+     * @returns {Promise<string|null>} When it will be purged, or null if no
+     *          such session is outside the trash
+     */
+    async trashSession(sessionId) {
+        if (!await this.sessionExists(sessionId)) return null;
+
+        const deletedAt = new Date();
+        await db.runAsync('UPDATE sessions SET deleted_at = ? WHERE id = ?', [deletedAt.toISOString(), sessionId]);
+        console.log(`[SESSION] Moved session to the trash: ${sessionId}`);
+        return this.purgeDate(deletedAt.toISOString());
+    }
+
+    /**
+     * Take a session back out of the trash
+     * @returns {Promise<boolean>} False if the session is not in the trash
+     */
+    async restoreSession(sessionId) {
+        const session = await db.getAsync(
+            'SELECT id FROM sessions WHERE id = ? AND deleted_at IS NOT NULL',
+            [sessionId]
+        );
+        if (!session) return false;
+
+        await db.runAsync(
+            'UPDATE sessions SET deleted_at = NULL, last_accessed = ? WHERE id = ?',
+            [new Date().toISOString(), sessionId]
+        );
+        console.log(`[SESSION] Restored session from the trash: ${sessionId}`);
+        return true;
+    }
+
+    /**
+     * List the sessions in the trash, most recently deleted first
+     * @returns {Promise<Array<object>>} Session rows with deleted_at and purge_at
+     */
+    async listTrashedSessions() {
+        const sessions = await db.allAsync(
+            `SELECT id, character_description, model_type, player_mode, name, created_at, last_accessed, deleted_at
+             FROM sessions
+             WHERE deleted_at IS NOT NULL
+             ORDER BY deleted_at DESC`
+        );
+        return sessions.map(session => ({ ...session, purge_at: this.purgeDate(session.deleted_at) }));
+    }
+
+    /**
+     * Permanently delete a session that is in the trash
+     * @returns {Promise<boolean>} False if the session is not in the trash
+     */
+    async purgeSession(sessionId) {
+        const session = await db.getAsync(
+            'SELECT id FROM sessions WHERE id = ? AND deleted_at IS NOT NULL',
+            [sessionId]
+        );
+        if (!session) return null;
+
+        const { freedBytes } = await this.deleteSession(sessionId);
+        return freedBytes;
+    }
+
+    /**
+     * Permanently delete the sessions that have been in the trash for
+     * longer than the retention period (all of them with `all`)
+     * @param {boolean} dryRun - Only report what would be purged
+     * @returns {Promise<object>} { sessions: [{ id, deleted_at }] purged,
+     *          freedBytes } (freedBytes is null for a dry run)
+     */
+    async purgeTrash({ all = false, dryRun = false } = {}) {
+        const cutoff = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000);
+        const expired = await db.allAsync(
+            `SELECT id, deleted_at FROM sessions WHERE deleted_at IS NOT NULL${all ? '' : ' AND deleted_at < ?'}
+             ORDER BY deleted_at`,
+            all ? [] : [cutoff.toISOString()]
+        );
+        if (dryRun) return { sessions: expired, freedBytes: null };
+
+        let freedBytes = 0;
+        for (const session of expired) {
+            freedBytes += (await this.deleteSession(session.id)).freedBytes;
+        }
+        if (expired.length > 0) {
+            console.log(`[SESSION] Purged ${expired.length} session(s) from the trash, ${freedBytes} bytes freed`);
+        }
+        return { sessions: expired, freedBytes };
+    }
+
+    // When a session trashed at `deletedAt` is due to be purged
+    purgeDate(deletedAt) {
+        const purgeAt = new Date(deletedAt);
+        purgeAt.setDate(purgeAt.getDate() + this.trashRetentionDays);
+        return purgeAt.toISOString();
+    }
+
+    /**
+     * Permanently delete a session and its assets, and prune the stored
+     * blobs nothing uses any more. Sessions deleted by players go to the
+     * trash first (see trashSession).
+     * @returns {Promise<object>} { success, freedBytes } with the disk space
+     *          given back
      */
     async deleteSession(sessionId) {
         try {
             // Delete from database
             await db.runAsync('DELETE FROM sessions WHERE id = ?', [sessionId]);
+            await db.runAsync('DELETE FROM layout_objects WHERE session_id = ?', [sessionId]);
+            await db.runAsync('DELETE FROM save_slots WHERE session_id = ?', [sessionId]);
+            // Foreign keys are not enforced, so asset rows are removed here
+            await db.runAsync(
+                'DELETE FROM asset_dependencies WHERE asset_id IN (SELECT id FROM assets WHERE session_id = ?)',
+                [sessionId]
+            );
+            await db.runAsync('DELETE FROM assets WHERE session_id = ?', [sessionId]);
+            await db.runAsync('DELETE FROM build_steps WHERE session_id = ?', [sessionId]);
 
             // Delete asset directories
+            let freedBytes = 0;
             const sessionPath = join(this.assetsDir, sessionId);
             if (existsSync(sessionPath)) {
+                freedBytes += folderOnlyBytes(sessionPath);
                 rmSync(sessionPath, { recursive: true, force: true });
                 console.log(`[SESSION] Deleted assets for session: ${sessionId}`);
             }
+            freedBytes += (await assetStoreService.pruneUnreferenced()).bytes;
 
-            return { success: true };
+            return { success: true, freedBytes };
         } catch (error) {
             console.error('[SESSION] Error deleting session:', error);
             throw error;
@@ -160,17 +559,194 @@ class SessionService {
     }
 
     /**
-     * Record an asset in the database
+     * Get the saved transforms of the objects placed in a session's world
+     * @returns {Promise<Array<object>>} { key, kind, position, rotation, scale, data }
+     */
+    async getLayout(sessionId) {
+        try {
+            const rows = await db.allAsync(
+                'SELECT * FROM layout_objects WHERE session_id = ? ORDER BY kind, object_key',
+                [sessionId]
+            );
+            return rows.map(row => ({
+                key: row.object_key,
+                kind: row.kind,
+                position: JSON.parse(row.position),
+                rotation: JSON.parse(row.rotation),
+                scale: JSON.parse(row.scale),
+                data: row.data ? JSON.parse(row.data) : null
+            }));
+        } catch (error) {
+            console.error('[SESSION] Error getting layout:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the transforms of placed objects. Objects not listed keep their
+     * saved transform, so a partial reload cannot lose the layout.
+     * @param {Array<object>} objects - { key, kind, position, rotation, scale, data }
+     */
+    async saveLayout(sessionId, objects) {
+        const now = new Date().toISOString();
+
+        try {
+            for (const object of objects) {
+                await db.runAsync(
+                    `INSERT INTO layout_objects (session_id, object_key, kind, position, rotation, scale, data, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                     ON CONFLICT(session_id, object_key) DO UPDATE SET
+                         kind = excluded.kind, position = excluded.position, rotation = excluded.rotation,
+                         scale = excluded.scale, data = excluded.data, updated_at = excluded.updated_at`,
+                    [
+                        sessionId, object.key, object.kind,
+                        JSON.stringify(object.position), JSON.stringify(object.rotation), JSON.stringify(object.scale),
+                        object.data == null ? null : JSON.stringify(object.data), now
+                    ]
+                );
+            }
+        } catch (error) {
+            console.error('[SESSION] Error saving layout:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forget a session's layout; the next load places everything afresh
+     */
+    async clearLayout(sessionId) {
+        await db.runAsync('DELETE FROM layout_objects WHERE session_id = ?', [sessionId]);
+    }
+
+    /**
+     * List a session's save slots, most recently saved first
+     * @returns {Promise<Array<object>>} { slotId, name, gameState, createdAt, updatedAt }
+     */
+    async listSaveSlots(sessionId) {
+        try {
+            const rows = await db.allAsync(
+                'SELECT * FROM save_slots WHERE session_id = ? ORDER BY updated_at DESC',
+                [sessionId]
+            );
+            return rows.map(formatSaveSlot);
+        } catch (error) {
+            console.error('[SESSION] Error listing save slots:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one of a session's save slots
+     * @returns {Promise<object|null>} See listSaveSlots
+     */
+    async getSaveSlot(sessionId, slotId) {
+        const row = await db.getAsync(
+            'SELECT * FROM save_slots WHERE session_id = ? AND id = ?',
+            [sessionId, slotId]
+        );
+        return row ? formatSaveSlot(row) : null;
+    }
+
+    /**
+     * Save a game state to a named slot. Saving under a name the session
+     * already uses overwrites that slot.
+     * @param {object|null} gameState - The state to keep; undefined copies the
+     *        session's current game_state
+     * @returns {Promise<object>} The saved slot (see listSaveSlots)
+     */
+    async saveSlot(sessionId, name, gameState) {
+        const now = new Date().toISOString();
+
+        try {
+            let stateJson;
+            if (gameState === undefined) {
+                const session = await db.getAsync('SELECT game_state FROM sessions WHERE id = ?', [sessionId]);
+                stateJson = session?.game_state ?? null;
+            } else {
+                stateJson = gameState === null ? null : JSON.stringify(gameState);
+            }
+
+            await db.runAsync(
+                `INSERT INTO save_slots (id, session_id, name, game_state, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(session_id, name) DO UPDATE SET
+                     game_state = excluded.game_state, updated_at = excluded.updated_at`,
+                [uuidv4(), sessionId, name, stateJson, now, now]
+            );
+
+            const row = await db.getAsync(
+                'SELECT * FROM save_slots WHERE session_id = ? AND name = ?',
+                [sessionId, name]
+            );
+            console.log(`[SESSION] Saved slot "${name}" for session ${sessionId}`);
+            return formatSaveSlot(row);
+        } catch (error) {
+            console.error('[SESSION] Error saving slot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make a slot's game state the session's current one, so the next load
+     * of the session continues from it
+     * @returns {Promise<object|null>} The loaded slot, or null if it does not exist
+     */
+    async loadSaveSlot(sessionId, slotId) {
+        const slot = await this.getSaveSlot(sessionId, slotId);
+        if (!slot) return null;
+
+        await db.runAsync(
+            'UPDATE sessions SET game_state = ?, updated_at = ? WHERE id = ?',
+            [slot.gameState === null ? null : JSON.stringify(slot.gameState), new Date().toISOString(), sessionId]
+        );
+        console.log(`[SESSION] Loaded slot "${slot.name}" into session ${sessionId}`);
+        return slot;
+    }
+
+    /**
+     * Delete a save slot
+     * @returns {Promise<boolean>} False if the slot does not exist
+     */
+    async deleteSaveSlot(sessionId, slotId) {
+        if (!await this.getSaveSlot(sessionId, slotId)) return false;
+
+        await db.runAsync('DELETE FROM save_slots WHERE session_id = ? AND id = ?', [sessionId, slotId]);
+        return true;
+    }
+
+    /**
+     * Number of the next version of an asset (1 for a new asset)
+     */
+    async nextAssetVersion(sessionId, assetType, pose = null, viewName = null) {
+        const row = await db.getAsync(
+            `SELECT MAX(version) AS version FROM assets WHERE ${ASSET_SLOT}`,
+            [sessionId, assetType, pose, viewName]
+        );
+        return (row?.version || 0) + 1;
+    }
+
+    /**
+     * Record a new version of an asset and make it the active one
+     * @param {string} filePath - The version's own file (see getVersionPath)
+     * @param {object} metadata - { pose, viewName, version, remoteUrl, requestId, blobHash, provenance }
+     * @returns {Promise<object>} The recorded asset row
      */
     async recordAsset(sessionId, assetType, filePath, metadata = {}) {
-        const { pose = null, viewName = null, remoteUrl = null, requestId = null } = metadata;
+        const { pose = null, viewName = null, remoteUrl = null, requestId = null, blobHash = null, provenance = null } = metadata;
 
         try {
+            const version = metadata.version ?? await this.nextAssetVersion(sessionId, assetType, pose, viewName);
             await db.runAsync(
-                `INSERT OR REPLACE INTO assets (session_id, asset_type, pose, view_name, file_path, remote_url, request_id)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [sessionId, assetType, pose, viewName, filePath, remoteUrl, requestId]
+                `INSERT INTO assets (session_id, asset_type, pose, view_name, file_path, remote_url, request_id, blob_hash, provenance, version, is_active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+                [sessionId, assetType, pose, viewName, filePath, remoteUrl, requestId, blobHash, provenance && JSON.stringify(provenance), version]
             );
+            const { id } = await db.getAsync(
+                `SELECT id FROM assets WHERE ${ASSET_SLOT} AND version = ?`,
+                [sessionId, assetType, pose, viewName, version]
+            );
+
+            return await this.activateAsset(sessionId, id);
         } catch (error) {
             console.error('[SESSION] Error recording asset:', error);
             throw error;
@@ -178,12 +754,265 @@ class SessionService {
     }
 
     /**
-     * Get all assets for a session
+     * Make one version of an asset the active one: its file is linked to the
+     * asset's usual path, which the game and the generation steps read
+     * @param {number} assetId - ID of the version's row
+     * @returns {Promise<object|null>} The activated row, or null if the
+     *          version is unknown or its file is gone
+     */
+    async activateAsset(sessionId, assetId) {
+        try {
+            const asset = await db.getAsync(
+                'SELECT * FROM assets WHERE id = ? AND session_id = ?',
+                [assetId, sessionId]
+            );
+            if (!asset || !isValidAssetFile(asset.file_path)) {
+                return null;
+            }
+
+            const activePath = getActivePath(asset.file_path);
+            const slot = [sessionId, asset.asset_type, asset.pose, asset.view_name];
+
+            // Rows recorded before versioning own the usual path itself; give
+            // them their own version file before it is replaced
+            const unversioned = await db.allAsync(
+                `SELECT id, version FROM assets WHERE ${ASSET_SLOT} AND file_path = ? AND id != ?`,
+                [...slot, activePath, assetId]
+            );
+            for (const row of unversioned) {
+                const versionPath = getVersionPath(activePath, row.version);
+                if (isValidAssetFile(activePath)) {
+                    linkOrCopy(activePath, versionPath);
+                }
+                await db.runAsync('UPDATE assets SET file_path = ? WHERE id = ?', [versionPath, row.id]);
+            }
+
+            if (asset.file_path !== activePath) {
+                linkOrCopy(asset.file_path, activePath);
+            }
+
+            await db.runAsync(`UPDATE assets SET is_active = 0 WHERE ${ASSET_SLOT}`, slot);
+            await db.runAsync('UPDATE assets SET is_active = 1 WHERE id = ?', [assetId]);
+            await this.markDependentsStale(asset);
+
+            return { ...asset, is_active: 1 };
+        } catch (error) {
+            console.error('[SESSION] Error activating asset version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the active assets built (directly or further down) from versions
+     * of an asset other than the given one
+     * @param {object} asset - An asset version's row
+     * @returns {Promise<Array<object>>} Active dependent asset rows
+     */
+    async findDependents(asset) {
+        return db.allAsync(
+            `WITH RECURSIVE downstream(id) AS (
+                 SELECT d.asset_id FROM asset_dependencies d
+                 JOIN assets source ON source.id = d.source_asset_id
+                 WHERE source.session_id = ? AND source.asset_type = ? AND source.pose IS ?
+                   AND source.view_name IS ? AND source.id != ?
+                 UNION
+                 SELECT d.asset_id FROM asset_dependencies d JOIN downstream ON d.source_asset_id = downstream.id
+             )
+             SELECT * FROM assets WHERE is_active = 1 AND id IN (SELECT id FROM downstream)`,
+            [asset.session_id, asset.asset_type, asset.pose, asset.view_name, asset.id]
+        );
+    }
+
+    /**
+     * Flag every active asset built from another version of this asset as
+     * stale. Called when the asset's active version changes.
+     * @param {object} asset - The newly active version's row
+     * @returns {Promise<Array<object>>} The stale dependents
+     */
+    async markDependentsStale(asset) {
+        const dependents = await this.findDependents(asset);
+
+        for (const dependent of dependents) {
+            await db.runAsync('UPDATE assets SET stale = 1 WHERE id = ?', [dependent.id]);
+        }
+        if (dependents.length > 0) {
+            console.log(`[SESSION] Marked ${dependents.length} asset(s) built from ${[asset.asset_type, asset.pose, asset.view_name].filter(Boolean).join('/')} as stale`);
+        }
+        return dependents;
+    }
+
+    /**
+     * Remember how an asset was generated: the step and input to run again,
+     * and the asset versions it was built from (in input order)
+     * @param {number} assetId - The generated version's row
+     * @param {string} stepType - Generation step type
+     * @param {object} input - The step's input
+     * @param {Array<object>} sources - Source asset rows
+     */
+    async recordAssetRecipe(assetId, stepType, input, sources = []) {
+        try {
+            await db.runAsync(
+                'UPDATE assets SET step_type = ?, step_input = ? WHERE id = ?',
+                [stepType, JSON.stringify(input), assetId]
+            );
+
+            for (const [position, source] of sources.entries()) {
+                await db.runAsync(
+                    'INSERT OR IGNORE INTO asset_dependencies (asset_id, source_asset_id, position) VALUES (?, ?, ?)',
+                    [assetId, source.id, position]
+                );
+            }
+        } catch (error) {
+            console.error('[SESSION] Error recording asset recipe:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the asset versions an asset version was generated from, in input order
+     */
+    async getAssetSources(assetId) {
+        return db.allAsync(
+            `SELECT a.* FROM asset_dependencies d JOIN assets a ON a.id = d.source_asset_id
+             WHERE d.asset_id = ? ORDER BY d.position`,
+            [assetId]
+        );
+    }
+
+    /**
+     * Everything known about how one asset version was made: the provider
+     * request (provider, model, prompt, inputs, parameters, seed, timing,
+     * cost), the pipeline step and its input, and the assets it was built from
+     * @param {number} assetId - ID of the version's row
+     * @returns {Promise<object|null>} null if the session has no such asset
+     */
+    async getAssetProvenance(sessionId, assetId) {
+        try {
+            const asset = await db.getAsync(
+                'SELECT * FROM assets WHERE id = ? AND session_id = ?',
+                [assetId, sessionId]
+            );
+            if (!asset) return null;
+
+            const sources = await this.getAssetSources(asset.id);
+            const describe = (row) => ({
+                assetId: row.id,
+                assetType: row.asset_type,
+                pose: row.pose,
+                viewName: row.view_name,
+                version: row.version,
+                url: getUrlForPath(row.file_path)
+            });
+
+            return {
+                ...describe(asset),
+                active: asset.is_active === 1,
+                stale: asset.stale === 1,
+                createdAt: asset.created_at,
+                requestId: asset.request_id,
+                remoteUrl: asset.remote_url,
+                blobHash: asset.blob_hash,
+                step: asset.step_type
+                    ? { type: asset.step_type, input: JSON.parse(asset.step_input) }
+                    : null,
+                sources: sources.map(describe),
+                // Null for assets recorded before provenance was kept
+                generation: asset.provenance ? JSON.parse(asset.provenance) : null
+            };
+        } catch (error) {
+            console.error('[SESSION] Error getting asset provenance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the active version of one asset
+     * @returns {Promise<object|null>} The asset row
+     */
+    async getActiveAsset(sessionId, assetType, pose = null, viewName = null) {
+        const asset = await db.getAsync(
+            `SELECT * FROM assets WHERE ${ASSET_SLOT} AND is_active = 1`,
+            [sessionId, assetType, pose, viewName]
+        );
+        return asset || null;
+    }
+
+    /**
+     * Find the active asset a URL points at: a provider URL recorded as its
+     * remote URL, or one of our own /assets/... URLs
+     * @returns {Promise<object|null>} The asset row
+     */
+    async findAssetByUrl(sessionId, url) {
+        const assets = await this.getSessionAssets(sessionId);
+        const byRemoteUrl = assets.find(asset => asset.remote_url === url);
+        if (byRemoteUrl || url.startsWith('data:')) {
+            return byRemoteUrl || null;
+        }
+
+        const { pathname } = new URL(url, 'http://localhost');
+        return assets.find(asset =>
+            getUrlForPath(asset.file_path) === pathname || getUrlForPath(getActivePath(asset.file_path)) === pathname
+        ) || null;
+    }
+
+    /**
+     * Get the active assets flagged stale
+     */
+    async getStaleAssets(sessionId) {
+        return db.allAsync(
+            'SELECT * FROM assets WHERE session_id = ? AND is_active = 1 AND stale = 1 ORDER BY created_at',
+            [sessionId]
+        );
+    }
+
+    /**
+     * List every version of an asset, newest first
+     */
+    async getAssetVersions(sessionId, assetType, pose = null, viewName = null) {
+        try {
+            return await db.allAsync(
+                `SELECT * FROM assets WHERE ${ASSET_SLOT} ORDER BY version DESC`,
+                [sessionId, assetType, pose, viewName]
+            );
+        } catch (error) {
+            console.error('[SESSION] Error getting asset versions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Roll an asset back to an earlier version
+     * @param {number|null} version - Version to restore; defaults to the one
+     *        before the active version
+     * @returns {Promise<object|null>} The activated row, or null if there is
+     *          no such version
+     */
+    async rollbackAsset(sessionId, assetType, pose = null, viewName = null, version = null) {
+        const versions = await this.getAssetVersions(sessionId, assetType, pose, viewName);
+        const active = versions.find(row => row.is_active);
+
+        const target = version !== null
+            ? versions.find(row => row.version === version)
+            : versions.find(row => active && row.version < active.version && isValidAssetFile(row.file_path));
+        if (!target) {
+            return null;
+        }
+
+        const restored = await this.activateAsset(sessionId, target.id);
+        if (restored) {
+            console.log(`[SESSION] Rolled back ${[assetType, pose, viewName].filter(Boolean).join('/')} to version ${restored.version}`);
+        }
+        return restored;
+    }
+
+    /**
+     * Get the active version of every asset of a session
+     * @param {object} options - { includeVersions } to also list inactive versions
      */
-    async getSessionAssets(sessionId) {
+    async getSessionAssets(sessionId, { includeVersions = false } = {}) {
         try {
             const assets = await db.allAsync(
-                'SELECT * FROM assets WHERE session_id = ? ORDER BY created_at',
+                `SELECT * FROM assets WHERE session_id = ? ${includeVersions ? '' : 'AND is_active = 1'} ORDER BY created_at, version`,
                 [sessionId]
             );
             return assets;
@@ -198,7 +1027,7 @@ class SessionService {
      */
     async assetExists(sessionId, assetType, pose = null, viewName = null) {
         try {
-            let query = 'SELECT file_path FROM assets WHERE session_id = ? AND asset_type = ?';
+            let query = 'SELECT file_path FROM assets WHERE session_id = ? AND asset_type = ? AND is_active = 1';
             const params = [sessionId, assetType];
 
             if (pose !== null) {
@@ -211,7 +1040,7 @@ class SessionService {
             }
 
             const asset = await db.getAsync(query, params);
-            if (asset && existsSync(asset.file_path)) {
+            if (asset && isValidAssetFile(asset.file_path)) {
                 return asset.file_path;
             }
             return null;
@@ -226,7 +1055,7 @@ class SessionService {
      */
     async getAssetWithRemoteUrl(sessionId, assetType, pose = null, viewName = null) {
         try {
-            let query = 'SELECT file_path, remote_url FROM assets WHERE session_id = ? AND asset_type = ?';
+            let query = 'SELECT file_path, remote_url FROM assets WHERE session_id = ? AND asset_type = ? AND is_active = 1';
             const params = [sessionId, assetType];
 
             if (pose !== null) {
@@ -239,7 +1068,7 @@ class SessionService {
             }
 
             const asset = await db.getAsync(query, params);
-            if (asset && existsSync(asset.file_path)) {
+            if (asset && isValidAssetFile(asset.file_path)) {
                 return asset;
             }
             return null;
@@ -298,24 +1127,33 @@ class SessionService {
     }
 
     /**
-     * Clean up old sessions (older than 30 days)
+     * Clean up old sessions (older than 30 days) by moving them to the
+     * trash. Favorites, protected sessions and sessions with generation
+     * in flight are kept.
+     * @param {boolean} dryRun - Only report what would be moved
+     * @returns {Promise<Array<object>>} { id, last_accessed } of each session moved
      */
-    async cleanupOldSessions(daysToKeep = 30) {
+    async cleanupOldSessions(daysToKeep = 30, { dryRun = false } = {}) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
         try {
+            // Sessions still being generated are in use, however long ago they were played
             const oldSessions = await db.allAsync(
-                'SELECT id FROM sessions WHERE last_accessed < ?',
-                [cutoffDate.toISOString()]
+                `SELECT id, last_accessed FROM sessions
+                 WHERE last_accessed < ? AND favorite = 0 AND protected = 0 AND deleted_at IS NULL
+                   AND id NOT IN (SELECT session_id FROM jobs WHERE session_id IS NOT NULL AND status IN (?, ?))
+                 ORDER BY last_accessed`,
+                [cutoffDate.toISOString(), JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
             );
+            if (dryRun) return oldSessions;
 
             for (const session of oldSessions) {
-                await this.deleteSession(session.id);
+                await this.trashSession(session.id);
             }
 
             console.log(`[SESSION] Cleaned up ${oldSessions.length} old sessions`);
-            return oldSessions.length;
+            return oldSessions;
         } catch (error) {
             console.error('[SESSION] Error cleaning up old sessions:', error);
             throw error;
@@ -0,0 +1,27 @@
+import test, { mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { db } from '../database/db.js';
+import assetStoreService, { localAssetPath } from '../services/assetStoreService.js';
+import { ASSETS_DIR } from '../utils/assetPaths.js';
+
+afterEach(() => mock.restoreAll());
+
+test('localAssetPath maps /assets/ URLs into the assets folder', () => {
+    assert.equal(localAssetPath('/assets/s1/ground/ground-texture.png'), join(ASSETS_DIR, 's1', 'ground', 'ground-texture.png'));
+    assert.equal(localAssetPath('http://localhost:8081/assets/s1/a%20b.png'), join(ASSETS_DIR, 's1', 'a b.png'));
+    assert.equal(localAssetPath('https://fal.media/files/x.png'), null);
+});
+
+test('localAssetPath refuses paths that leave the assets folder', () => {
+    for (const url of ['/assets/..%2F..%2Fetc/passwd', '/assets/%2e%2e/package.json', '/assets/..%2Fassets-other/x.png', '/assets/%E0%A4%A']) {
+        assert.equal(localAssetPath(url), null, url);
+    }
+});
+
+test('inputHash hashes the URL itself when it points outside the assets folder', async () => {
+    mock.method(db, 'getAsync', async () => undefined);
+    const url = '/assets/..%2F..%2Fetc/passwd';
+    assert.equal(await assetStoreService.inputHash(url), createHash('sha256').update(url).digest('hex'));
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GenerationError, CancelledError, classifyError, errorResponse, ERROR_CATEGORY } from '../utils/errors.js';
+
+test('classifyError sorts provider failures by status and message', () => {
+    const cases = [
+        [Object.assign(new Error('Gateway timeout'), { status: 504 }), 'TIMEOUT'],
+        [Object.assign(new Error('bad'), { name: 'TimeoutError' }), 'TIMEOUT'],
+        [Object.assign(new Error('Unprocessable'), { status: 422, body: { detail: 'flagged by the safety checker' } }), 'CONTENT_POLICY'],
+        [Object.assign(new Error('Payment required'), { status: 402 }), 'QUOTA_EXCEEDED'],
+        [Object.assign(new Error('User is locked. Reason: Exhausted balance'), { status: 403 }), 'QUOTA_EXCEEDED'],
+        [Object.assign(new Error('Too many requests'), { status: 429 }), 'RATE_LIMITED'],
+        [Object.assign(new Error('Unauthorized'), { status: 401 }), 'PROVIDER_AUTH'],
+        [Object.assign(new Error('Overloaded'), { status: 529 }), 'PROVIDER_UNAVAILABLE'],
+        [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'PROVIDER_UNAVAILABLE'],
+        [new Error('fetch failed'), 'PROVIDER_UNAVAILABLE'],
+        [Object.assign(new Error('Missing'), { status: 404 }), 'NOT_FOUND'],
+        [Object.assign(new Error('Bad request'), { status: 400 }), 'INVALID_INPUT'],
+        [new TypeError('undefined is not a function'), 'INTERNAL_ERROR']
+    ];
+
+    for (const [error, code] of cases) {
+        const classified = classifyError(error);
+        assert.ok(classified instanceof GenerationError);
+        assert.equal(classified.code, code, error.message);
+        assert.equal(classified.cause, error);
+    }
+});
+
+test('only transient errors are retryable', () => {
+    assert.equal(classifyError(Object.assign(new Error('x'), { status: 503 })).retryable, true);
+    assert.equal(classifyError(Object.assign(new Error('x'), { status: 429 })).retryable, true);
+    assert.equal(classifyError(Object.assign(new Error('x'), { status: 400 })).retryable, false);
+    assert.equal(classifyError(Object.assign(new Error('x'), { status: 402 })).retryable, false);
+    assert.equal(new CancelledError().retryable, false);
+});
+
+test('classifyError keeps a GenerationError and merges extra details', () => {
+    const error = new GenerationError('Unknown view', 400, { viewName: 'side' });
+    const classified = classifyError(error, { pose: 'idle', viewName: 'ignored' });
+
+    assert.equal(classified, error);
+    assert.equal(classified.code, 'INVALID_INPUT');
+    assert.deepEqual(classified.details, { pose: 'idle', viewName: 'side' });
+});
+
+test('GenerationError derives its code from the status', () => {
+    assert.equal(new GenerationError('x', 404).code, 'NOT_FOUND');
+    assert.equal(new GenerationError('x', 409).code, 'CANCELLED');
+    assert.equal(new GenerationError('x', 418).code, 'INVALID_INPUT');
+    assert.equal(new GenerationError('x').code, 'INTERNAL_ERROR');
+    assert.equal(new CancelledError().category, ERROR_CATEGORY.CANCELLED);
+});
+
+test('errorResponse builds the client error body', () => {
+    assert.deepEqual(errorResponse(new GenerationError('Session not found', 404, { sessionId: 's1' })), {
+        success: false,
+        error: 'Session not found',
+        code: 'NOT_FOUND',
+        category: 'validation',
+        retryable: false,
+        sessionId: 's1'
+    });
+    assert.deepEqual(errorResponse(new CancelledError()), {
+        success: false,
+        error: 'Generation cancelled',
+        code: 'CANCELLED',
+        category: 'cancelled',
+        retryable: false,
+        cancelled: true
+    });
+});
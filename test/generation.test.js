@@ -0,0 +1,44 @@
+import test, { mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sessionService from '../services/sessionService.js';
+import assetStoreService from '../services/assetStoreService.js';
+import generationService from '../services/generationService.js';
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Generate the ground of fresh sessions, each with its own world seed,
+ * against a store that already has every result
+ * @returns {Promise<Array<string>>} Store cache key of each session's request
+ */
+async function groundCacheKeys(worldSeeds, input = {}) {
+    const seeds = new Map(worldSeeds.map((seed, index) => [`session-${index}`, seed]));
+    const keys = [];
+
+    mock.method(generationService, 'canReuse', async () => false);
+    mock.method(generationService, 'recordAsset', async () => 1);
+    mock.method(sessionService, 'nextAssetVersion', async () => 1);
+    mock.method(sessionService, 'getWorldSeed', async (sessionId) => seeds.get(sessionId));
+    mock.method(assetStoreService, 'lookup', async (fingerprint) => {
+        keys.push(await assetStoreService.cacheKey(fingerprint));
+        return { blobHash: keys.at(-1), blobPath: '/store/ground.png', remoteUrl: null, requestId: 'stored', provenance: null };
+    });
+    mock.method(assetStoreService, 'materialize', () => {});
+
+    for (const sessionId of seeds.keys()) {
+        const result = await generationService.generateTexture({ ...input, sessionId });
+        assert.equal(result.shared, true);
+    }
+    return keys;
+}
+
+test('fresh sessions with different world seeds share the default ground', async () => {
+    const [first, second] = await groundCacheKeys([1, 2]);
+    assert.equal(first, second);
+});
+
+test('a custom ground prompt is still stored per world seed', async () => {
+    const [first, second, again] = await groundCacheKeys([1, 2, 1], { prompt: 'mossy cobblestones' });
+    assert.notEqual(first, second);
+    assert.equal(first, again);
+});
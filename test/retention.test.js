@@ -0,0 +1,213 @@
+import test, { mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { linkSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { db } from '../database/db.js';
+import sessionService from '../services/sessionService.js';
+import assetStoreService from '../services/assetStoreService.js';
+import { DiskUsage, RetentionService } from '../services/retentionService.js';
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * An assets folder: stored blobs hard linked into session folders
+ * @param {object} layout - { blobs: { name: size }, sessions: { id: { blobs: [name], own: size } } }
+ * @returns {object} { dir, hashes: name -> blob hash }
+ */
+function assetsFolder({ blobs, sessions }) {
+    const dir = mkdtempSync(join(tmpdir(), 'retention-'));
+    const hashes = {};
+
+    for (const [name, size] of Object.entries(blobs)) {
+        const contents = Buffer.alloc(size, name);
+        const hash = createHash('sha256').update(contents).digest('hex');
+        mkdirSync(join(dir, 'store', hash.slice(0, 2)), { recursive: true });
+        writeFileSync(join(dir, 'store', hash.slice(0, 2), `${hash}.png`), contents);
+        hashes[name] = hash;
+    }
+
+    for (const [id, { blobs: linked = [], own = 0 }] of Object.entries(sessions)) {
+        mkdirSync(join(dir, id, 'character'), { recursive: true });
+        for (const name of linked) {
+            const hash = hashes[name];
+            linkSync(join(dir, 'store', hash.slice(0, 2), `${hash}.png`), join(dir, id, 'character', `${name}.png`));
+        }
+        if (own > 0) writeFileSync(join(dir, id, 'layout.json'), Buffer.alloc(own));
+    }
+    return { dir, hashes };
+}
+
+/**
+ * A retention service over a test folder, with the session queries stubbed
+ */
+function retention(dir, { sessionIds, expired = [], old = [], candidates = [], maxAgeDays = 0, quotaBytes = 0 }) {
+    const service = new RetentionService();
+    service.assetsDir = dir;
+    service.maxAgeDays = maxAgeDays;
+    service.quotaBytes = quotaBytes;
+
+    mock.method(db, 'allAsync', async () => sessionIds.map(id => ({ id })));
+    mock.method(sessionService, 'purgeTrash', async () => ({ sessions: expired, freedBytes: null }));
+    mock.method(sessionService, 'cleanupOldSessions', async () => old);
+    mock.method(service, 'evictionCandidates', async () => candidates);
+    return service;
+}
+
+test('DiskUsage frees a file once no session links it', () => {
+    const usage = new DiskUsage(new Map([
+        ['1:1', { size: 100, owners: new Set(['store', 's1']) }],
+        ['1:2', { size: 200, owners: new Set(['store', 's1', 's2']) }],
+        ['1:3', { size: 50, owners: new Set(['s2']) }]
+    ]));
+    assert.equal(usage.bytes, 350);
+
+    assert.equal(usage.release('s1'), 100);
+    assert.equal(usage.bytes, 250);
+    assert.equal(usage.release('s2'), 250);
+    assert.equal(usage.bytes, 0);
+});
+
+test('DiskUsage keeps files linked from outside the sessions', () => {
+    const usage = new DiskUsage(new Map([
+        ['1:1', { size: 100, owners: new Set(['store', 'held', 's1']) }],
+        ['1:2', { size: 200, owners: new Set(['other', 's1']) }]
+    ]));
+    assert.equal(usage.release('s1'), 0);
+    assert.equal(usage.bytes, 300);
+});
+
+test('DiskUsage.releaseStore frees only the blobs no session links', () => {
+    const usage = new DiskUsage(new Map([
+        ['1:1', { size: 100, owners: new Set(['store']) }],
+        ['1:2', { size: 200, owners: new Set(['store', 's1']) }]
+    ]));
+    assert.equal(usage.releaseStore(), 100);
+    assert.equal(usage.bytes, 200);
+    assert.equal(usage.releaseStore(), 0);
+});
+
+test('plan purges expired trash and counts the blobs it frees', async () => {
+    const { dir } = assetsFolder({
+        blobs: { a: 100, shared: 200, orphan: 30 },
+        sessions: { s1: { blobs: ['a', 'shared'], own: 10 }, s2: { blobs: ['shared'] } }
+    });
+    try {
+        const service = retention(dir, {
+            sessionIds: ['s1', 's2'],
+            expired: [{ id: 's1', deleted_at: '2026-01-01T00:00:00.000Z' }]
+        });
+        const report = await service.plan();
+
+        assert.equal(report.usage.bytes, 340);
+        assert.equal(report.prunedBlobBytes, 30);
+        assert.deepEqual(report.removed, [{
+            sessionId: 's1',
+            action: 'purge',
+            reason: 'trash-expired',
+            deletedAt: '2026-01-01T00:00:00.000Z',
+            bytes: 110
+        }]);
+        assert.equal(report.usage.bytesAfter, 200);
+        assert.equal(report.usage.overQuota, false);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('plan leaves blobs just handed to a session out of the pruned bytes', async () => {
+    const { dir, hashes } = assetsFolder({ blobs: { fresh: 100, orphan: 30 }, sessions: {} });
+    try {
+        assetStoreService.markInUse(hashes.fresh);
+        const report = await retention(dir, { sessionIds: [] }).plan();
+
+        assert.equal(report.prunedBlobBytes, 30);
+        assert.equal(report.usage.bytesAfter, 100);
+    } finally {
+        assetStoreService.lastHandedOut.delete(hashes.fresh);
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('plan only trashes old sessions when a maximum age is set', async () => {
+    const { dir } = assetsFolder({ blobs: { a: 100 }, sessions: { s1: { blobs: ['a'] } } });
+    const old = [{ id: 's1', last_accessed: '2026-01-01T00:00:00.000Z' }];
+    try {
+        assert.deepEqual((await retention(dir, { sessionIds: ['s1'], old }).plan()).removed, []);
+
+        const report = await retention(dir, { sessionIds: ['s1'], old, maxAgeDays: 30 }).plan();
+        assert.deepEqual(report.removed, [{
+            sessionId: 's1',
+            action: 'trash',
+            reason: 'age',
+            lastAccessed: '2026-01-01T00:00:00.000Z',
+            bytes: 0
+        }]);
+        assert.equal(report.usage.bytesAfter, 100);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('plan evicts sessions in candidate order until the folder fits the quota', async () => {
+    const { dir } = assetsFolder({
+        blobs: { a: 100, b: 100, c: 100 },
+        sessions: { s1: { blobs: ['a'] }, s2: { blobs: ['b'] }, s3: { blobs: ['c'] } }
+    });
+    try {
+        const service = retention(dir, {
+            sessionIds: ['s1', 's2', 's3'],
+            old: [{ id: 's2', last_accessed: '2026-01-01T00:00:00.000Z' }],
+            candidates: [
+                { id: 's2', last_accessed: '2026-01-01T00:00:00.000Z', deleted_at: null },
+                { id: 's1', last_accessed: '2026-02-01T00:00:00.000Z', deleted_at: null },
+                { id: 's3', last_accessed: '2026-03-01T00:00:00.000Z', deleted_at: null }
+            ],
+            maxAgeDays: 30,
+            quotaBytes: 150
+        });
+        const report = await service.plan();
+
+        // s2 was due for the trash and is purged instead; s3 is not needed
+        assert.deepEqual(report.removed.map(({ sessionId, action, reason, bytes }) => ({ sessionId, action, reason, bytes })), [
+            { sessionId: 's2', action: 'purge', reason: 'quota', bytes: 100 },
+            { sessionId: 's1', action: 'purge', reason: 'quota', bytes: 100 }
+        ]);
+        assert.deepEqual(report.usage, { bytes: 300, bytesAfter: 100, quotaBytes: 150, overQuota: false });
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('plan reports a quota it cannot meet', async () => {
+    const { dir } = assetsFolder({ blobs: { a: 100 }, sessions: { kept: { blobs: ['a'] } } });
+    try {
+        const report = await retention(dir, { sessionIds: ['kept'], quotaBytes: 50 }).plan();
+        assert.deepEqual(report.removed, []);
+        assert.equal(report.usage.overQuota, true);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('runs are queued one after another', async () => {
+    const service = new RetentionService();
+    const events = [];
+    let calls = 0;
+    mock.method(service, 'plan', async () => {
+        const call = ++calls;
+        events.push(`start ${call}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        events.push(`end ${call}`);
+        if (call === 1) throw new Error('first run failed');
+        return { removed: [] };
+    });
+
+    const runs = [service.run({ dryRun: true }), service.run({ dryRun: true }), service.run({ dryRun: true })];
+    const results = await Promise.allSettled(runs);
+
+    assert.deepEqual(events, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+    assert.equal(results[0].status, 'rejected');
+    assert.deepEqual(results[2].value, { dryRun: true, removed: [] });
+});
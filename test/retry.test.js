@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, backoffDelay } from '../utils/retry.js';
+import { GenerationError } from '../utils/errors.js';
+
+// No waiting between attempts
+const FAST = { baseDelayMs: 0, maxDelayMs: 0 };
+
+function unavailable() {
+    return Object.assign(new Error('Service unavailable'), { status: 503 });
+}
+
+test('backoffDelay stays under the exponential ceiling and the cap', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+        const delay = backoffDelay(attempt, 100, 1000);
+        assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** (attempt - 1)), `attempt ${attempt}: ${delay}`);
+    }
+});
+
+test('withRetry retries transient failures until the operation succeeds', async () => {
+    const attempts = [];
+    const result = await withRetry(async (signal, attempt) => {
+        attempts.push(attempt);
+        if (attempt < 3) throw unavailable();
+        return 'done';
+    }, { ...FAST, attempts: 3 });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test('withRetry gives up after the last attempt with a classified error', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw unavailable();
+        }, { ...FAST, attempts: 2 }),
+        (error) => error instanceof GenerationError && error.code === 'PROVIDER_UNAVAILABLE'
+    );
+    assert.equal(calls, 2);
+});
+
+test('withRetry does not retry permanent failures', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('Bad request'), { status: 400 });
+        }, { ...FAST, attempts: 3 }),
+        { code: 'INVALID_INPUT' }
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry times out a slow attempt and retries it', async () => {
+    // Attempt timeouts don't hold the process open on their own
+    const keepAlive = setInterval(() => {}, 1000);
+    let calls = 0;
+    await assert.rejects(
+        withRetry((signal) => {
+            calls++;
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason));
+            });
+        }, { ...FAST, attempts: 2, timeoutMs: 20, label: 'slow call' }),
+        { code: 'TIMEOUT', message: 'slow call timed out after 20ms' }
+    ).finally(() => clearInterval(keepAlive));
+    assert.equal(calls, 2);
+});
+
+test('withRetry stops on a caller abort and rethrows it untouched', async () => {
+    const controller = new AbortController();
+    const reason = new Error('stopped');
+    let calls = 0;
+
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            controller.abort(reason);
+            throw reason;
+        }, { ...FAST, attempts: 3, signal: controller.signal }),
+        (error) => error === reason
+    );
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SchedulerService, PRIORITY } from '../services/schedulerService.js';
+import { CancelledError } from '../utils/errors.js';
+
+/**
+ * A task that records when it starts and finishes when released
+ */
+function gate(started, name) {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return {
+        task: async () => {
+            started.push(name);
+            await done;
+            return name;
+        },
+        release: () => release()
+    };
+}
+
+function scheduler({ maxPerProvider = 8, maxPerEndpoint = 1 } = {}) {
+    const service = new SchedulerService();
+    service.maxPerProvider = maxPerProvider;
+    service.maxPerEndpoint = maxPerEndpoint;
+    service.endpointLimits = {};
+    return service;
+}
+
+test('a lane runs no more jobs than its limit', async () => {
+    const service = scheduler({ maxPerEndpoint: 2 });
+    const started = [];
+    const jobs = ['a', 'b', 'c'].map(name => gate(started, name));
+    const results = jobs.map(job => service.run('fal:model', job.task));
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(service.getStats().lanes['fal:model'], { running: 2, queued: 1, limit: 2 });
+
+    jobs[0].release();
+    assert.equal(await results[0], 'a');
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    jobs[1].release();
+    jobs[2].release();
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.equal(service.getStats().running, 0);
+});
+
+test('waiting jobs start by priority, then by arrival', async () => {
+    const service = scheduler();
+    const started = [];
+    const first = gate(started, 'first');
+    const jobs = [
+        ['poster', PRIORITY.LOW],
+        ['prop', PRIORITY.NORMAL],
+        ['ground', PRIORITY.CRITICAL],
+        ['riddle', PRIORITY.HIGH],
+        ['prop2', PRIORITY.NORMAL]
+    ].map(([name, priority]) => ({ ...gate(started, name), priority }));
+
+    const running = service.run('fal:model', first.task);
+    const results = jobs.map(job => service.run('fal:model', job.task, { priority: job.priority }));
+    first.release();
+    await running;
+
+    for (const job of jobs) {
+        await new Promise(setImmediate);
+        job.release();
+    }
+    await Promise.all(results);
+    assert.deepEqual(started, ['first', 'ground', 'riddle', 'prop', 'prop2', 'poster']);
+});
+
+test('among equal priorities the session with fewer running jobs goes first', async () => {
+    const service = scheduler({ maxPerEndpoint: 2 });
+    const started = [];
+    const big1 = gate(started, 'big1');
+    const big2 = gate(started, 'big2');
+    const big3 = gate(started, 'big3');
+    const small = gate(started, 'small');
+
+    const results = [
+        service.run('fal:a', big1.task, { sessionId: 'big' }),
+        service.run('fal:b', big2.task, { sessionId: 'big' }),
+        service.run('fal:a', big3.task, { sessionId: 'big' }),
+        service.run('fal:a', small.task, { sessionId: 'small' })
+    ];
+    assert.deepEqual(started, ['big1', 'big2', 'big3']);
+
+    big1.release();
+    await results[0];
+    // Both waited for lane fal:a; "small" has nothing running
+    assert.deepEqual(started, ['big1', 'big2', 'big3', 'small']);
+
+    for (const job of [big2, big3, small]) job.release();
+    await Promise.all(results);
+});
+
+test('the provider limit applies across lanes', () => {
+    const service = scheduler({ maxPerProvider: 1, maxPerEndpoint: 4 });
+    const started = [];
+    service.run('fal:a', gate(started, 'a').task);
+    service.run('fal:b', gate(started, 'b').task);
+    service.run('stub:a', gate(started, 'stub').task);
+
+    assert.deepEqual(started, ['a', 'stub']);
+    assert.equal(service.getStats().queued, 1);
+});
+
+test('aborting a waiting job removes it from the queue', async () => {
+    const service = scheduler();
+    const started = [];
+    const first = gate(started, 'first');
+    const controller = new AbortController();
+
+    const running = service.run('fal:model', first.task);
+    const waiting = service.run('fal:model', gate(started, 'second').task, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(waiting, CancelledError);
+    assert.equal(service.getStats().queued, 0);
+
+    first.release();
+    await running;
+    assert.deepEqual(started, ['first']);
+});
+
+test('a job whose signal is already aborted never queues', async () => {
+    const service = scheduler();
+    let ran = false;
+    await assert.rejects(
+        service.run('fal:model', async () => { ran = true; }, { signal: AbortSignal.abort() }),
+        CancelledError
+    );
+    assert.equal(ran, false);
+});
+
+test('a failed job frees its slot', async () => {
+    const service = scheduler();
+    await assert.rejects(service.run('fal:model', async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await service.run('fal:model', async () => 'next'), 'next');
+    assert.equal(service.getStats().running, 0);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_WORLD_SEED, randomWorldSeed, parseWorldSeed, deriveSeed } from '../utils/seed.js';
+
+test('parseWorldSeed accepts unsigned 32-bit integers', () => {
+    assert.equal(parseWorldSeed(0), 0);
+    assert.equal(parseWorldSeed(42), 42);
+    assert.equal(parseWorldSeed(' 42 '), 42);
+    assert.equal(parseWorldSeed(MAX_WORLD_SEED), MAX_WORLD_SEED);
+});
+
+test('parseWorldSeed returns null when no seed is given', () => {
+    assert.equal(parseWorldSeed(undefined), null);
+    assert.equal(parseWorldSeed(null), null);
+    assert.equal(parseWorldSeed(''), null);
+});
+
+test('parseWorldSeed returns NaN for invalid seeds', () => {
+    for (const value of [-1, 1.5, MAX_WORLD_SEED + 1, 'abc', '12abc', true, {}]) {
+        assert.ok(Number.isNaN(parseWorldSeed(value)), String(value));
+    }
+});
+
+test('randomWorldSeed stays in range', () => {
+    for (let i = 0; i < 100; i++) {
+        const seed = randomWorldSeed();
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_WORLD_SEED);
+    }
+});
+
+test('deriveSeed is stable for the same world seed and call', () => {
+    const seed = deriveSeed(1234, 'character', 'idle', 'left', 1);
+    assert.equal(deriveSeed(1234, 'character', 'idle', 'left', 1), seed);
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_WORLD_SEED);
+});
+
+test('deriveSeed differs between world seeds and between calls', () => {
+    const seeds = new Set([
+        deriveSeed(1234, 'character', 'idle', 'left', 1),
+        deriveSeed(1235, 'character', 'idle', 'left', 1),
+        deriveSeed(1234, 'character', 'idle', 'right', 1),
+        deriveSeed(1234, 'character', 'idle', 'left', 2),
+        deriveSeed(1234, 'ground')
+    ]);
+    assert.equal(seeds.size, 5);
+});
+
+test('deriveSeed treats null parts as empty', () => {
+    assert.equal(deriveSeed(7, 'ground', null, undefined), deriveSeed(7, 'ground', '', ''));
+});
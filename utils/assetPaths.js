@@ -1,6 +1,6 @@
-import { join, dirname } from 'path';
+import { join, dirname, basename, relative, sep } from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync } from 'fs';
+import { existsSync, mkdirSync, linkSync, copyFileSync, rmSync } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -8,6 +8,9 @@ const __dirname = dirname(__filename);
 // Base assets directory
 const ASSETS_DIR = join(dirname(__dirname), 'assets');
 
+// Every version of a session asset is kept under versions/<n>/ next to it
+const VERSIONS_DIR = 'versions';
+
 /**
  * Get the full file system path for an asset
  * @param {string|null} sessionId - Session ID or null for legacy paths
@@ -64,6 +67,54 @@ export function getAssetUrl(sessionId, assetType, pose, fileName) {
     return parts.join('/');
 }
 
+/**
+ * Get the file system path of one version of an asset
+ * @param {string} filePath - The asset's usual path (served as the active version)
+ * @param {number} version - Version number
+ * @returns {string} e.g. .../character/idle/versions/2/left.png
+ */
+export function getVersionPath(filePath, version) {
+    return join(dirname(filePath), VERSIONS_DIR, String(version), basename(filePath));
+}
+
+/**
+ * Get the usual path of an asset from the path of one of its versions
+ * @param {string} filePath - A version path, or a path recorded before versioning
+ * @returns {string} The path the active version is served from
+ */
+export function getActivePath(filePath) {
+    const versionDir = dirname(filePath);
+    if (/^\d+$/.test(basename(versionDir)) && basename(dirname(versionDir)) === VERSIONS_DIR) {
+        return join(dirname(dirname(versionDir)), basename(filePath));
+    }
+    return filePath;
+}
+
+/**
+ * Get the URL path of a file under the assets directory
+ * @param {string} filePath - Full file system path
+ * @returns {string} URL path
+ */
+export function getUrlForPath(filePath) {
+    return ['/assets', ...relative(ASSETS_DIR, filePath).split(sep)].join('/');
+}
+
+/**
+ * Put a file at another path. Hard links share the bytes on disk; falls back
+ * to a copy when the paths are on different filesystems.
+ * @param {string} source - Existing file
+ * @param {string} target - Path to create or replace
+ */
+export function linkOrCopy(source, target) {
+    mkdirSync(dirname(target), { recursive: true });
+    rmSync(target, { force: true });
+    try {
+        linkSync(source, target);
+    } catch (error) {
+        copyFileSync(source, target);
+    }
+}
+
 /**
  * Check if an asset exists (with fallback to legacy path)
  * @param {string|null} sessionId - Session ID
@@ -128,20 +179,26 @@ export function getSessionAssetPaths(sessionId, pose = 'idle') {
  * Get all required asset URLs for a session (for client)
  * @param {string|null} sessionId - Session ID
  * @param {string} pose - Current pose
+ * @param {Array<object>} activeAssets - The session's active asset rows; each
+ *        asset with one resolves to its active version's own URL
  * @returns {object} Object with all asset URLs
  */
-export function getSessionAssetUrls(sessionId, pose = 'idle') {
+export function getSessionAssetUrls(sessionId, pose = 'idle', activeAssets = []) {
+    const activeUrls = new Map(activeAssets.map(asset => [getActivePath(asset.file_path), getUrlForPath(asset.file_path)]));
+    const assetUrl = (assetType, assetPose, fileName) =>
+        activeUrls.get(getAssetPath(sessionId, assetType, assetPose, fileName)) || getAssetUrl(sessionId, assetType, assetPose, fileName);
+
     return {
-        ground: getAssetUrl(sessionId, 'ground', null, 'ground-texture.png'),
+        ground: assetUrl('ground', null, 'ground-texture.png'),
         character: {
-            front: getAssetUrl(sessionId, 'character', pose, 'front.png'),
-            back: getAssetUrl(sessionId, 'character', pose, 'back.png'),
-            left: getAssetUrl(sessionId, 'character', pose, 'left.png'),
-            right: getAssetUrl(sessionId, 'character', pose, 'right.png'),
-            angle30: getAssetUrl(sessionId, 'character', pose, 'angle_30.png'),
-            angleN30: getAssetUrl(sessionId, 'character', pose, 'angle_-30.png')
+            front: assetUrl('character', pose, 'front.png'),
+            back: assetUrl('character', pose, 'back.png'),
+            left: assetUrl('character', pose, 'left.png'),
+            right: assetUrl('character', pose, 'right.png'),
+            angle30: assetUrl('character', pose, 'angle_30.png'),
+            angleN30: assetUrl('character', pose, 'angle_-30.png')
         },
-        model: getAssetUrl(sessionId, 'models', null, `character_${pose}.glb`)
+        model: assetUrl('models', null, `character_${pose}.glb`)
     };
 }
 
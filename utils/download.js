@@ -0,0 +1,264 @@
+import { createWriteStream, readFileSync, writeFileSync, renameSync, rmSync, existsSync, openSync, readSync, fstatSync, closeSync } from 'fs';
+import { extname } from 'path';
+import { randomUUID } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import http from 'http';
+import https from 'https';
+import { withRetry, TIMEOUTS } from './retry.js';
+import { GenerationError, ERROR_CODES } from './errors.js';
+import { isStubAssetUrl, stubAssetBytes } from './placeholderAssets.js';
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const MB = 1024 * 1024;
+
+// Content types FAL's CDN may label binaries with
+const BINARY_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Check that a file starts (and ends) like a complete image. Image steps save
+ * to .png, but providers may hand back JPEG or WebP, which the browser loads
+ * just the same.
+ */
+function isCompleteImage(head, tail, size) {
+    // PNG signature, ending with the IEND chunk
+    if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return tail.subarray(-8, -4).toString('ascii') === 'IEND';
+    }
+    // JPEG SOI marker, ending with EOI
+    if (head[0] === 0xff && head[1] === 0xd8) {
+        return tail[tail.length - 2] === 0xff && tail[tail.length - 1] === 0xd9;
+    }
+    // WebP RIFF container, whose header records the file size
+    if (head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP') {
+        return head.readUInt32LE(4) + 8 === size;
+    }
+    return false;
+}
+
+/**
+ * Check for a binary glTF 2.0 header whose recorded length matches the file
+ */
+function isCompleteGlb(head, tail, size) {
+    return head.toString('ascii', 0, 4) === 'glTF'
+        && head.readUInt32LE(4) === 2
+        && head.readUInt32LE(8) === size;
+}
+
+/**
+ * What each downloadable file type must look like, by extension
+ */
+const FILE_TYPES = {
+    '.png': { label: 'image', mimeType: 'image/png', maxBytes: 50 * MB, contentTypes: ['image/', ...BINARY_CONTENT_TYPES], verify: isCompleteImage },
+    '.glb': { label: 'GLB model', mimeType: 'model/gltf-binary', maxBytes: 250 * MB, contentTypes: ['model/', ...BINARY_CONTENT_TYPES], verify: isCompleteGlb }
+};
+const DEFAULT_FILE_TYPE = { label: 'file', mimeType: 'application/octet-stream', maxBytes: 250 * MB, contentTypes: null, verify: null };
+
+/**
+ * Look up the rules for a destination path
+ */
+function fileType(filepath) {
+    return FILE_TYPES[extname(filepath).toLowerCase()] || DEFAULT_FILE_TYPE;
+}
+
+/**
+ * Build a GenerationError with the status of its error code
+ */
+function assetError(code, message) {
+    return new GenerationError(message, ERROR_CODES[code].status, {}, code);
+}
+
+/**
+ * Read the first and last bytes of a file for signature checks
+ */
+function readEnds(filepath, length = 12) {
+    const fd = openSync(filepath, 'r');
+    try {
+        const { size } = fstatSync(fd);
+        const head = Buffer.alloc(Math.min(length, size));
+        const tail = Buffer.alloc(Math.min(length, size));
+        readSync(fd, head, 0, head.length, 0);
+        readSync(fd, tail, 0, tail.length, size - tail.length);
+        return { head, tail, size };
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Whether a file matches the signature checks of a file type
+ */
+function isComplete(filepath, type) {
+    if (!type.verify) return true;
+
+    try {
+        const { head, tail, size } = readEnds(filepath);
+        return size >= 12 && type.verify(head, tail, size);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether a file on disk is a complete asset of the type its extension
+ * promises. Cached assets are checked with this rather than existsSync so a
+ * truncated file is regenerated instead of being reused forever.
+ * @param {string} filepath - Local asset path
+ * @returns {boolean}
+ */
+export function isValidAssetFile(filepath) {
+    return existsSync(filepath) && isComplete(filepath, fileType(filepath));
+}
+
+/**
+ * Largest file accepted for an asset path, by its extension
+ * @param {string} filepath - Local asset path
+ * @returns {number|null} Bytes, or null if the extension is not an asset type
+ */
+export function maxAssetBytes(filepath) {
+    return FILE_TYPES[extname(filepath).toLowerCase()]?.maxBytes ?? null;
+}
+
+/**
+ * Inline a local file as a data URL. Providers cannot fetch our own
+ * localhost URLs, so an asset whose provider URL is unknown or has expired
+ * is sent to them this way.
+ * @param {string} filepath - Local asset path
+ * @returns {string} data: URL
+ */
+export function fileToDataUrl(filepath) {
+    return `data:${fileType(filepath).mimeType};base64,${readFileSync(filepath).toString('base64')}`;
+}
+
+/**
+ * Download a remote file (or decode a data URL) to a local path.
+ * The file is written to a temporary path, verified and only then renamed
+ * into place, so an interrupted or corrupt download never leaves a file
+ * behind. Network errors, 5xx responses and truncated bodies are retried.
+ * @param {string} url - http(s):// URL, data: URL or stub:// URL
+ * @param {string} filepath - Destination path on disk (.png or .glb)
+ * @param {object} options - { signal } to abort the download
+ * @returns {Promise<string>} The destination path
+ */
+export async function downloadFile(url, filepath, options = {}) {
+    const type = fileType(filepath);
+    // Same directory as the destination so the rename is atomic
+    const tempPath = `${filepath}.${randomUUID()}.part`;
+
+    try {
+        if (url.startsWith('data:')) {
+            // Inline images, e.g. local assets sent back to a provider
+            const base64 = url.slice(url.indexOf(',') + 1);
+            writeFileSync(tempPath, Buffer.from(base64, 'base64'));
+            verifyDownload(tempPath, type, 'data URL');
+        } else if (isStubAssetUrl(url)) {
+            // Stub provider results are rendered locally from their URL
+            writeFileSync(tempPath, stubAssetBytes(url));
+            verifyDownload(tempPath, type, url);
+        } else {
+            await withRetry(async (signal) => {
+                await fetchToFile(url, tempPath, type, signal);
+                verifyDownload(tempPath, type, url);
+            }, {
+                label: `Download ${url}`,
+                signal: options.signal,
+                timeoutMs: TIMEOUTS.download
+            });
+        }
+
+        renameSync(tempPath, filepath);
+        return filepath;
+    } finally {
+        rmSync(tempPath, { force: true });
+    }
+}
+
+/**
+ * Reject a downloaded file that is not a complete asset of the expected type
+ */
+function verifyDownload(tempPath, type, source) {
+    if (!isComplete(tempPath, type)) {
+        throw assetError('INVALID_ASSET', `Downloaded file is not a complete ${type.label}: ${source}`);
+    }
+}
+
+/**
+ * Issue a GET request and resolve with the response
+ */
+function get(url, signal) {
+    const client = url.protocol === 'https:' ? https : url.protocol === 'http:' ? http : null;
+    if (!client) {
+        return Promise.reject(assetError('INVALID_INPUT', `Unsupported download protocol: ${url.protocol}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, { signal }, resolve);
+        request.on('error', reject);
+    });
+}
+
+/**
+ * A single download attempt: follow redirects, check the response headers
+ * and stream the body to disk within the size cap
+ */
+async function fetchToFile(url, tempPath, type, signal) {
+    let target = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await get(target, signal);
+
+        if (REDIRECT_STATUSES.has(response.statusCode)) {
+            response.resume();
+            const location = response.headers.location;
+            if (!location) {
+                throw assetError('INVALID_ASSET', `Redirect without a location: ${target}`);
+            }
+            if (redirects >= MAX_REDIRECTS) {
+                throw assetError('INVALID_ASSET', `Too many redirects downloading ${url}`);
+            }
+            target = new URL(location, target);
+            continue;
+        }
+
+        if (response.statusCode !== 200) {
+            response.resume();
+            const error = new Error(`Download failed with HTTP ${response.statusCode}: ${target}`);
+            error.status = response.statusCode;
+            throw error;
+        }
+
+        const contentType = (response.headers['content-type'] || '').toLowerCase();
+        if (contentType && type.contentTypes && !type.contentTypes.some(prefix => contentType.startsWith(prefix))) {
+            response.resume();
+            throw assetError('INVALID_ASSET', `Unexpected content type ${contentType} downloading ${target}`);
+        }
+
+        const declaredLength = parseInt(response.headers['content-length'], 10);
+        if (declaredLength > type.maxBytes) {
+            response.resume();
+            throw assetError('INVALID_ASSET', `Download of ${declaredLength} bytes exceeds the ${type.maxBytes} byte limit: ${target}`);
+        }
+
+        let received = 0;
+        const sizeLimit = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > type.maxBytes) {
+                    callback(assetError('INVALID_ASSET', `Download exceeds the ${type.maxBytes} byte limit: ${target}`));
+                } else {
+                    callback(null, chunk);
+                }
+            }
+        });
+
+        await pipeline(response, sizeLimit, createWriteStream(tempPath));
+
+        if (Number.isFinite(declaredLength) && received !== declaredLength) {
+            // The connection dropped mid-body; worth another attempt
+            throw assetError('PROVIDER_UNAVAILABLE', `Download truncated at ${received} of ${declaredLength} bytes: ${target}`);
+        }
+        return;
+    }
+}
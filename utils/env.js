@@ -0,0 +1,28 @@
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+export function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Read comma-separated "key=number" pairs from the environment, e.g.
+ * "fal-ai/trellis/multi=0.02,fal-ai/hyper3d/rodin/v2=0.4"
+ * @param {string} name - Environment variable name
+ * @returns {object} Non-negative numbers by key; invalid entries are skipped
+ */
+export function envNumberMap(name) {
+    const values = {};
+    for (const entry of (process.env[name] || '').split(',')) {
+        const [key, value] = entry.split('=').map(part => part?.trim());
+        const parsed = parseFloat(value);
+        if (key && Number.isFinite(parsed) && parsed >= 0) {
+            values[key] = parsed;
+        }
+    }
+    return values;
+}
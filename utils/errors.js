@@ -0,0 +1,164 @@
+/**
+ * How a failure should be handled: transient errors are worth retrying,
+ * the rest will fail the same way again
+ */
+export const ERROR_CATEGORY = {
+    TRANSIENT: 'transient',
+    VALIDATION: 'validation',
+    QUOTA: 'quota',
+    CONTENT_POLICY: 'content_policy',
+    CANCELLED: 'cancelled',
+    INTERNAL: 'internal'
+};
+
+/**
+ * Stable error codes returned to clients, with the category and HTTP status
+ * each one maps to
+ */
+export const ERROR_CODES = {
+    TIMEOUT: { category: ERROR_CATEGORY.TRANSIENT, status: 504 },
+    PROVIDER_UNAVAILABLE: { category: ERROR_CATEGORY.TRANSIENT, status: 503 },
+    RATE_LIMITED: { category: ERROR_CATEGORY.TRANSIENT, status: 429 },
+    QUOTA_EXCEEDED: { category: ERROR_CATEGORY.QUOTA, status: 402 },
+    // A rejected or locked API key stops every call, just like an empty balance
+    PROVIDER_AUTH: { category: ERROR_CATEGORY.QUOTA, status: 502 },
+    CONTENT_POLICY: { category: ERROR_CATEGORY.CONTENT_POLICY, status: 422 },
+    INVALID_INPUT: { category: ERROR_CATEGORY.VALIDATION, status: 400 },
+    // The provider's file was the wrong type, too large or incomplete
+    INVALID_ASSET: { category: ERROR_CATEGORY.VALIDATION, status: 502 },
+    NOT_FOUND: { category: ERROR_CATEGORY.VALIDATION, status: 404 },
+    CANCELLED: { category: ERROR_CATEGORY.CANCELLED, status: 409 },
+    INTERNAL_ERROR: { category: ERROR_CATEGORY.INTERNAL, status: 500 }
+};
+
+// Network failures from Node's http stack and fetch (undici)
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+const CONTENT_POLICY_PATTERN = /content[ _-]?policy|nsfw|safety (system|checker|filter)|moderation|flagged/i;
+const QUOTA_PATTERN = /quota|exhausted balance|insufficient (balance|credit|funds)|billing|credit balance/i;
+
+/**
+ * Default error code for a bare HTTP status
+ */
+function codeForStatus(status) {
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 409) return 'CANCELLED';
+    if (status >= 400 && status < 500) return 'INVALID_INPUT';
+    return 'INTERNAL_ERROR';
+}
+
+/**
+ * Error raised by a generation step, carrying the HTTP status, a stable
+ * error code and any extra fields the API response should include
+ */
+export class GenerationError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {number} status - HTTP status code for the API response
+     * @param {object} details - Extra fields merged into the error response
+     * @param {string} code - One of ERROR_CODES (derived from status if omitted)
+     */
+    constructor(message, status = 500, details = {}, code = codeForStatus(status)) {
+        super(message);
+        this.name = 'GenerationError';
+        this.status = status;
+        this.details = details;
+        this.code = code;
+        this.category = ERROR_CODES[code].category;
+    }
+
+    /**
+     * Whether trying the same call again might succeed
+     */
+    get retryable() {
+        return this.category === ERROR_CATEGORY.TRANSIENT;
+    }
+}
+
+/**
+ * Error raised when a generation step is stopped by a cancellation request
+ */
+export class CancelledError extends GenerationError {
+    constructor(message = 'Generation cancelled') {
+        super(message, 409, { cancelled: true }, 'CANCELLED');
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Build a GenerationError with the status of its error code
+ */
+function codedError(code, message, details, cause) {
+    const error = new GenerationError(message, ERROR_CODES[code].status, details, code);
+    if (cause) error.cause = cause;
+    return error;
+}
+
+/**
+ * Sort any thrown error (FAL ApiError, fetch failure, Node network error,
+ * timeout...) into a GenerationError with a stable code
+ * @param {Error} error - Any thrown error
+ * @param {object} details - Extra fields for the error response
+ * @returns {GenerationError}
+ */
+export function classifyError(error, details = {}) {
+    if (error instanceof GenerationError) {
+        if (Object.keys(details).length > 0) {
+            error.details = { ...details, ...error.details };
+        }
+        return error;
+    }
+
+    const message = error?.message || String(error);
+    const status = error?.status ?? error?.statusCode ?? null;
+    const networkCode = error?.code || error?.cause?.code;
+    // FAL puts the real reason in the response body
+    const text = `${message} ${error?.body ? JSON.stringify(error.body) : ''}`;
+
+    if (error?.name === 'TimeoutError' || status === 408 || status === 504) {
+        return codedError('TIMEOUT', message, details, error);
+    }
+    if (CONTENT_POLICY_PATTERN.test(text)) {
+        return codedError('CONTENT_POLICY', message, details, error);
+    }
+    if (status === 402 || QUOTA_PATTERN.test(text)) {
+        return codedError('QUOTA_EXCEEDED', message, details, error);
+    }
+    if (status === 429) {
+        return codedError('RATE_LIMITED', message, details, error);
+    }
+    if (status === 401 || status === 403) {
+        return codedError('PROVIDER_AUTH', message, details, error);
+    }
+    if (status >= 500 || NETWORK_ERROR_CODES.has(networkCode) || message === 'fetch failed') {
+        return codedError('PROVIDER_UNAVAILABLE', message, details, error);
+    }
+    if (status === 404) {
+        return codedError('NOT_FOUND', message, details, error);
+    }
+    if (status >= 400) {
+        return codedError('INVALID_INPUT', message, details, error);
+    }
+    return codedError('INTERNAL_ERROR', message, details, error);
+}
+
+/**
+ * Build the JSON body returned to clients for a failed request
+ * @param {Error} error - Any thrown error
+ * @returns {object} Response body with success: false and a stable error code
+ */
+export function errorResponse(error) {
+    const classified = classifyError(error);
+    return {
+        success: false,
+        error: classified.message,
+        code: classified.code,
+        category: classified.category,
+        retryable: classified.retryable,
+        ...(classified.details || {})
+    };
+}
@@ -0,0 +1,211 @@
+import { createHash } from 'crypto';
+import { deflateSync } from 'zlib';
+
+// CRC32 lookup table used by PNG chunk checksums
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Derive a stable byte sequence from an arbitrary seed string
+ * @param {string} seed - Seed text (prompt, input URLs, etc.)
+ * @returns {Buffer} 32-byte SHA-256 digest
+ */
+export function seedBytes(seed) {
+    return createHash('sha256').update(String(seed)).digest();
+}
+
+/**
+ * Build a deterministic placeholder PNG (two-tone checkerboard)
+ * @param {string} seed - Same seed always produces the same image
+ * @param {number} size - Width and height in pixels
+ * @returns {Buffer} PNG file contents
+ */
+export function createPlaceholderPng(seed, size = 256) {
+    const bytes = seedBytes(seed);
+    const colorA = [bytes[0], bytes[1], bytes[2]];
+    const colorB = [255 - bytes[0], 255 - bytes[1], 255 - bytes[2]];
+    const cell = 8 + (bytes[3] % 5) * 8;
+
+    // Each scanline is prefixed with filter type 0 (None)
+    const raw = Buffer.alloc((size * 3 + 1) * size);
+    for (let y = 0; y < size; y++) {
+        const rowStart = y * (size * 3 + 1);
+        for (let x = 0; x < size; x++) {
+            const color = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 === 0 ? colorA : colorB;
+            const offset = rowStart + 1 + x * 3;
+            raw[offset] = color[0];
+            raw[offset + 1] = color[1];
+            raw[offset + 2] = color[2];
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Unit cube faces: normal plus the four corners in counter-clockwise order
+const BOX_FACES = [
+    { normal: [1, 0, 0], corners: [[1, -1, 1], [1, -1, -1], [1, 1, -1], [1, 1, 1]] },
+    { normal: [-1, 0, 0], corners: [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]] },
+    { normal: [0, 1, 0], corners: [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]] },
+    { normal: [0, -1, 0], corners: [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]] },
+    { normal: [0, 0, 1], corners: [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]] },
+    { normal: [0, 0, -1], corners: [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]] }
+];
+
+function padBuffer(buffer, fill) {
+    const remainder = buffer.length % 4;
+    if (remainder === 0) return buffer;
+    return Buffer.concat([buffer, Buffer.alloc(4 - remainder, fill)]);
+}
+
+/**
+ * Build a deterministic primitive GLB (a single colored box)
+ * @param {string} seed - Same seed always produces the same model
+ * @returns {Buffer} Binary glTF 2.0 file contents
+ */
+export function createPrimitiveGlb(seed) {
+    const bytes = seedBytes(seed);
+    const halfSize = [
+        0.25 + (bytes[4] / 255) * 0.5,
+        0.5 + (bytes[5] / 255) * 0.5,
+        0.25 + (bytes[6] / 255) * 0.5
+    ];
+    const color = [bytes[0] / 255, bytes[1] / 255, bytes[2] / 255, 1];
+
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    BOX_FACES.forEach((face, faceIndex) => {
+        face.corners.forEach(corner => {
+            positions.push(corner[0] * halfSize[0], corner[1] * halfSize[1], corner[2] * halfSize[2]);
+            normals.push(...face.normal);
+        });
+        const base = faceIndex * 4;
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    });
+
+    const positionBuffer = Buffer.from(new Float32Array(positions).buffer);
+    const normalBuffer = Buffer.from(new Float32Array(normals).buffer);
+    const indexBuffer = padBuffer(Buffer.from(new Uint16Array(indices).buffer), 0);
+    const binChunk = Buffer.concat([positionBuffer, normalBuffer, indexBuffer]);
+
+    const gltf = {
+        asset: { version: '2.0', generator: 'TerminalFlux stub provider' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: 'placeholder' }],
+        meshes: [{
+            primitives: [{
+                attributes: { POSITION: 0, NORMAL: 1 },
+                indices: 2,
+                material: 0
+            }]
+        }],
+        materials: [{
+            pbrMetallicRoughness: { baseColorFactor: color, metallicFactor: 0.1, roughnessFactor: 0.8 }
+        }],
+        buffers: [{ byteLength: binChunk.length }],
+        bufferViews: [
+            { buffer: 0, byteOffset: 0, byteLength: positionBuffer.length, target: 34962 },
+            { buffer: 0, byteOffset: positionBuffer.length, byteLength: normalBuffer.length, target: 34962 },
+            { buffer: 0, byteOffset: positionBuffer.length + normalBuffer.length, byteLength: indices.length * 2, target: 34963 }
+        ],
+        accessors: [
+            {
+                bufferView: 0, componentType: 5126, count: positions.length / 3, type: 'VEC3',
+                min: halfSize.map(v => -v), max: halfSize
+            },
+            { bufferView: 1, componentType: 5126, count: normals.length / 3, type: 'VEC3' },
+            { bufferView: 2, componentType: 5123, count: indices.length, type: 'SCALAR' }
+        ]
+    };
+
+    const jsonChunk = padBuffer(Buffer.from(JSON.stringify(gltf), 'utf8'), 0x20);
+
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(0x46546c67, 0); // 'glTF'
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + binChunk.length, 8);
+
+    const jsonHeader = Buffer.alloc(8);
+    jsonHeader.writeUInt32LE(jsonChunk.length, 0);
+    jsonHeader.writeUInt32LE(0x4e4f534a, 4); // 'JSON'
+
+    const binHeader = Buffer.alloc(8);
+    binHeader.writeUInt32LE(binChunk.length, 0);
+    binHeader.writeUInt32LE(0x004e4942, 4); // 'BIN\0'
+
+    return Buffer.concat([header, jsonHeader, jsonChunk, binHeader, binChunk]);
+}
+
+// Short URLs the stub provider returns: the kind of file and the digest of
+// its seed, from which downloadFile rebuilds the same bytes
+const STUB_URL_PATTERN = /^stub:\/\/(image|model)\/([0-9a-f]{64})$/;
+
+/**
+ * Name a placeholder asset by URL, so stub results flow through the same
+ * remote-URL plumbing as provider-hosted files without storing whole files
+ * as URLs
+ * @param {string} kind - 'image' (PNG) or 'model' (GLB)
+ * @param {string} seed - Seed of the placeholder
+ * @returns {string} stub:// URL
+ */
+export function stubAssetUrl(kind, seed) {
+    return `stub://${kind}/${seedBytes(seed).toString('hex')}`;
+}
+
+/**
+ * Check for a URL made by stubAssetUrl
+ */
+export function isStubAssetUrl(url) {
+    return typeof url === 'string' && STUB_URL_PATTERN.test(url);
+}
+
+/**
+ * Build the file a stub:// URL names
+ * @returns {Buffer} PNG or GLB file contents
+ */
+export function stubAssetBytes(url) {
+    const [, kind, digest] = url.match(STUB_URL_PATTERN);
+    return kind === 'image' ? createPlaceholderPng(digest) : createPrimitiveGlb(digest);
+}
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+
+/**
+ * Describe an input URL for a provenance record. Inline data URLs are
+ * replaced by their media type and content hash (the hash the asset store
+ * uses for blobs) so records stay small but still identify the input.
+ * @param {string} url - Remote URL or data: URL
+ * @returns {string} The URL, or "data:<type>;sha256,<hex>"
+ */
+export function describeUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith('data:')) return url;
+
+    const comma = url.indexOf(',');
+    const mimeType = url.slice(5, comma).split(';')[0] || 'application/octet-stream';
+    const hash = createHash('sha256').update(Buffer.from(url.slice(comma + 1), 'base64')).digest('hex');
+    return `data:${mimeType};sha256,${hash}`;
+}
+
+/**
+ * Replace data URLs anywhere in a request payload
+ */
+function describeParams(value) {
+    if (Array.isArray(value)) return value.map(describeParams);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, describeParams(entry)]));
+    }
+    return describeUrl(value);
+}
+
+/**
+ * Start the provenance record of a provider request: what was asked of
+ * which model. The caller fills in timing with markStarted and the outcome
+ * with finishProvenance.
+ * @param {string} provider - Provider name, e.g. "fal"
+ * @param {string} model - Endpoint or model id
+ * @param {object} request - The payload sent to the provider; input images
+ *        may be under imageUrls, image_urls or input_image_urls
+ * @returns {object} { provider, model, prompt, imageUrls, params, seed, requestId, costUsd, timing }
+ */
+export function startProvenance(provider, model, request = {}) {
+    const { prompt = null, imageUrls, image_urls, input_image_urls, ...params } = request;
+
+    return {
+        provider,
+        model,
+        prompt,
+        imageUrls: (imageUrls || image_urls || input_image_urls || []).map(describeUrl),
+        params: describeParams(params),
+        seed: null,
+        requestId: null,
+        costUsd: null,
+        timing: {
+            requestedAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            queuedMs: null,
+            durationMs: null,
+            attempts: 0
+        }
+    };
+}
+
+/**
+ * Note that the request left the scheduler queue and is being sent
+ */
+export function markStarted(provenance) {
+    provenance.timing.startedAt = new Date().toISOString();
+    provenance.timing.queuedMs = Date.parse(provenance.timing.startedAt) - Date.parse(provenance.timing.requestedAt);
+}
+
+/**
+ * Complete a provenance record with the provider's answer
+ * @param {object} provenance - From startProvenance
+ * @param {object} outcome - { requestId, seed, costUsd }
+ * @returns {object} The completed record
+ */
+export function finishProvenance(provenance, { requestId = null, seed = null, costUsd = null } = {}) {
+    const finishedAt = new Date().toISOString();
+
+    provenance.requestId = requestId;
+    provenance.seed = seed;
+    provenance.costUsd = costUsd;
+    provenance.timing.finishedAt = finishedAt;
+    provenance.timing.durationMs = Date.parse(finishedAt) - Date.parse(provenance.timing.startedAt || provenance.timing.requestedAt);
+    return provenance;
+}
@@ -0,0 +1,78 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { GenerationError, classifyError } from './errors.js';
+import { envInt } from './env.js';
+
+/**
+ * Retry settings shared by every external call, overridable per call
+ */
+export const RETRY_DEFAULTS = {
+    attempts: envInt('RETRY_ATTEMPTS', 3),
+    baseDelayMs: envInt('RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: envInt('RETRY_MAX_DELAY_MS', 20000)
+};
+
+/**
+ * Per-attempt timeouts for each kind of external call (0 disables)
+ */
+export const TIMEOUTS = {
+    // Queued 3D reconstructions can take several minutes
+    fal: envInt('FAL_TIMEOUT_MS', 10 * 60 * 1000),
+    llm: envInt('LLM_TIMEOUT_MS', 2 * 60 * 1000),
+    download: envInt('DOWNLOAD_TIMEOUT_MS', 60 * 1000)
+};
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+ */
+export function backoffDelay(attempt, baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an external call, retrying transient failures with backoff.
+ * Each attempt gets its own signal that aborts when the caller's signal does
+ * or when the attempt times out. Errors come back classified; a caller abort
+ * is rethrown untouched and never retried.
+ * @param {Function} operation - async (signal, attempt) => result
+ * @param {object} options - { label, signal, timeoutMs, attempts, baseDelayMs, maxDelayMs }
+ * @returns {Promise<*>} The operation's result
+ */
+export async function withRetry(operation, options = {}) {
+    const {
+        label = 'request',
+        signal,
+        timeoutMs = 0,
+        attempts = RETRY_DEFAULTS.attempts,
+        baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+        maxDelayMs = RETRY_DEFAULTS.maxDelayMs
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        signal?.throwIfAborted();
+
+        const timeoutSignal = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null;
+        const attemptSignal = timeoutSignal
+            ? (signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal)
+            : signal;
+
+        try {
+            return await operation(attemptSignal, attempt);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+
+            const failure = timeoutSignal?.aborted
+                ? new GenerationError(`${label} timed out after ${timeoutMs}ms`, 504, {}, 'TIMEOUT')
+                : classifyError(error);
+
+            if (!failure.retryable || attempt >= Math.max(attempts, 1)) {
+                throw failure;
+            }
+
+            const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            console.warn(`[RETRY] ${label} failed (${failure.code}), attempt ${attempt}/${attempts}, retrying in ${delay}ms: ${failure.message}`);
+            await sleep(delay, undefined, { signal });
+        }
+    }
+}
@@ -0,0 +1,36 @@
+import { createHash, randomInt } from 'crypto';
+
+// World seeds are unsigned 32-bit integers
+export const MAX_WORLD_SEED = 2 ** 32 - 1;
+
+/**
+ * Pick a random world seed
+ * @returns {number}
+ */
+export function randomWorldSeed() {
+    return randomInt(MAX_WORLD_SEED + 1);
+}
+
+/**
+ * Parse a world seed from a request
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} The seed, null if none was given, NaN if invalid
+ */
+export function parseWorldSeed(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seed = typeof value === 'string' ? Number(value.trim()) : value;
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_WORLD_SEED ? seed : NaN;
+}
+
+/**
+ * Derive the seed of one provider call from the world seed and what the
+ * call generates, e.g. deriveSeed(seed, 'character', 'idle', 'left', 1)
+ * @param {number} worldSeed - The session's world seed
+ * @param {...*} parts - Identify the call; null parts count as empty
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function deriveSeed(worldSeed, ...parts) {
+    const key = [worldSeed, ...parts].map(part => part ?? '').join(':');
+    return createHash('sha256').update(key).digest().readUInt32BE(0);
+}
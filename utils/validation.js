@@ -0,0 +1,80 @@
+/**
+ * Checks for session fields that come from outside: API requests and
+ * imported session bundles
+ */
+
+const MAX_SESSION_NAME_LENGTH = 80;
+const MAX_SESSION_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Whether a value can be saved as a game state: a JSON object, or null for
+ * a fresh start
+ */
+export function isGameState(value) {
+    return value === null || (typeof value === 'object' && !Array.isArray(value));
+}
+
+/**
+ * Why a session's name, tags, favorite or protected flag are invalid
+ * @param {object} labels - { name, tags, favorite, isProtected }; undefined
+ *        fields are not checked
+ * @returns {string|null} What is wrong, or null if they are valid
+ */
+export function sessionLabelsError({ name, tags, favorite, isProtected }) {
+    if (name !== undefined && name !== null &&
+        (typeof name !== 'string' || name.trim().length > MAX_SESSION_NAME_LENGTH)) {
+        return `name must be a string of at most ${MAX_SESSION_NAME_LENGTH} characters, or null`;
+    }
+    if (tags !== undefined && tags !== null &&
+        (!Array.isArray(tags) || tags.length > MAX_SESSION_TAGS ||
+         !tags.every(tag => typeof tag === 'string' && tag.trim().length <= MAX_TAG_LENGTH))) {
+        return `tags must be an array of at most ${MAX_SESSION_TAGS} strings of up to ${MAX_TAG_LENGTH} characters, or null`;
+    }
+    if (favorite !== undefined && typeof favorite !== 'boolean') {
+        return 'favorite must be true or false';
+    }
+    if (isProtected !== undefined && typeof isProtected !== 'boolean') {
+        return 'protected must be true or false';
+    }
+    return null;
+}
+
+// Kinds of objects the client places in a world
+export const LAYOUT_KINDS = ['environmental', 'puzzle', 'poster', 'cloud'];
+
+/**
+ * Why a layout object is invalid
+ * @param {object} object - { key, kind, position, rotation, scale, data }
+ * @returns {string|null} What is wrong, or null if it is valid
+ */
+export function layoutObjectError(object) {
+    const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+    if (!object || typeof object.key !== 'string' || !object.key) {
+        return 'key is required';
+    }
+    if (!LAYOUT_KINDS.includes(object.kind)) {
+        return `kind must be one of: ${LAYOUT_KINDS.join(', ')}`;
+    }
+    for (const field of ['position', 'rotation', 'scale']) {
+        if (!isVector(object[field])) {
+            return `${field} must be an array of 3 numbers`;
+        }
+    }
+    return null;
+}
+
+// Longest save slot name accepted
+export const MAX_SLOT_NAME_LENGTH = 60;
+
+/**
+ * Parse a save slot name
+ * @param {*} value - The name as given
+ * @returns {string|null} The trimmed name, or null if it is not a string of
+ *          1 to MAX_SLOT_NAME_LENGTH characters
+ */
+export function parseSlotName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    return name && name.length <= MAX_SLOT_NAME_LENGTH ? name : null;
+}